@@ -0,0 +1,38 @@
+/**
+ * Apply pending database migrations
+ * Run: npm run db:migrate
+ *      npm run db:migrate -- --status   (show status only)
+ */
+
+import 'dotenv/config';
+import { getDb } from '../src/db/init.js';
+import { getMigrationStatus, migrate } from '../src/db/migrate.js';
+
+const db = getDb();
+const status = await getMigrationStatus(db);
+
+console.log(`Schema version: ${status.current} (latest: ${status.latest})`);
+
+if (status.unknown.length > 0) {
+  console.error(`✗ Database has migrations unknown to this code: ${status.unknown.map(m => m.version).join(', ')}`);
+  process.exit(1);
+}
+
+if (process.argv.includes('--status')) {
+  for (const m of status.pending) {
+    console.log(`  pending: ${m.name}`);
+  }
+  process.exit(0);
+}
+
+if (status.pending.length === 0) {
+  console.log('✓ Database is up to date');
+  process.exit(0);
+}
+
+const applied = await migrate(db);
+for (const m of applied) {
+  console.log(`  → Applied ${m.name}`);
+}
+console.log(`✓ Applied ${applied.length} migration(s)`);
+process.exit(0);
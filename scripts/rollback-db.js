@@ -0,0 +1,29 @@
+/**
+ * Roll back database migrations
+ * Run: npm run db:rollback               (last migration)
+ *      npm run db:rollback -- --steps 3  (last 3 migrations)
+ */
+
+import 'dotenv/config';
+import { getDb } from '../src/db/init.js';
+import { rollback } from '../src/db/migrate.js';
+
+const stepsIndex = process.argv.indexOf('--steps');
+const steps = stepsIndex !== -1 ? Number(process.argv[stepsIndex + 1]) : 1;
+
+if (!Number.isInteger(steps) || steps < 1) {
+  console.error('--steps must be a positive integer');
+  process.exit(1);
+}
+
+try {
+  const rolledBack = await rollback(getDb(), steps);
+  for (const m of rolledBack) {
+    console.log(`  ← Rolled back ${m.name}`);
+  }
+  console.log(`✓ Rolled back ${rolledBack.length} migration(s)`);
+  process.exit(0);
+} catch (error) {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+}
@@ -6,22 +6,46 @@
 import 'dotenv/config';
 import { initDatabase } from '../src/db/init.js';
 import { createLicense, activateLicense } from '../src/services/license.js';
+import { createProduct, getProductBySlug } from '../src/services/product.js';
+import { createPlan, getPlan } from '../src/services/plan.js';
 
 await initDatabase();
 
 console.log('Seeding database with test data...\n');
 
-// Create test licenses
+// Create test product and plan catalog
+const product = getProductBySlug('tutor-lms-tracking') || createProduct({
+  slug: 'tutor-lms-tracking',
+  name: 'Tutor LMS Advanced Tracking',
+  description: 'Advanced tracking for Tutor LMS'
+});
+
+const plans = [
+  { slug: 'standard', name: 'Standard', maxActivations: 1, durationDays: 365, devSites: 3 },
+  { slug: 'pro', name: 'Pro', maxActivations: 3, durationDays: 365 },
+  { slug: 'agency', name: 'Agency', maxActivations: 10, durationDays: 365 },
+  { slug: 'lifetime', name: 'Lifetime', maxActivations: 5, durationDays: null }
+];
+
+for (const plan of plans) {
+  if (!getPlan(product.id, plan.slug)) {
+    createPlan({ productId: product.id, ...plan });
+    console.log(`Created plan: ${plan.slug} (${plan.maxActivations} sites)`);
+  }
+}
+console.log('');
+
+// Create test licenses (activation limit and expiry come from the plan)
 const licenses = [
-  { email: 'test@example.com', plan: 'standard', maxActivations: 1 },
-  { email: 'pro@example.com', plan: 'pro', maxActivations: 3 },
-  { email: 'agency@example.com', plan: 'agency', maxActivations: 10 },
-  { email: 'ltd@example.com', plan: 'lifetime', maxActivations: 5, expiresAt: null },
-  { email: 'expired@example.com', plan: 'standard', maxActivations: 1, expiresAt: '2024-01-01' }
+  { email: 'test@example.com', plan: 'standard' },
+  { email: 'pro@example.com', plan: 'pro' },
+  { email: 'agency@example.com', plan: 'agency' },
+  { email: 'ltd@example.com', plan: 'lifetime' },
+  { email: 'expired@example.com', plan: 'standard', expiresAt: '2024-01-01' }
 ];
 
 for (const data of licenses) {
-  const license = createLicense(data);
+  const license = createLicense({ productId: product.id, ...data });
   console.log(`Created: ${license.licenseKey} (${data.plan}) - ${data.email}`);
   
   // Activate some licenses
@@ -0,0 +1,145 @@
+/**
+ * Schema migrations
+ *
+ * Migrations live in src/db/migrations as NNN_description.js and export
+ * `up(db)` and `down(db)`. Applied versions are tracked in schema_migrations.
+ * Each migration runs in its own transaction.
+ */
+
+import { readdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.js$/;
+
+/**
+ * Ensure the schema_migrations table exists
+ */
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+/**
+ * Load all migration modules, sorted by version
+ */
+export async function loadMigrations() {
+  const files = readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => ({ file, version: Number(match[1]), name: file.replace(/\.js$/, '') }))
+    .sort((a, b) => a.version - b.version);
+
+  const migrations = [];
+  for (const { file, version, name } of files) {
+    if (migrations.some(m => m.version === version)) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+
+    const module = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+    if (typeof module.up !== 'function') {
+      throw new Error(`Migration ${file} does not export up()`);
+    }
+
+    migrations.push({ version, name, up: module.up, down: module.down });
+  }
+
+  return migrations;
+}
+
+/**
+ * Get applied migration rows, oldest first
+ */
+export function getAppliedMigrations(db) {
+  ensureMigrationsTable(db);
+  return db.prepare(`SELECT * FROM schema_migrations ORDER BY version`).all();
+}
+
+/**
+ * Compare the database schema version with the migrations shipped in code
+ */
+export async function getMigrationStatus(db) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db);
+  const appliedVersions = new Set(applied.map(m => m.version));
+  const knownVersions = new Set(migrations.map(m => m.version));
+
+  const latestKnown = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const current = applied.length ? applied[applied.length - 1].version : 0;
+
+  return {
+    current,
+    latest: latestKnown,
+    pending: migrations.filter(m => !appliedVersions.has(m.version)).map(m => ({ version: m.version, name: m.name })),
+    unknown: applied.filter(m => !knownVersions.has(m.version)).map(m => ({ version: m.version, name: m.name }))
+  };
+}
+
+/**
+ * Apply all pending migrations
+ * Refuses to run when the database has migrations this code does not know about
+ */
+export async function migrate(db) {
+  const status = await getMigrationStatus(db);
+
+  if (status.unknown.length > 0) {
+    const versions = status.unknown.map(m => m.version).join(', ');
+    throw new Error(
+      `Database schema is ahead of this code (unknown migrations: ${versions}). ` +
+      'Deploy a newer server version or roll back the database.'
+    );
+  }
+
+  const migrations = await loadMigrations();
+  const pending = new Set(status.pending.map(m => m.version));
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`);
+  const applied = [];
+
+  for (const migration of migrations.filter(m => pending.has(m.version))) {
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name);
+    })();
+    applied.push({ version: migration.version, name: migration.name });
+  }
+
+  return applied;
+}
+
+/**
+ * Roll back the most recent migrations
+ */
+export async function rollback(db, steps = 1) {
+  const migrations = await loadMigrations();
+  const applied = getAppliedMigrations(db).reverse().slice(0, steps);
+  const remove = db.prepare(`DELETE FROM schema_migrations WHERE version = ?`);
+  const rolledBack = [];
+
+  for (const row of applied) {
+    const migration = migrations.find(m => m.version === row.version);
+    if (!migration) {
+      throw new Error(`Migration ${row.name} is not present in this code, cannot roll back`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${row.name} is irreversible`);
+    }
+
+    db.transaction(() => {
+      migration.down(db);
+      remove.run(migration.version);
+    })();
+    rolledBack.push({ version: migration.version, name: migration.name });
+  }
+
+  return rolledBack;
+}
+
+export default { loadMigrations, getAppliedMigrations, getMigrationStatus, migrate, rollback };
@@ -0,0 +1,21 @@
+/**
+ * License status lifecycle: active, suspended, revoked, refunded
+ */
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE licenses ADD COLUMN status TEXT NOT NULL DEFAULT 'active';
+    ALTER TABLE licenses ADD COLUMN status_reason TEXT;
+    ALTER TABLE licenses ADD COLUMN status_changed_at TEXT;
+    CREATE INDEX IF NOT EXISTS idx_licenses_status ON licenses(status);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_licenses_status;
+    ALTER TABLE licenses DROP COLUMN status_changed_at;
+    ALTER TABLE licenses DROP COLUMN status_reason;
+    ALTER TABLE licenses DROP COLUMN status;
+  `);
+}
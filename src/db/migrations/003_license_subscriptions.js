@@ -0,0 +1,17 @@
+/**
+ * Link licenses to recurring subscriptions (e.g. Stripe subscription IDs)
+ */
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE licenses ADD COLUMN subscription_id TEXT;
+    CREATE INDEX IF NOT EXISTS idx_licenses_subscription ON licenses(subscription_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_licenses_subscription;
+    ALTER TABLE licenses DROP COLUMN subscription_id;
+  `);
+}
@@ -0,0 +1,26 @@
+/**
+ * Webhook event ledger: one row per provider event for idempotency and replay
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL,
+      event_id TEXT NOT NULL,
+      event_type TEXT,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'received',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      error TEXT,
+      received_at TEXT NOT NULL DEFAULT (datetime('now')),
+      processed_at TEXT,
+      UNIQUE(provider, event_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status);
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS webhook_events`);
+}
@@ -0,0 +1,48 @@
+/**
+ * Plan catalog: per-product plans with entitlements, and provider price mapping
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS plans (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      product_id INTEGER NOT NULL,
+      slug TEXT NOT NULL,
+      name TEXT NOT NULL,
+      max_activations INTEGER NOT NULL DEFAULT 1,
+      duration_days INTEGER,
+      dev_sites INTEGER,
+      updates_access INTEGER NOT NULL DEFAULT 1,
+      features TEXT,
+      is_active INTEGER NOT NULL DEFAULT 1,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE CASCADE,
+      UNIQUE(product_id, slug)
+    );
+
+    CREATE TABLE IF NOT EXISTS plan_prices (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      plan_id INTEGER NOT NULL,
+      provider TEXT NOT NULL DEFAULT 'stripe',
+      price_id TEXT NOT NULL,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (plan_id) REFERENCES plans(id) ON DELETE CASCADE,
+      UNIQUE(provider, price_id)
+    );
+
+    ALTER TABLE licenses ADD COLUMN plan_id INTEGER REFERENCES plans(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_plans_product ON plans(product_id);
+    CREATE INDEX IF NOT EXISTS idx_licenses_plan ON licenses(plan_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_licenses_plan;
+    ALTER TABLE licenses DROP COLUMN plan_id;
+    DROP TABLE IF EXISTS plan_prices;
+    DROP TABLE IF EXISTS plans;
+  `);
+}
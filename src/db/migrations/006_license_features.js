@@ -0,0 +1,11 @@
+/**
+ * Per-license feature flag overrides (merged over the plan's features)
+ */
+
+export function up(db) {
+  db.exec(`ALTER TABLE licenses ADD COLUMN feature_overrides TEXT`);
+}
+
+export function down(db) {
+  db.exec(`ALTER TABLE licenses DROP COLUMN feature_overrides`);
+}
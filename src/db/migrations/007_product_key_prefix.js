@@ -0,0 +1,11 @@
+/**
+ * Per-product license key prefix (falls back to LICENSE_KEY_PREFIX)
+ */
+
+export function up(db) {
+  db.exec(`ALTER TABLE products ADD COLUMN license_prefix TEXT`);
+}
+
+export function down(db) {
+  db.exec(`ALTER TABLE products DROP COLUMN license_prefix`);
+}
@@ -0,0 +1,21 @@
+/**
+ * Store license keys as HMAC hashes instead of plaintext
+ *
+ * license_key is renamed to key_hash (keeping its UNIQUE constraint and
+ * index) and every existing key is replaced by its hash; key_prefix keeps
+ * the display part in clear. Irreversible: the plaintext keys are gone.
+ */
+
+import { hashLicenseKey, getKeyDisplayPrefix } from '../../services/license-key.js';
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE licenses RENAME COLUMN license_key TO key_hash;
+    ALTER TABLE licenses ADD COLUMN key_prefix TEXT;
+  `);
+
+  const update = db.prepare(`UPDATE licenses SET key_hash = ?, key_prefix = ? WHERE id = ?`);
+  for (const { id, key_hash: licenseKey } of db.prepare(`SELECT id, key_hash FROM licenses`).all()) {
+    update.run(hashLicenseKey(licenseKey), getKeyDisplayPrefix(licenseKey), id);
+  }
+}
@@ -0,0 +1,31 @@
+/**
+ * License batches: licenses created together (bulk generation, CSV import)
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS license_batches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      source TEXT NOT NULL DEFAULT 'generated',
+      product_id INTEGER,
+      plan TEXT,
+      quantity INTEGER NOT NULL DEFAULT 0,
+      notes TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE SET NULL
+    );
+
+    ALTER TABLE licenses ADD COLUMN batch_id INTEGER REFERENCES license_batches(id) ON DELETE SET NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_licenses_batch ON licenses(batch_id);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_licenses_batch;
+    ALTER TABLE licenses DROP COLUMN batch_id;
+    DROP TABLE IF EXISTS license_batches;
+  `);
+}
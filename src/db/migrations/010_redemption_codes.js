@@ -0,0 +1,37 @@
+/**
+ * Redemption codes: unclaimed codes in a batch that customers bind to their email
+ */
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE license_batches ADD COLUMN max_activations INTEGER;
+    ALTER TABLE license_batches ADD COLUMN expires_at TEXT;
+
+    CREATE TABLE IF NOT EXISTS redemption_codes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      code_hash TEXT UNIQUE NOT NULL,
+      code_prefix TEXT NOT NULL,
+      batch_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'unclaimed',
+      email TEXT,
+      license_id INTEGER,
+      redeemed_at TEXT,
+      voided_at TEXT,
+      void_reason TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      FOREIGN KEY (batch_id) REFERENCES license_batches(id) ON DELETE CASCADE,
+      FOREIGN KEY (license_id) REFERENCES licenses(id) ON DELETE SET NULL
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_redemption_codes_batch ON redemption_codes(batch_id);
+    CREATE INDEX IF NOT EXISTS idx_redemption_codes_status ON redemption_codes(status);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS redemption_codes;
+    ALTER TABLE license_batches DROP COLUMN expires_at;
+    ALTER TABLE license_batches DROP COLUMN max_activations;
+  `);
+}
@@ -0,0 +1,85 @@
+/**
+ * Full-text search: FTS5 indexes over licenses, activations and the audit log
+ *
+ * Trigram tokenizer so fragments (part of an email, domain or Stripe session
+ * ID) match anywhere in a value. Each index's rowid is the source row's id;
+ * triggers keep the indexes in sync. Full license keys are hashed, so only
+ * the display prefix is indexed.
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS licenses_fts USING fts5(
+      email, key_prefix, metadata,
+      tokenize = 'trigram'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS activations_fts USING fts5(
+      domain, site_url,
+      tokenize = 'trigram'
+    );
+
+    CREATE VIRTUAL TABLE IF NOT EXISTS audit_log_fts USING fts5(
+      action, domain, details,
+      tokenize = 'trigram'
+    );
+
+    INSERT INTO licenses_fts (rowid, email, key_prefix, metadata)
+      SELECT id, email, key_prefix, metadata FROM licenses;
+    INSERT INTO activations_fts (rowid, domain, site_url)
+      SELECT id, domain, site_url FROM activations;
+    INSERT INTO audit_log_fts (rowid, action, domain, details)
+      SELECT id, action, domain, details FROM audit_log;
+
+    CREATE TRIGGER IF NOT EXISTS licenses_fts_insert AFTER INSERT ON licenses BEGIN
+      INSERT INTO licenses_fts (rowid, email, key_prefix, metadata)
+      VALUES (new.id, new.email, new.key_prefix, new.metadata);
+    END;
+    CREATE TRIGGER IF NOT EXISTS licenses_fts_update AFTER UPDATE OF email, key_prefix, metadata ON licenses BEGIN
+      DELETE FROM licenses_fts WHERE rowid = old.id;
+      INSERT INTO licenses_fts (rowid, email, key_prefix, metadata)
+      VALUES (new.id, new.email, new.key_prefix, new.metadata);
+    END;
+    CREATE TRIGGER IF NOT EXISTS licenses_fts_delete AFTER DELETE ON licenses BEGIN
+      DELETE FROM licenses_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS activations_fts_insert AFTER INSERT ON activations BEGIN
+      INSERT INTO activations_fts (rowid, domain, site_url)
+      VALUES (new.id, new.domain, new.site_url);
+    END;
+    CREATE TRIGGER IF NOT EXISTS activations_fts_update AFTER UPDATE OF domain, site_url ON activations BEGIN
+      DELETE FROM activations_fts WHERE rowid = old.id;
+      INSERT INTO activations_fts (rowid, domain, site_url)
+      VALUES (new.id, new.domain, new.site_url);
+    END;
+    CREATE TRIGGER IF NOT EXISTS activations_fts_delete AFTER DELETE ON activations BEGIN
+      DELETE FROM activations_fts WHERE rowid = old.id;
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_fts_insert AFTER INSERT ON audit_log BEGIN
+      INSERT INTO audit_log_fts (rowid, action, domain, details)
+      VALUES (new.id, new.action, new.domain, new.details);
+    END;
+    CREATE TRIGGER IF NOT EXISTS audit_log_fts_delete AFTER DELETE ON audit_log BEGIN
+      DELETE FROM audit_log_fts WHERE rowid = old.id;
+    END;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TRIGGER IF EXISTS licenses_fts_insert;
+    DROP TRIGGER IF EXISTS licenses_fts_update;
+    DROP TRIGGER IF EXISTS licenses_fts_delete;
+    DROP TRIGGER IF EXISTS activations_fts_insert;
+    DROP TRIGGER IF EXISTS activations_fts_update;
+    DROP TRIGGER IF EXISTS activations_fts_delete;
+    DROP TRIGGER IF EXISTS audit_log_fts_insert;
+    DROP TRIGGER IF EXISTS audit_log_fts_delete;
+
+    DROP TABLE IF EXISTS licenses_fts;
+    DROP TABLE IF EXISTS activations_fts;
+    DROP TABLE IF EXISTS audit_log_fts;
+  `);
+}
@@ -0,0 +1,27 @@
+/**
+ * Audit log actor and changes: who made a change and the before/after diff
+ */
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE audit_log ADD COLUMN actor TEXT;
+    ALTER TABLE audit_log ADD COLUMN changes TEXT;
+
+    UPDATE audit_log SET actor = json_extract(details, '$.actor')
+    WHERE details IS NOT NULL AND json_valid(details) AND json_extract(details, '$.actor') IS NOT NULL;
+
+    CREATE INDEX IF NOT EXISTS idx_audit_action ON audit_log(action);
+    CREATE INDEX IF NOT EXISTS idx_audit_actor ON audit_log(actor);
+    CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_audit_action;
+    DROP INDEX IF EXISTS idx_audit_actor;
+    DROP INDEX IF EXISTS idx_audit_created;
+    ALTER TABLE audit_log DROP COLUMN changes;
+    ALTER TABLE audit_log DROP COLUMN actor;
+  `);
+}
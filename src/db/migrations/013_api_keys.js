@@ -0,0 +1,25 @@
+/**
+ * Admin API keys: hashed, named keys with scopes, expiry and last-used tracking
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      key_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      expires_at TEXT,
+      last_used_at TEXT,
+      last_used_ip TEXT,
+      created_by TEXT,
+      revoked_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+export function down(db) {
+  db.exec(`DROP TABLE IF EXISTS api_keys`);
+}
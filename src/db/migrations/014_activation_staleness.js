@@ -0,0 +1,23 @@
+/**
+ * Activation staleness: flag activations without recent heartbeats, record
+ * why an activation ended, and a per-plan auto-deactivation policy
+ */
+
+export function up(db) {
+  db.exec(`
+    ALTER TABLE activations ADD COLUMN stale_at TEXT;
+    ALTER TABLE activations ADD COLUMN deactivation_reason TEXT;
+    ALTER TABLE plans ADD COLUMN stale_deactivate_days INTEGER;
+
+    CREATE INDEX IF NOT EXISTS idx_activations_heartbeat ON activations(is_active, last_heartbeat);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_activations_heartbeat;
+    ALTER TABLE plans DROP COLUMN stale_deactivate_days;
+    ALTER TABLE activations DROP COLUMN deactivation_reason;
+    ALTER TABLE activations DROP COLUMN stale_at;
+  `);
+}
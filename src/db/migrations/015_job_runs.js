@@ -0,0 +1,39 @@
+/**
+ * Scheduled jobs: run history and per-job locks so a job never overlaps itself
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS job_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      job TEXT NOT NULL,
+      trigger TEXT NOT NULL CHECK (trigger IN ('schedule', 'startup', 'manual')),
+      status TEXT NOT NULL CHECK (status IN ('running', 'success', 'failed', 'skipped')),
+      triggered_by TEXT,
+      result TEXT,
+      error TEXT,
+      started_at TEXT NOT NULL DEFAULT (datetime('now')),
+      finished_at TEXT,
+      duration_ms INTEGER
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_job_runs_job ON job_runs(job, started_at);
+    CREATE INDEX IF NOT EXISTS idx_job_runs_started ON job_runs(started_at);
+
+    CREATE TABLE IF NOT EXISTS job_locks (
+      job TEXT PRIMARY KEY,
+      run_id INTEGER NOT NULL,
+      locked_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL
+    );
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP TABLE IF EXISTS job_locks;
+    DROP INDEX IF EXISTS idx_job_runs_started;
+    DROP INDEX IF EXISTS idx_job_runs_job;
+    DROP TABLE IF EXISTS job_runs;
+  `);
+}
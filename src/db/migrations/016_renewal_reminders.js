@@ -0,0 +1,47 @@
+/**
+ * Renewal reminders: customers (per-email preferences such as unsubscribing)
+ * and email_log, recording every email sent so reminders go out once per window
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      unsubscribe_token TEXT UNIQUE NOT NULL,
+      unsubscribed_at TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS email_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      license_id INTEGER REFERENCES licenses(id) ON DELETE SET NULL,
+      email TEXT NOT NULL,
+      type TEXT NOT NULL,
+      window_days INTEGER,
+      expires_at TEXT,
+      status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+      provider_id TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_log_license ON email_log(license_id, type);
+    CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at);
+
+    -- One sent reminder per license, window and expiry (a renewal starts a new term)
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_log_reminder_once
+      ON email_log(license_id, type, window_days, expires_at) WHERE status = 'sent';
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_email_log_reminder_once;
+    DROP INDEX IF EXISTS idx_email_log_created;
+    DROP INDEX IF EXISTS idx_email_log_license;
+    DROP TABLE IF EXISTS email_log;
+    DROP TABLE IF EXISTS customers;
+  `);
+}
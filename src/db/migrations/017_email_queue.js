@@ -0,0 +1,102 @@
+/**
+ * Outbound email queue with retry, and email_log entries linked to their
+ * queued message ('queued' until the transport accepts it)
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      to_email TEXT NOT NULL,
+      from_email TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      html TEXT,
+      text TEXT,
+      headers TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sending', 'sent', 'failed')),
+      transport TEXT,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_error TEXT,
+      provider_id TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      sent_at TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_email_queue_due ON email_queue(status, next_attempt_at);
+
+    -- email_log gains 'queued' and a link to the queue (CHECK changes need a rebuild)
+    DROP INDEX IF EXISTS idx_email_log_reminder_once;
+    DROP INDEX IF EXISTS idx_email_log_created;
+    DROP INDEX IF EXISTS idx_email_log_license;
+    ALTER TABLE email_log RENAME TO email_log_old;
+
+    CREATE TABLE email_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      license_id INTEGER REFERENCES licenses(id) ON DELETE SET NULL,
+      email TEXT NOT NULL,
+      type TEXT NOT NULL,
+      window_days INTEGER,
+      expires_at TEXT,
+      status TEXT NOT NULL CHECK (status IN ('queued', 'sent', 'failed')),
+      queue_id INTEGER REFERENCES email_queue(id) ON DELETE SET NULL,
+      provider_id TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    INSERT INTO email_log (id, license_id, email, type, window_days, expires_at, status, provider_id, error, created_at)
+    SELECT id, license_id, email, type, window_days, expires_at, status, provider_id, error, created_at
+    FROM email_log_old;
+
+    DROP TABLE email_log_old;
+
+    CREATE INDEX IF NOT EXISTS idx_email_log_license ON email_log(license_id, type);
+    CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_email_log_queue ON email_log(queue_id);
+
+    -- One reminder per license, window and expiry unless it failed
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_log_reminder_once
+      ON email_log(license_id, type, window_days, expires_at) WHERE status != 'failed';
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_email_log_reminder_once;
+    DROP INDEX IF EXISTS idx_email_log_queue;
+    DROP INDEX IF EXISTS idx_email_log_created;
+    DROP INDEX IF EXISTS idx_email_log_license;
+    ALTER TABLE email_log RENAME TO email_log_new;
+
+    CREATE TABLE email_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      license_id INTEGER REFERENCES licenses(id) ON DELETE SET NULL,
+      email TEXT NOT NULL,
+      type TEXT NOT NULL,
+      window_days INTEGER,
+      expires_at TEXT,
+      status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+      provider_id TEXT,
+      error TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Queued reminders count as sent, as before the queue
+    INSERT INTO email_log (id, license_id, email, type, window_days, expires_at, status, provider_id, error, created_at)
+    SELECT id, license_id, email, type, window_days, expires_at,
+           CASE WHEN status = 'queued' THEN 'sent' ELSE status END, provider_id, error, created_at
+    FROM email_log_new;
+
+    DROP TABLE email_log_new;
+
+    CREATE INDEX IF NOT EXISTS idx_email_log_license ON email_log(license_id, type);
+    CREATE INDEX IF NOT EXISTS idx_email_log_created ON email_log(created_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_email_log_reminder_once
+      ON email_log(license_id, type, window_days, expires_at) WHERE status = 'sent';
+
+    DROP INDEX IF EXISTS idx_email_queue_due;
+    DROP TABLE IF EXISTS email_queue;
+  `);
+}
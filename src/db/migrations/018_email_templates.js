@@ -0,0 +1,32 @@
+/**
+ * Email templates: admin overrides of the bundled template files (per name
+ * and locale), per-product email branding and the customer's email locale
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS email_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      locale TEXT NOT NULL,
+      subject TEXT,
+      heading TEXT,
+      html TEXT NOT NULL,
+      updated_by TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (name, locale)
+    );
+
+    ALTER TABLE products ADD COLUMN branding TEXT;
+    ALTER TABLE customers ADD COLUMN locale TEXT;
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    ALTER TABLE customers DROP COLUMN locale;
+    ALTER TABLE products DROP COLUMN branding;
+    DROP TABLE IF EXISTS email_templates;
+  `);
+}
@@ -0,0 +1,49 @@
+/**
+ * Customer portal sessions: single-use magic links and server-side sessions
+ * (access and refresh tokens, stored hashed)
+ */
+
+export function up(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS magic_links (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      token_hash TEXT UNIQUE NOT NULL,
+      email TEXT NOT NULL,
+      ip_address TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      used_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS portal_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      access_hash TEXT UNIQUE NOT NULL,
+      access_expires_at TEXT NOT NULL,
+      refresh_hash TEXT UNIQUE NOT NULL,
+      previous_refresh_hash TEXT,
+      refresh_expires_at TEXT NOT NULL,
+      ip_address TEXT,
+      user_agent TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      last_used_at TEXT NOT NULL DEFAULT (datetime('now')),
+      refreshed_at TEXT,
+      revoked_at TEXT,
+      revoked_reason TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_magic_links_expires ON magic_links(expires_at);
+    CREATE INDEX IF NOT EXISTS idx_portal_sessions_email ON portal_sessions(email);
+    CREATE INDEX IF NOT EXISTS idx_portal_sessions_previous_refresh ON portal_sessions(previous_refresh_hash);
+  `);
+}
+
+export function down(db) {
+  db.exec(`
+    DROP INDEX IF EXISTS idx_portal_sessions_previous_refresh;
+    DROP INDEX IF EXISTS idx_portal_sessions_email;
+    DROP INDEX IF EXISTS idx_magic_links_expires;
+    DROP TABLE IF EXISTS portal_sessions;
+    DROP TABLE IF EXISTS magic_links;
+  `);
+}
@@ -0,0 +1,17 @@
+/**
+ * Clear the bodies of already sent emails
+ *
+ * Rendered bodies hold license keys and portal login links; the queue now
+ * drops them on delivery (services/email-queue.js). Messages sent before
+ * that still have theirs. Rolling back leaves them cleared.
+ */
+
+export function up(db) {
+  db.exec(`
+    UPDATE email_queue SET html = NULL, text = NULL, headers = NULL WHERE status = 'sent';
+  `);
+}
+
+export function down() {
+  // Cleared bodies can't be restored, and the schema is unchanged
+}
@@ -17,6 +17,12 @@ import productRoutes from './routes/products.js';
 import webhookRoutes from './routes/webhooks.js';
 import updateRoutes from './routes/updates.js';
 import customerRoutes from './routes/customer.js';
+import wellKnownRoutes from './routes/well-known.js';
+import { getActiveSigningKey } from './services/signing.js';
+import { registerJobs } from './jobs/index.js';
+import { startScheduler } from './services/scheduler.js';
+import { getEmailTransport } from './services/transports/index.js';
+import { getOutboxDir } from './services/transports/file.js';
 import { errorHandler, notFoundHandler } from './middleware/errors.js';
 import { requestLogger } from './middleware/logger.js';
 import { generalLimiter } from './middleware/rate-limit.js';
@@ -31,11 +37,15 @@ app.use(helmet());
 const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || ['*'];
 app.use(cors({
   origin: allowedOrigins.includes('*') ? true : allowedOrigins,
+  // Portal session cookies are only sent cross-origin to listed origins
+  credentials: !allowedOrigins.includes('*'),
   methods: ['GET', 'POST', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-License-Key']
 }));
 
 // Body parsing
+// Webhooks keep the raw body: signatures are computed over the exact bytes sent
+app.use('/api/v1/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -50,6 +60,9 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Public keys for offline token verification
+app.use('/.well-known', wellKnownRoutes);
+
 // API routes
 app.use('/api/v1/license', licenseRoutes);
 app.use('/api/v1/admin', adminRoutes);
@@ -65,9 +78,40 @@ app.use(errorHandler);
 // Initialize database and start server
 async function start() {
   try {
+    // Key hashes depend on it, so it has to be settled before migrations run
+    if (!process.env.LICENSE_KEY_SECRET) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('LICENSE_KEY_SECRET must be set in production (keep the JWT_SECRET value if keys were already hashed with it)');
+      }
+      console.warn('⚠ LICENSE_KEY_SECRET not set: key hashes use JWT_SECRET or a development default');
+    }
+
     await initDatabase();
     console.log('✓ Database initialized');
 
+    const signingKey = getActiveSigningKey();
+    console.log(`✓ Signing key ready (kid: ${signingKey.kid})`);
+
+    registerJobs();
+    if (startScheduler()) {
+      console.log('✓ Scheduler started');
+    } else {
+      console.log('  Scheduler disabled (SCHEDULER_ENABLED=false): jobs only run when triggered');
+    }
+
+    const transport = getEmailTransport();
+    if (transport.name === 'file' && process.env.NODE_ENV === 'production' && !process.env.EMAIL_TRANSPORT) {
+      console.warn(`⚠ No email transport configured: emails are written to ${getOutboxDir()}`);
+    } else if (transport.name === 'file') {
+      console.log(`✓ Email transport: file (${getOutboxDir()})`);
+    } else {
+      console.log(`✓ Email transport: ${transport.name}`);
+    }
+
+    if (!process.env.ADMIN_API_KEY) {
+      console.warn('⚠ ADMIN_API_KEY not set: only API keys in the api_keys table can use the admin API');
+    }
+
     app.listen(PORT, () => {
       console.log(`✓ License server running on port ${PORT}`);
       console.log(`  Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,105 @@
+/**
+ * Database backup job
+ *
+ * In-process version of scripts/backup-db.sh: takes a consistent snapshot
+ * with SQLite's online backup, checks its integrity, gzips it to
+ * licenses_backup_<timestamp>.db.gz and deletes backups past retention.
+ *
+ * Environment variables:
+ * - BACKUP_DIR: where backups are written (default: backups/ next to the database)
+ * - BACKUP_RETENTION_DAYS: days to keep backups, 0 keeps all (default: 30)
+ * - BACKUP_SCHEDULE: cron schedule, 'off' to disable (default: daily at 03:00 UTC)
+ */
+
+import Database from 'better-sqlite3';
+import { createReadStream, createWriteStream, mkdirSync, readdirSync, statSync, unlinkSync } from 'fs';
+import { dirname, join } from 'path';
+import { pipeline } from 'stream/promises';
+import { createGzip } from 'zlib';
+import { getDb } from '../db/init.js';
+
+const RETENTION_DAYS = Number(process.env.BACKUP_RETENTION_DAYS ?? 30);
+
+const BACKUP_PATTERN = /^licenses_backup_\d{8}_\d{6}\.db\.gz$/;
+
+/**
+ * Backup directory: BACKUP_DIR or backups/ next to the database file
+ */
+function getBackupDir() {
+  return process.env.BACKUP_DIR || join(dirname(getDb().name), 'backups');
+}
+
+/**
+ * Timestamp for backup file names, as the shell script writes them (UTC)
+ */
+function formatTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '_').slice(0, 15);
+}
+
+/**
+ * Delete backups older than the retention period
+ * Returns the number deleted
+ */
+function pruneBackups(backupDir, now) {
+  if (RETENTION_DAYS <= 0) return 0;
+
+  const cutoff = now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  let deleted = 0;
+
+  for (const file of readdirSync(backupDir)) {
+    if (!BACKUP_PATTERN.test(file)) continue;
+
+    const path = join(backupDir, file);
+    if (statSync(path).mtimeMs < cutoff) {
+      unlinkSync(path);
+      deleted++;
+    }
+  }
+
+  return deleted;
+}
+
+/**
+ * Back up the database
+ * Returns { file, size, deleted }
+ */
+export async function runBackupJob({ now = new Date() } = {}) {
+  const backupDir = getBackupDir();
+  mkdirSync(backupDir, { recursive: true });
+
+  const snapshot = join(backupDir, `licenses_backup_${formatTimestamp(now)}.db`);
+  const file = `${snapshot}.gz`;
+
+  try {
+    await getDb().backup(snapshot);
+
+    // The snapshot inherits WAL mode; a plain journal leaves no -wal/-shm files behind
+    const copy = new Database(snapshot);
+    copy.pragma('journal_mode = DELETE');
+    const integrity = copy.pragma('integrity_check', { simple: true });
+    copy.close();
+
+    if (integrity !== 'ok') {
+      throw new Error(`Backup integrity check failed: ${integrity}`);
+    }
+
+    await pipeline(createReadStream(snapshot), createGzip(), createWriteStream(file));
+  } finally {
+    try {
+      unlinkSync(snapshot);
+    } catch {
+      // Snapshot was never written
+    }
+  }
+
+  return { file, size: statSync(file).size, deleted: pruneBackups(backupDir, now) };
+}
+
+export const backupJob = {
+  name: 'backup',
+  description: 'Back up the database to BACKUP_DIR and apply retention',
+  schedule: process.env.BACKUP_SCHEDULE || '0 3 * * *',
+  handler: () => runBackupJob()
+};
+
+export default { backupJob, runBackupJob };
@@ -0,0 +1,21 @@
+/**
+ * Email queue job
+ *
+ * Delivers queued emails that are due: retries after a transport failure
+ * and messages left behind by a stopped process (see services/email-queue.js).
+ *
+ * Environment variables:
+ * - EMAIL_QUEUE_SCHEDULE: cron schedule, 'off' to disable (default: every 5 minutes)
+ */
+
+import { processEmailQueue } from '../services/email-queue.js';
+
+export const emailQueueJob = {
+  name: 'email-queue',
+  description: 'Deliver queued emails that are due for another attempt',
+  schedule: process.env.EMAIL_QUEUE_SCHEDULE || '*/5 * * * *',
+  timeoutMinutes: 15,
+  handler: () => processEmailQueue()
+};
+
+export default { emailQueueJob };
@@ -0,0 +1,25 @@
+/**
+ * Scheduled jobs
+ *
+ * Every recurring job is registered here; services/scheduler.js runs them.
+ */
+
+import { registerJob } from '../services/scheduler.js';
+import { staleActivationsJob } from './stale-activations.js';
+import { backupJob } from './backup.js';
+import { renewalRemindersJob } from './renewal-reminders.js';
+import { emailQueueJob } from './email-queue.js';
+import { portalSessionsJob } from './portal-sessions.js';
+
+export const JOBS = [staleActivationsJob, backupJob, renewalRemindersJob, emailQueueJob, portalSessionsJob];
+
+/**
+ * Register all jobs with the scheduler
+ */
+export function registerJobs() {
+  for (const job of JOBS) {
+    registerJob(job);
+  }
+}
+
+export default { JOBS, registerJobs };
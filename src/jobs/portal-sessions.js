@@ -0,0 +1,20 @@
+/**
+ * Portal session cleanup job
+ *
+ * Deletes expired login links and portal sessions that were revoked or
+ * expired more than 30 days ago (see services/portal-session.js).
+ *
+ * Environment variables:
+ * - PORTAL_SESSIONS_SCHEDULE: cron schedule, 'off' to disable (default: daily at 03:30 UTC)
+ */
+
+import { prunePortalSessions } from '../services/portal-session.js';
+
+export const portalSessionsJob = {
+  name: 'portal-sessions',
+  description: 'Delete expired portal login links and ended portal sessions',
+  schedule: process.env.PORTAL_SESSIONS_SCHEDULE || '30 3 * * *',
+  handler: () => prunePortalSessions()
+};
+
+export default { portalSessionsJob };
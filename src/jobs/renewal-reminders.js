@@ -0,0 +1,24 @@
+/**
+ * Renewal reminders job
+ *
+ * Emails customers whose licenses enter a reminder window (see
+ * services/reminder.js); every send is recorded in email_log.
+ *
+ * Environment variables:
+ * - RENEWAL_REMINDER_SCHEDULE: cron schedule, 'off' to disable (default: daily at 09:00 UTC)
+ */
+
+import { sendRenewalReminders } from '../services/reminder.js';
+
+export const renewalRemindersJob = {
+  name: 'renewal-reminders',
+  description: 'Email renewal reminders to licenses entering a reminder window',
+  schedule: process.env.RENEWAL_REMINDER_SCHEDULE || '0 9 * * *',
+  handler: async () => {
+    // The run history keeps the counts; email_log has every send
+    const { reminders, ...counts } = await sendRenewalReminders();
+    return { ...counts, licenseIds: reminders.map(reminder => reminder.licenseId) };
+  }
+};
+
+export default { renewalRemindersJob };
@@ -0,0 +1,70 @@
+/**
+ * Stale activations job
+ *
+ * Sites deleted without deactivating keep their slot forever. This job flags
+ * active activations with no heartbeat for STALE_ACTIVATION_DAYS (stale_at)
+ * and deactivates those silent for longer than their plan's
+ * stale_deactivate_days (plans without it only get flagged).
+ *
+ * Environment variables:
+ * - STALE_ACTIVATION_DAYS: days without heartbeat before flagging (default: 30)
+ * - STALE_ACTIVATIONS_SCHEDULE: cron schedule, 'off' to disable (default: every 6 hours)
+ */
+
+import { getDb } from '../db/init.js';
+import { STALE_ACTIVATION_DAYS, deactivateActivation } from '../services/license.js';
+
+export const staleActivationsJob = {
+  name: 'stale-activations',
+  description: 'Flag activations without recent heartbeats and apply plan auto-deactivation',
+  schedule: process.env.STALE_ACTIVATIONS_SCHEDULE || '0 */6 * * *',
+  runOnStart: true,
+  handler: () => runStaleActivationsJob()
+};
+
+/**
+ * Flag stale activations and apply plan auto-deactivation
+ * Returns { flagged, deactivated }
+ */
+export function runStaleActivationsJob({ now = new Date() } = {}) {
+  const db = getDb();
+  const nowIso = now.toISOString();
+
+  const run = db.transaction(() => {
+    const flagged = db.prepare(`
+      UPDATE activations SET stale_at = datetime(@now)
+      WHERE is_active = 1 AND stale_at IS NULL
+        AND datetime(COALESCE(last_heartbeat, activated_at)) <= datetime(@now, @threshold)
+    `).run({ now: nowIso, threshold: `-${STALE_ACTIVATION_DAYS} days` }).changes;
+
+    // Plan of each license: plan_id, or product + plan slug for licenses from before the catalog
+    const expired = db.prepare(`
+      SELECT a.*, p.stale_deactivate_days
+      FROM activations a
+      JOIN licenses l ON l.id = a.license_id
+      JOIN plans p ON p.id = COALESCE(
+        l.plan_id,
+        (SELECT id FROM plans WHERE product_id = l.product_id AND slug = l.plan)
+      )
+      WHERE a.is_active = 1
+        AND p.stale_deactivate_days IS NOT NULL
+        AND datetime(COALESCE(a.last_heartbeat, a.activated_at))
+            <= datetime(@now, '-' || p.stale_deactivate_days || ' days')
+    `).all({ now: nowIso });
+
+    let deactivated = 0;
+    for (const activation of expired) {
+      const ended = deactivateActivation(activation, 'stale', {
+        action: 'stale_deactivated',
+        details: { staleDeactivateDays: activation.stale_deactivate_days }
+      });
+      if (ended) deactivated++;
+    }
+
+    return { flagged, deactivated };
+  });
+
+  return run();
+}
+
+export default { staleActivationsJob, runStaleActivationsJob };
@@ -0,0 +1,61 @@
+/**
+ * Admin authentication middleware
+ *
+ * Accepts an API key as `Authorization: Bearer <key>` or `x-api-key: <key>`.
+ * requireApiKey authenticates the request (req.apiKey, req.actor for the
+ * audit log); requireScope checks the key's scopes per route.
+ */
+
+import { authenticateApiKey, hasScope } from '../services/api-key.js';
+
+/**
+ * Get the presented key from the request headers
+ */
+function getPresentedKey(req) {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.slice(7);
+  }
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Require a valid, unexpired, unrevoked API key
+ */
+export function requireApiKey(req, res, next) {
+  // Already authenticated by an outer router
+  if (req.apiKey) {
+    return next();
+  }
+
+  const result = authenticateApiKey(getPresentedKey(req), { ipAddress: req.ip });
+
+  if (!result.success) {
+    return res.status(401).json({ error: result.error, message: result.message });
+  }
+
+  req.apiKey = result.apiKey;
+  // Recorded as the actor of audited changes
+  req.actor = result.apiKey.bootstrap ? 'admin' : `key:${result.apiKey.name}`;
+  next();
+}
+
+/**
+ * Require every given scope (use after requireApiKey)
+ */
+export function requireScope(...scopes) {
+  return (req, res, next) => {
+    const missing = scopes.filter(scope => !req.apiKey || !hasScope(req.apiKey.scopes, scope));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        message: `API key is missing scope: ${missing.join(', ')}`
+      });
+    }
+
+    next();
+  };
+}
+
+export default { requireApiKey, requireScope };
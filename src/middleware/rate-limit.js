@@ -95,6 +95,25 @@ export const validationLimiter = rateLimit({
   }
 });
 
+/**
+ * Redemption code rate limit
+ * 10 attempts per hour per IP, so codes can't be brute-forced
+ */
+export const redemptionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10,
+  keyGenerator: (req) => normalizeIp(req.ip),
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false, keyGeneratorIpFallback: false },
+  message: {
+    success: false,
+    error: 'redemption_rate_limited',
+    message: 'Too many redemption attempts. Please wait before trying again.',
+    retryAfter: 60 * 60
+  }
+});
+
 /**
  * Admin API rate limit
  * Higher limits for admin operations: 200 per 15 minutes
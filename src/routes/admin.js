@@ -2,70 +2,76 @@
  * Admin API routes
  * 
  * Protected endpoints for license management
- * Requires ADMIN_API_KEY in Authorization header
+ * Requires an API key (see middleware/auth.js) with the scope each route names
+ * 
+ * License keys are stored hashed, so listings show masked keys; :key in
+ * license routes accepts either the full key or the numeric license ID
  */
 
-import { Router } from 'express';
+import { Router, text } from 'express';
 import * as licenseService from '../services/license.js';
+import * as licenseQuery from '../services/license-query.js';
+import * as signingService from '../services/signing.js';
+import * as webhookEvents from '../services/webhook-events.js';
+import { getPlan, getLicensePlan, validateFeatures } from '../services/plan.js';
+import { maskLicenseKey } from '../services/license-key.js';
+import * as batchService from '../services/batch.js';
+import * as redemptionService from '../services/redemption.js';
+import * as searchService from '../services/search.js';
+import * as apiKeyService from '../services/api-key.js';
+import * as scheduler from '../services/scheduler.js';
+import * as reminderService from '../services/reminder.js';
+import * as customerService from '../services/customer.js';
+import * as emailQueue from '../services/email-queue.js';
+import * as emailTemplates from '../services/email-templates.js';
+import { getProductById } from '../services/product.js';
+import { parseCsvRecords, toCsv } from '../utils/csv.js';
+import { logAudit, diffChanges, queryAuditLog, getLicenseTimeline } from '../services/audit.js';
 import { getDb } from '../db/init.js';
 import { adminLimiter } from '../middleware/rate-limit.js';
+import { requireApiKey, requireScope } from '../middleware/auth.js';
 
 const router = Router();
 
 // Apply rate limiting to all admin routes
 router.use(adminLimiter);
 
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'dev-admin-key';
+router.use(requireApiKey);
 
 /**
- * Admin auth middleware
+ * Resolve product_id from product_id or product_slug in a request body
  */
-function requireAdmin(req, res, next) {
-  const authHeader = req.headers.authorization;
-  
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
+function resolveProductId({ product_id, product_slug }) {
+  if (product_id) return product_id;
+  if (!product_slug) return null;
   
-  const token = authHeader.slice(7);
-  if (token !== ADMIN_API_KEY) {
-    return res.status(403).json({ error: 'Invalid admin key' });
-  }
-  
-  next();
+  const db = getDb();
+  const product = db.prepare('SELECT id FROM products WHERE slug = ?').get(product_slug);
+  return product ? product.id : null;
 }
 
-router.use(requireAdmin);
-
 /**
  * POST /api/v1/admin/licenses
  * Create a new license
  */
-router.post('/licenses', (req, res) => {
+router.post('/licenses', requireScope('licenses:write'), (req, res) => {
   const { email, plan, max_activations, expires_at, metadata, product_id, product_slug } = req.body;
   
   if (!email) {
     return res.status(400).json({ error: 'email is required' });
   }
   
-  // Resolve product_id from slug if provided
-  let resolvedProductId = product_id;
-  if (!resolvedProductId && product_slug) {
-    const db = getDb();
-    const product = db.prepare('SELECT id FROM products WHERE slug = ?').get(product_slug);
-    if (product) {
-      resolvedProductId = product.id;
-    }
-  }
-  
   try {
     const license = licenseService.createLicense({
-      productId: resolvedProductId || null,
+      productId: resolveProductId({ product_id, product_slug }),
       email,
       plan: plan || 'standard',
-      maxActivations: max_activations || 1,
-      expiresAt: expires_at || null,
-      metadata
+      // Unset values fall back to the plan catalog defaults
+      maxActivations: max_activations || undefined,
+      expiresAt: expires_at,
+      metadata,
+      actor: req.actor,
+      ipAddress: req.ip
     });
     
     res.status(201).json(license);
@@ -76,53 +82,258 @@ router.post('/licenses', (req, res) => {
 
 /**
  * GET /api/v1/admin/licenses
- * List all licenses
+ * List licenses with filters, sorting and cursor pagination
+ * 
+ * Query:
+ * - filters: email, plan, status, product_id, product (slug), batch_id, domain,
+ *   expires_after, expires_before, created_after, created_before,
+ *   metadata[field]=value, activations_min, activations_max
+ * - sort: column or -column (default -created_at)
+ * - limit (default 50, max 200), cursor (nextCursor of the previous page)
  */
-router.get('/licenses', (req, res) => {
-  const db = getDb();
-  const { email, plan, limit = 50, offset = 0 } = req.query;
+router.get('/licenses', requireScope('licenses:read'), (req, res) => {
+  const result = licenseQuery.listLicenses(req.query);
   
-  let query = 'SELECT * FROM licenses WHERE 1=1';
-  const params = [];
+  if (!result.success) {
+    return res.status(400).json({ error: result.error, message: result.message });
+  }
   
-  if (email) {
-    query += ' AND email LIKE ?';
-    params.push(`%${email}%`);
+  const licenses = result.licenses.map(({ activation_list, active_activations, sort_value, ...license }) => ({
+    ...licenseService.formatLicense(license),
+    activeActivations: active_activations,
+    activations: activation_list ? JSON.parse(activation_list) : []
+  }));
+  
+  res.json({
+    licenses,
+    count: licenses.length,
+    total: result.total,
+    nextCursor: result.nextCursor
+  });
+});
+
+/**
+ * GET /api/v1/admin/licenses/export
+ * Export licenses with activation counts
+ * 
+ * Query: format (csv|json, default csv) and the same filters as GET /licenses
+ */
+router.get('/licenses/export', requireScope('licenses:read'), (req, res) => {
+  const { format = 'csv' } = req.query;
+  
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'invalid_format', message: 'format must be csv or json' });
   }
   
-  if (plan) {
-    query += ' AND plan = ?';
-    params.push(plan);
+  const result = batchService.exportLicenses(req.query);
+  if (!result.success) {
+    return res.status(400).json({ error: result.error, message: result.message });
+  }
+  
+  const { licenses } = result;
+  if (format === 'json') {
+    return res.json({ licenses, count: licenses.length });
+  }
+  
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`licenses-${date}.csv`);
+  res.type('text/csv').send(toCsv(licenses, batchService.EXPORT_COLUMNS));
+});
+
+/**
+ * POST /api/v1/admin/licenses/import
+ * Import licenses from CSV (text/csv body, or JSON { csv })
+ * 
+ * Columns: email (required), product_slug, plan, max_activations, expires_at, license_key, metadata
+ * Query: dry_run=true (validate only), skip_invalid=true (import valid rows despite errors), name, notes
+ */
+router.post('/licenses/import', requireScope('licenses:write'), text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), (req, res) => {
+  const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+  
+  if (!csv || typeof csv !== 'string') {
+    return res.status(400).json({ error: 'missing_csv', message: 'Send the CSV as a text/csv body or as { "csv": "..." }' });
+  }
+  
+  const { columns, records } = parseCsvRecords(csv);
+  
+  if (!columns.includes('email')) {
+    return res.status(400).json({ error: 'missing_columns', message: 'CSV header must include an email column' });
+  }
+  
+  if (records.length === 0) {
+    return res.status(400).json({ error: 'empty_csv', message: 'CSV has no rows' });
+  }
+  
+  const result = batchService.importLicenses(records, {
+    name: req.query.name || null,
+    notes: req.query.notes || null,
+    dryRun: req.query.dry_run === 'true',
+    skipInvalid: req.query.skip_invalid === 'true',
+    actor: req.actor,
+    ipAddress: req.ip
+  });
+  
+  const ignoredColumns = columns.filter(column => !batchService.IMPORT_COLUMNS.includes(column));
+  const status = result.imported > 0 ? 201 : (result.success ? 200 : 422);
+  
+  res.status(status).json({ ...result, ignoredColumns });
+});
+
+/**
+ * POST /api/v1/admin/batches
+ * Generate a batch of licenses, or of unclaimed redemption codes (type: 'codes')
+ * 
+ * Body: { type, count, email, product_id | product_slug, plan, max_activations, expires_at, metadata, name, notes }
+ * email is required for licenses; codes get the customer's email when redeemed
+ * Query: format=csv returns the keys/codes as a CSV download (they are not shown again)
+ */
+router.post('/batches', requireScope('licenses:write'), (req, res) => {
+  const { type = 'licenses', count, email, plan, max_activations, expires_at, metadata, product_id, product_slug, name, notes } = req.body;
+  
+  if (!['licenses', 'codes'].includes(type)) {
+    return res.status(400).json({ error: 'invalid_type', message: "type must be 'licenses' or 'codes'" });
   }
   
-  query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-  params.push(Number(limit), Number(offset));
+  if (!Number.isInteger(count) || count < 1 || count > batchService.MAX_BATCH_SIZE) {
+    return res.status(400).json({
+      error: 'invalid_count',
+      message: `count must be an integer between 1 and ${batchService.MAX_BATCH_SIZE}`
+    });
+  }
+  
+  if (type === 'codes') {
+    const { batch, codes } = redemptionService.generateCodeBatch({
+      count,
+      productId: resolveProductId({ product_id, product_slug }),
+      plan: plan || 'standard',
+      maxActivations: max_activations || null,
+      expiresAt: expires_at || null,
+      name,
+      notes,
+      actor: req.actor,
+      ipAddress: req.ip
+    });
+    
+    if (req.query.format === 'csv') {
+      res.attachment(`batch-${batch.id}-codes.csv`);
+      return res.status(201).type('text/csv').send(toCsv(codes, ['id', 'code']));
+    }
+    
+    return res.status(201).json({ batch, codes });
+  }
+  
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' });
+  }
+  
+  const { batch, licenses } = batchService.generateBatch({
+    count,
+    email,
+    productId: resolveProductId({ product_id, product_slug }),
+    plan: plan || 'standard',
+    maxActivations: max_activations || undefined,
+    expiresAt: expires_at,
+    metadata,
+    name,
+    notes,
+    actor: req.actor,
+    ipAddress: req.ip
+  });
+  
+  if (req.query.format === 'csv') {
+    res.attachment(`batch-${batch.id}.csv`);
+    return res.status(201).type('text/csv').send(
+      toCsv(licenses, ['id', 'licenseKey', 'email', 'plan', 'maxActivations', 'expiresAt'])
+    );
+  }
+  
+  res.status(201).json({ batch, licenses });
+});
+
+/**
+ * GET /api/v1/admin/batches
+ * List license batches
+ */
+router.get('/batches', requireScope('licenses:read'), (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+  res.json(batchService.listBatches({ limit, offset }));
+});
+
+/**
+ * GET /api/v1/admin/batches/:id
+ * Get a batch with its license counts (use /licenses?batch_id= or /licenses/export for the licenses)
+ */
+router.get('/batches/:id', requireScope('licenses:read'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
+  
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  res.json(batch);
+});
+
+/**
+ * GET /api/v1/admin/batches/:id/codes
+ * List a code batch's redemption codes (masked)
+ * 
+ * Query: status (unclaimed, redeemed, voided), limit, offset
+ */
+router.get('/batches/:id/codes', requireScope('licenses:read'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
+  
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
+  
+  const { status, limit = 100, offset = 0 } = req.query;
+  res.json(redemptionService.listBatchCodes(batch.id, { status, limit, offset }));
+});
+
+/**
+ * POST /api/v1/admin/batches/:id/void
+ * Void every unclaimed code of a batch (redeemed codes keep their licenses)
+ */
+router.post('/batches/:id/void', requireScope('licenses:write'), (req, res) => {
+  const batch = batchService.getBatch(req.params.id);
   
-  const licenses = db.prepare(query).all(...params);
+  if (!batch) {
+    return res.status(404).json({ error: 'Batch not found' });
+  }
   
-  // Get activation counts
-  const enriched = licenses.map(license => {
-    const activations = licenseService.getActiveActivations(license.id);
-    return {
-      ...license,
-      activeActivations: activations.length,
-      activations: activations.map(a => ({
-        domain: a.domain,
-        activatedAt: a.activated_at,
-        lastHeartbeat: a.last_heartbeat
-      }))
-    };
+  res.json(redemptionService.voidCodes({
+    batchId: batch.id,
+    reason: req.body?.reason || null,
+    actor: req.actor,
+    ipAddress: req.ip
+  }));
+});
+
+/**
+ * POST /api/v1/admin/codes/:id/void
+ * Void a single unclaimed redemption code
+ */
+router.post('/codes/:id/void', requireScope('licenses:write'), (req, res) => {
+  const result = redemptionService.voidCodes({
+    codeId: req.params.id,
+    reason: req.body?.reason || null,
+    actor: req.actor,
+    ipAddress: req.ip
   });
   
-  res.json({ licenses: enriched, count: enriched.length });
+  if (!result.success) {
+    return res.status(result.error === 'not_found' ? 404 : 409).json(result);
+  }
+  
+  res.json(result);
 });
 
 /**
  * GET /api/v1/admin/licenses/:key
  * Get license details by key
  */
-router.get('/licenses/:key', (req, res) => {
-  const license = licenseService.getLicenseByKey(req.params.key);
+router.get('/licenses/:key', requireScope('licenses:read'), (req, res) => {
+  const license = licenseService.resolveLicense(req.params.key);
   
   if (!license) {
     return res.status(404).json({ error: 'License not found' });
@@ -131,9 +342,32 @@ router.get('/licenses/:key', (req, res) => {
   const activations = licenseService.getActiveActivations(license.id);
   
   res.json({
-    ...license,
+    ...licenseService.formatLicense(license),
     activeActivations: activations.length,
-    activations
+    activations: activations.map(activation => ({
+      ...activation,
+      stale: licenseService.isStaleActivation(activation)
+    }))
+  });
+});
+
+/**
+ * GET /api/v1/admin/licenses/:key/timeline
+ * Everything that happened to a license, oldest first (creation, activations, status and admin changes)
+ */
+router.get('/licenses/:key/timeline', requireScope('licenses:read'), (req, res) => {
+  const license = licenseService.resolveLicense(req.params.key);
+  
+  if (!license) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+  
+  const events = getLicenseTimeline(license.id);
+  
+  res.json({
+    license: licenseService.formatLicense(license),
+    events,
+    count: events.length
   });
 });
 
@@ -141,9 +375,9 @@ router.get('/licenses/:key', (req, res) => {
  * DELETE /api/v1/admin/licenses/:key
  * Delete a license
  */
-router.delete('/licenses/:key', (req, res) => {
+router.delete('/licenses/:key', requireScope('licenses:write'), (req, res) => {
   const db = getDb();
-  const license = licenseService.getLicenseByKey(req.params.key);
+  const license = licenseService.resolveLicense(req.params.key);
   
   if (!license) {
     return res.status(404).json({ error: 'License not found' });
@@ -152,6 +386,13 @@ router.delete('/licenses/:key', (req, res) => {
   const stmt = db.prepare('DELETE FROM licenses WHERE id = ?');
   stmt.run(license.id);
   
+  // Keep a snapshot: the license row (and its activations) are gone
+  const { key_hash, ...snapshot } = license;
+  logAudit(license.id, 'deleted', null, req.ip, null, {
+    actor: req.actor,
+    changes: diffChanges(snapshot, {}, Object.keys(snapshot))
+  });
+  
   res.json({ success: true, message: 'License deleted' });
 });
 
@@ -159,9 +400,9 @@ router.delete('/licenses/:key', (req, res) => {
  * PATCH /api/v1/admin/licenses/:key
  * Update a license
  */
-router.patch('/licenses/:key', (req, res) => {
+router.patch('/licenses/:key', requireScope('licenses:write'), (req, res) => {
   const db = getDb();
-  const license = licenseService.getLicenseByKey(req.params.key);
+  const license = licenseService.resolveLicense(req.params.key);
   
   if (!license) {
     return res.status(404).json({ error: 'License not found' });
@@ -172,8 +413,10 @@ router.patch('/licenses/:key', (req, res) => {
   const params = [];
   
   if (plan) {
-    updates.push('plan = ?');
-    params.push(plan);
+    // Keep the catalog link in sync (null when the plan isn't in the catalog)
+    const catalogPlan = license.product_id ? getPlan(license.product_id, plan) : null;
+    updates.push('plan = ?', 'plan_id = ?');
+    params.push(plan, catalogPlan ? catalogPlan.id : null);
   }
   if (max_activations) {
     updates.push('max_activations = ?');
@@ -198,40 +441,733 @@ router.patch('/licenses/:key', (req, res) => {
   const stmt = db.prepare(`UPDATE licenses SET ${updates.join(', ')} WHERE id = ?`);
   stmt.run(...params);
   
+  const updated = licenseService.getLicenseById(license.id);
+  const changes = diffChanges(license, updated, ['plan', 'plan_id', 'max_activations', 'expires_at', 'email']);
+  if (changes) {
+    logAudit(license.id, 'updated', null, req.ip, null, { actor: req.actor, changes });
+  }
+  
   res.json({ success: true, message: 'License updated' });
 });
 
+/**
+ * License status transitions
+ * POST /api/v1/admin/licenses/:key/suspend
+ * POST /api/v1/admin/licenses/:key/revoke
+ * POST /api/v1/admin/licenses/:key/refund
+ * POST /api/v1/admin/licenses/:key/reinstate
+ * 
+ * Body: { reason?: string }
+ */
+const STATUS_ROUTES = {
+  suspend: 'suspended',
+  revoke: 'revoked',
+  refund: 'refunded',
+  reinstate: 'active'
+};
+
+for (const [action, status] of Object.entries(STATUS_ROUTES)) {
+  router.post(`/licenses/:key/${action}`, requireScope('licenses:write'), (req, res) => {
+    const result = licenseService.setLicenseStatus(req.params.key, status, {
+      reason: req.body?.reason || null,
+      actor: req.actor,
+      ipAddress: req.ip
+    });
+    
+    if (!result.success) {
+      const code = result.error === 'invalid_key' ? 404 : (result.error === 'invalid_transition' ? 409 : 400);
+      return res.status(code).json(result);
+    }
+    
+    res.json(result);
+  });
+}
+
+/**
+ * GET /api/v1/admin/licenses/:key/features
+ * Effective feature flags with the plan defaults and per-license overrides
+ */
+router.get('/licenses/:key/features', requireScope('licenses:read'), (req, res) => {
+  const license = licenseService.resolveLicense(req.params.key);
+  
+  if (!license) {
+    return res.status(404).json({ error: 'License not found' });
+  }
+  
+  const plan = getLicensePlan(license);
+  
+  res.json({
+    plan: license.plan,
+    features: licenseService.getLicenseFeatures(license, plan),
+    planFeatures: plan ? plan.features : {},
+    overrides: license.feature_overrides ? JSON.parse(license.feature_overrides) : {}
+  });
+});
+
+/**
+ * PUT /api/v1/admin/licenses/:key/features
+ * PATCH /api/v1/admin/licenses/:key/features
+ * Replace (PUT) or merge (PATCH) the license's feature overrides
+ * 
+ * Body: { features: { csv_export: true, max_courses: 50 } } (PATCH: null removes an override)
+ */
+for (const method of ['put', 'patch']) {
+  router[method]('/licenses/:key/features', requireScope('licenses:write'), (req, res) => {
+    const { features } = req.body;
+    const error = validateFeatures(features, { allowNull: true });
+    
+    if (error) {
+      return res.status(400).json({ error: 'invalid_features', message: error });
+    }
+    
+    const result = licenseService.setFeatureOverrides(req.params.key, features, {
+      replace: method === 'put',
+      actor: req.actor,
+      ipAddress: req.ip
+    });
+    
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+    
+    res.json(result);
+  });
+}
+
+/**
+ * DELETE /api/v1/admin/licenses/:key/features/:feature
+ * Remove a single override (the plan's value applies again)
+ */
+router.delete('/licenses/:key/features/:feature', requireScope('licenses:write'), (req, res) => {
+  const result = licenseService.setFeatureOverrides(req.params.key, { [req.params.feature]: null }, {
+    actor: req.actor,
+    ipAddress: req.ip
+  });
+  
+  if (!result.success) {
+    return res.status(404).json(result);
+  }
+  
+  res.json(result);
+});
+
+/**
+ * GET /api/v1/admin/keys
+ * List signing keys (public metadata only)
+ */
+router.get('/keys', requireScope('keys:manage'), (req, res) => {
+  res.json({ keys: signingService.listSigningKeys() });
+});
+
+/**
+ * POST /api/v1/admin/keys/rotate
+ * Generate a new active signing key
+ * Previous keys keep verifying for grace_days (default: SIGNING_KEY_GRACE_DAYS)
+ */
+router.post('/keys/rotate', requireScope('keys:manage'), (req, res) => {
+  const { grace_days } = req.body;
+  
+  if (grace_days !== undefined && (!Number.isInteger(grace_days) || grace_days < 0)) {
+    return res.status(400).json({ error: 'grace_days must be a non-negative integer' });
+  }
+  
+  const result = signingService.rotateSigningKey({
+    graceDays: grace_days,
+    actor: req.actor,
+    ipAddress: req.ip
+  });
+  
+  res.status(201).json({ success: true, ...result });
+});
+
+/**
+ * POST /api/v1/admin/keys/:kid/retire
+ * Retire a signing key immediately (tokens signed with it stop verifying)
+ */
+router.post('/keys/:kid/retire', requireScope('keys:manage'), (req, res) => {
+  const result = signingService.retireSigningKey(req.params.kid, {
+    actor: req.actor,
+    ipAddress: req.ip
+  });
+  
+  if (!result.success) {
+    return res.status(result.error === 'not_found' ? 404 : 400).json(result);
+  }
+  
+  res.json(result);
+});
+
+/**
+ * GET /api/v1/admin/api-keys
+ * List admin API keys (hash never returned)
+ * 
+ * Query: includeRevoked=true
+ */
+router.get('/api-keys', requireScope('keys:manage'), (req, res) => {
+  res.json({ apiKeys: apiKeyService.listApiKeys(req.query.includeRevoked === 'true') });
+});
+
+/**
+ * POST /api/v1/admin/api-keys
+ * Mint an API key; the key is only returned in this response
+ * 
+ * Body: { name, scopes: ['licenses:read', ...], expires_at? }
+ * A key can only grant scopes it has itself
+ */
+router.post('/api-keys', requireScope('keys:manage'), (req, res) => {
+  const { name, scopes, expires_at } = req.body;
+  
+  if (!name) {
+    return res.status(400).json({ error: 'missing_fields', message: 'name is required' });
+  }
+  
+  const scopesError = apiKeyService.validateScopes(scopes);
+  if (scopesError) {
+    return res.status(400).json({ error: 'invalid_scopes', message: scopesError });
+  }
+  
+  const notHeld = scopes.filter(scope => !apiKeyService.hasScope(req.apiKey.scopes, scope));
+  if (notHeld.length > 0) {
+    return res.status(403).json({
+      error: 'insufficient_scope',
+      message: `Cannot grant scopes this key doesn't have: ${notHeld.join(', ')}`
+    });
+  }
+  
+  let expiresAt = null;
+  if (expires_at) {
+    const date = new Date(expires_at);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      return res.status(400).json({ error: 'invalid_expiry', message: 'expires_at must be a future ISO date' });
+    }
+    expiresAt = date.toISOString();
+  }
+  
+  const { key, apiKey } = apiKeyService.createApiKey({ name, scopes, expiresAt, createdBy: req.actor });
+  
+  logAudit(null, 'api_key_created', null, req.ip, {
+    apiKeyId: apiKey.id,
+    name,
+    scopes: apiKey.scopes,
+    expiresAt
+  }, { actor: req.actor });
+  
+  res.status(201).json({ ...apiKey, key });
+});
+
+/**
+ * DELETE /api/v1/admin/api-keys/:id
+ * Revoke an API key (requests with it fail immediately)
+ */
+router.delete('/api-keys/:id', requireScope('keys:manage'), (req, res) => {
+  const apiKey = apiKeyService.revokeApiKey(req.params.id);
+  
+  if (!apiKey) {
+    return res.status(404).json({ error: 'not_found', message: 'API key not found or already revoked' });
+  }
+  
+  logAudit(null, 'api_key_revoked', null, req.ip, { apiKeyId: apiKey.id, name: apiKey.name }, { actor: req.actor });
+  
+  res.json({ success: true, message: 'API key revoked', apiKey });
+});
+
+/**
+ * GET /api/v1/admin/webhooks/events
+ * List stored webhook events
+ * 
+ * Query: provider, status, type, limit, offset
+ */
+router.get('/webhooks/events', requireScope('webhooks:read'), (req, res) => {
+  const { provider, status, type, limit = 50, offset = 0 } = req.query;
+  const { events, total } = webhookEvents.listWebhookEvents({ provider, status, type, limit, offset });
+  
+  res.json({ events, total, count: events.length });
+});
+
+/**
+ * GET /api/v1/admin/webhooks/events/:id
+ * Get a stored webhook event including its payload
+ */
+router.get('/webhooks/events/:id', requireScope('webhooks:read'), (req, res) => {
+  const event = webhookEvents.getWebhookEvent(req.params.id);
+  
+  if (!event) {
+    return res.status(404).json({ error: 'Webhook event not found' });
+  }
+  
+  res.json({ ...event, payload: JSON.parse(event.payload) });
+});
+
+/**
+ * POST /api/v1/admin/webhooks/events/:id/replay
+ * Re-run a stored webhook event through its handler
+ */
+router.post('/webhooks/events/:id/replay', requireScope('webhooks:write'), async (req, res) => {
+  const result = await webhookEvents.replayWebhookEvent(req.params.id);
+  
+  logAudit(null, 'webhook_replayed', null, req.ip, {
+    eventId: req.params.id,
+    success: result.success,
+    error: result.error || null
+  }, { actor: req.actor });
+  
+  if (!result.success) {
+    return res.status(result.error === 'not_found' ? 404 : 500).json(result);
+  }
+  
+  res.json(result);
+});
+
+/**
+ * GET /api/v1/admin/emails
+ * Emails sent to customers (renewal reminders), newest first
+ * 
+ * Query: license (ID or key), email, type, status (sent, failed), from, to (ISO dates), limit, offset
+ */
+router.get('/emails', requireScope('licenses:read'), (req, res) => {
+  const { license: licenseParam, email, type, status, from, to, limit, offset } = req.query;
+  
+  let licenseId;
+  if (licenseParam) {
+    const license = licenseService.resolveLicense(licenseParam);
+    licenseId = license ? license.id : (/^\d+$/.test(licenseParam) ? Number(licenseParam) : null);
+    
+    if (!licenseId) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+  }
+  
+  const result = reminderService.listEmailLog({ licenseId, email, type, status, from, to, limit, offset });
+  
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({ emails: result.emails, total: result.total, count: result.emails.length });
+});
+
+/**
+ * GET /api/v1/admin/emails/queue
+ * Outbound email queue (without bodies), newest first
+ * 
+ * Query: status (pending, sending, sent, failed), to, limit, offset
+ */
+router.get('/emails/queue', requireScope('emails:read'), (req, res) => {
+  const { status, to, limit, offset } = req.query;
+  const { messages, total } = emailQueue.listEmailQueue({ status, to, limit, offset });
+  
+  res.json({ messages, total, count: messages.length });
+});
+
+/**
+ * GET /api/v1/admin/emails/queue/:id
+ * Get a queued email including its bodies (cleared once sent)
+ * Bodies hold license keys and login links, hence their own scope
+ */
+router.get('/emails/queue/:id', requireScope('emails:read'), (req, res) => {
+  const message = emailQueue.getQueuedEmail(req.params.id, { bodies: true });
+  
+  if (!message) {
+    return res.status(404).json({ error: 'not_found', message: 'Queued email not found' });
+  }
+  
+  res.json(message);
+});
+
+/**
+ * POST /api/v1/admin/emails/queue/:id/retry
+ * Put a failed email back in the queue and attempt delivery now
+ */
+router.post('/emails/queue/:id/retry', requireScope('emails:write'), async (req, res) => {
+  const message = emailQueue.retryEmail(req.params.id);
+  
+  if (!message) {
+    return res.status(404).json({ error: 'not_found', message: 'No failed email with this ID' });
+  }
+  
+  logAudit(null, 'email_retried', null, req.ip, { queueId: message.id, to: message.to_email }, { actor: req.actor });
+  
+  const result = await emailQueue.deliverEmail(message.id);
+  
+  res.json({ success: result.success, status: result.status, error: result.error, message: emailQueue.getQueuedEmail(message.id) });
+});
+
+/**
+ * GET /api/v1/admin/email-templates
+ * Email templates with the locales each is available in (file and/or override)
+ */
+router.get('/email-templates', requireScope('products:read'), (req, res) => {
+  res.json({ templates: emailTemplates.listEmailTemplates(), defaultLocale: emailTemplates.DEFAULT_EMAIL_LOCALE });
+});
+
+/**
+ * Render a template preview as JSON, or the HTML/text alone with ?format=html|text
+ * Options: locale, product (ID), data (overrides sample data), override (draft template)
+ */
+function sendPreview(req, res, { locale, product: productId, data, override }) {
+  const name = req.params.name;
+  
+  if (!emailTemplates.EMAIL_TEMPLATES[name]) {
+    return res.status(404).json({ error: 'not_found', message: `Unknown template: ${name}` });
+  }
+  
+  let product = null;
+  if (productId) {
+    product = getProductById(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'not_found', message: 'Product not found' });
+    }
+  }
+  
+  let email;
+  try {
+    email = emailTemplates.previewEmail(name, { locale, product, data, override });
+  } catch (error) {
+    return res.status(400).json({ error: 'invalid_template', message: error.message });
+  }
+  
+  if (req.query.format === 'html') {
+    // Templates are admin-edited: no scripts, frames or remote requests except images
+    res.set('Content-Security-Policy', "default-src 'none'; img-src https: data:; style-src 'unsafe-inline'");
+    return res.type('html').send(email.html);
+  }
+  if (req.query.format === 'text') {
+    return res.type('text').send(email.text);
+  }
+  
+  res.json(email);
+}
+
+/**
+ * GET /api/v1/admin/email-templates/:name/preview
+ * Render a template with sample data
+ * 
+ * Query: locale, product (ID, for branding), format (json, html, text)
+ */
+router.get('/email-templates/:name/preview', requireScope('products:read'), (req, res) => {
+  sendPreview(req, res, { locale: req.query.locale, product: req.query.product });
+});
+
+/**
+ * POST /api/v1/admin/email-templates/:name/preview
+ * Render a draft without saving it
+ * 
+ * Query: format (json, html, text)
+ * Body: { locale?, productId?, data?, subject?, heading?, html? } - without html the stored template is used
+ */
+router.post('/email-templates/:name/preview', requireScope('products:read'), (req, res) => {
+  const { locale, productId, data = {}, subject = null, heading = null, html } = req.body;
+  
+  if (typeof data !== 'object' || data === null || Array.isArray(data)) {
+    return res.status(400).json({ error: 'invalid_field', message: 'data must be an object' });
+  }
+  
+  let override = null;
+  if (html !== undefined) {
+    const invalid = emailTemplates.validateEmailTemplate(req.params.name, { subject, heading, html });
+    if (invalid) {
+      return res.status(400).json({ error: 'invalid_template', message: invalid });
+    }
+    override = { subject, heading, html };
+  }
+  
+  sendPreview(req, res, { locale, product: productId, data, override });
+});
+
+/**
+ * GET /api/v1/admin/email-templates/:name/:locale
+ * Template source for one locale (the override if there is one, else the file)
+ */
+router.get('/email-templates/:name/:locale', requireScope('products:read'), (req, res) => {
+  const locale = emailTemplates.normalizeLocale(req.params.locale);
+  const template = locale && emailTemplates.EMAIL_TEMPLATES[req.params.name]
+    ? emailTemplates.getEmailTemplate(req.params.name, locale)
+    : null;
+  
+  if (!template) {
+    return res.status(404).json({ error: 'not_found', message: 'No template for this name and locale' });
+  }
+  
+  res.json(template);
+});
+
+/**
+ * PUT /api/v1/admin/email-templates/:name/:locale
+ * Create or replace a template override (also adds locales without a file)
+ * 
+ * Body: { subject, heading?, html } - subject is not used by the layout
+ */
+router.put('/email-templates/:name/:locale', requireScope('products:write'), (req, res) => {
+  const { subject, heading, html } = req.body;
+  const before = emailTemplates.getEmailTemplate(req.params.name, emailTemplates.normalizeLocale(req.params.locale));
+  
+  const result = emailTemplates.saveEmailTemplate(req.params.name, req.params.locale, { subject, heading, html }, req.actor);
+  
+  if (!result.success) {
+    return res.status(result.error === 'not_found' ? 404 : 400).json(result);
+  }
+  
+  const { template } = result;
+  logAudit(null, 'email_template_updated', null, req.ip, {
+    name: template.name,
+    locale: template.locale
+  }, { actor: req.actor, changes: diffChanges(before || {}, template, ['subject', 'heading', 'html']) });
+  
+  res.json(template);
+});
+
+/**
+ * DELETE /api/v1/admin/email-templates/:name/:locale
+ * Remove an override, reverting to the template file
+ */
+router.delete('/email-templates/:name/:locale', requireScope('products:write'), (req, res) => {
+  if (!emailTemplates.deleteEmailTemplate(req.params.name, req.params.locale)) {
+    return res.status(404).json({ error: 'not_found', message: 'No override for this name and locale' });
+  }
+  
+  logAudit(null, 'email_template_reset', null, req.ip, {
+    name: req.params.name,
+    locale: emailTemplates.normalizeLocale(req.params.locale)
+  }, { actor: req.actor });
+  
+  res.json({ success: true, message: 'Override removed' });
+});
+
+/**
+ * GET /api/v1/admin/reminders/due
+ * Renewal reminders the next run of the renewal-reminders job would send
+ */
+router.get('/reminders/due', requireScope('licenses:read'), (req, res) => {
+  const due = reminderService.findDueReminders();
+  
+  res.json({
+    windows: reminderService.REMINDER_WINDOWS,
+    reminders: due.filter(reminder => !reminder.unsubscribed),
+    unsubscribed: due.filter(reminder => reminder.unsubscribed).length
+  });
+});
+
+/**
+ * GET /api/v1/admin/customers/:email
+ * Customer email preferences
+ */
+router.get('/customers/:email', requireScope('licenses:read'), (req, res) => {
+  const customer = customerService.getCustomer(req.params.email);
+  
+  if (!customer) {
+    return res.status(404).json({ error: 'not_found', message: 'No preferences stored for this email' });
+  }
+  
+  const { unsubscribe_token, ...rest } = customer;
+  res.json(rest);
+});
+
+/**
+ * PATCH /api/v1/admin/customers/:email
+ * Unsubscribe or resubscribe a customer from renewal reminders, or set the locale of their emails
+ * 
+ * Body: { unsubscribed?: boolean, locale?: string|null }
+ */
+router.patch('/customers/:email', requireScope('licenses:write'), (req, res) => {
+  const { unsubscribed, locale } = req.body;
+  
+  if (unsubscribed === undefined && locale === undefined) {
+    return res.status(400).json({ error: 'missing_fields', message: 'Provide unsubscribed and/or locale' });
+  }
+  
+  if (unsubscribed !== undefined && typeof unsubscribed !== 'boolean') {
+    return res.status(400).json({ error: 'invalid_field', message: 'unsubscribed must be a boolean' });
+  }
+  
+  const normalizedLocale = locale === null ? null : emailTemplates.normalizeLocale(locale);
+  if (locale !== undefined && locale !== null && !normalizedLocale) {
+    return res.status(400).json({ error: 'invalid_locale', message: 'locale must be a language code such as en or da-DK, or null' });
+  }
+  
+  const before = customerService.getCustomer(req.params.email);
+  
+  if (unsubscribed !== undefined) {
+    customerService.setUnsubscribed(req.params.email, unsubscribed);
+    logAudit(null, unsubscribed ? 'customer_unsubscribed' : 'customer_resubscribed', null, req.ip, {
+      email: customerService.normalizeEmail(req.params.email)
+    }, { actor: req.actor, changes: diffChanges(before || {}, customerService.getCustomer(req.params.email), ['unsubscribed_at']) });
+  }
+  
+  if (locale !== undefined) {
+    customerService.setLocale(req.params.email, normalizedLocale);
+    const changes = diffChanges(before || {}, { locale: normalizedLocale }, ['locale']);
+    if (changes) {
+      logAudit(null, 'customer_updated', null, req.ip, {
+        email: customerService.normalizeEmail(req.params.email)
+      }, { actor: req.actor, changes });
+    }
+  }
+  
+  const { unsubscribe_token, ...customer } = customerService.getCustomer(req.params.email);
+  res.json(customer);
+});
+
+/**
+ * GET /api/v1/admin/jobs
+ * List scheduled jobs with schedule, next run, last run and whether one is running
+ */
+router.get('/jobs', requireScope('jobs:read'), (req, res) => {
+  res.json({ jobs: scheduler.listJobs(), schedulerEnabled: scheduler.isSchedulerEnabled() });
+});
+
+/**
+ * GET /api/v1/admin/jobs/runs
+ * Job run history across jobs, newest first
+ * 
+ * Query: job, status (running, success, failed, skipped), trigger (schedule, startup, manual), limit, offset
+ */
+router.get('/jobs/runs', requireScope('jobs:read'), (req, res) => {
+  const { job, status, trigger, limit, offset } = req.query;
+  const { runs, total } = scheduler.listJobRuns({ job, status, trigger, limit, offset });
+  
+  res.json({ runs, total, count: runs.length });
+});
+
+/**
+ * GET /api/v1/admin/jobs/:name/runs
+ * Run history of one job
+ * 
+ * Query: status, trigger, limit, offset
+ */
+router.get('/jobs/:name/runs', requireScope('jobs:read'), (req, res) => {
+  if (!scheduler.getJob(req.params.name)) {
+    return res.status(404).json({ error: 'not_found', message: `Unknown job: ${req.params.name}` });
+  }
+  
+  const { status, trigger, limit, offset } = req.query;
+  const { runs, total } = scheduler.listJobRuns({ job: req.params.name, status, trigger, limit, offset });
+  
+  res.json({ runs, total, count: runs.length });
+});
+
+/**
+ * POST /api/v1/admin/jobs/:name/run
+ * Start a job now; returns 202 with the run (poll GET /jobs/:name/runs for the outcome)
+ * 409 when a run of the job is already in progress
+ */
+router.post('/jobs/:name/run', requireScope('jobs:run'), (req, res) => {
+  const result = scheduler.triggerJob(req.params.name, { trigger: 'manual', triggeredBy: req.actor });
+  
+  if (!result.success) {
+    const status = result.error === 'not_found' ? 404 : 409;
+    return res.status(status).json({ error: result.error, message: result.message });
+  }
+  
+  logAudit(null, 'job_triggered', null, req.ip, { job: req.params.name, runId: result.run.id }, { actor: req.actor });
+  
+  res.status(202).json({ success: true, run: result.run });
+});
+
+/**
+ * GET /api/v1/admin/audit
+ * Query the audit log, newest first
+ * 
+ * Query: license (ID or key), action (comma-separated), domain (substring), ip, actor,
+ * from, to (ISO dates), limit (default 50, max 500), offset
+ */
+router.get('/audit', requireScope('audit:read'), (req, res) => {
+  const { license: licenseParam, action, domain, ip, actor, from, to, limit, offset } = req.query;
+  
+  let licenseId;
+  if (licenseParam) {
+    // Deleted licenses can still be queried by ID
+    const license = licenseService.resolveLicense(licenseParam);
+    licenseId = license ? license.id : (/^\d+$/.test(licenseParam) ? Number(licenseParam) : null);
+    
+    if (!licenseId) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+  }
+  
+  const result = queryAuditLog({ licenseId, action, domain, ipAddress: ip, actor, from, to, limit, offset });
+  
+  if (result.error) {
+    return res.status(400).json(result);
+  }
+  
+  res.json({ entries: result.entries, total: result.total, count: result.entries.length });
+});
+
+/**
+ * GET /api/v1/admin/search
+ * Full-text search over license emails/key prefixes/metadata, activation domains and audit details
+ * 
+ * Query: q (terms of 3+ characters, all must match), types (comma-separated: license,activation,audit), limit
+ */
+router.get('/search', requireScope('licenses:read'), (req, res) => {
+  const { q, types, limit } = req.query;
+  
+  const result = searchService.search(q, {
+    types: types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : undefined,
+    limit
+  });
+  
+  if (!result.success) {
+    return res.status(400).json({ error: result.error, message: result.message });
+  }
+  
+  res.json({ query: q, results: result.results, count: result.results.length });
+});
+
 /**
  * GET /api/v1/admin/stats
  * Get overall statistics
  */
-router.get('/stats', (req, res) => {
+router.get('/stats', requireScope('stats:read'), (req, res) => {
   const db = getDb();
   
   const totalLicenses = db.prepare('SELECT COUNT(*) as count FROM licenses').get().count;
   const totalActivations = db.prepare('SELECT COUNT(*) as count FROM activations WHERE is_active = 1').get().count;
   const expiredLicenses = db.prepare("SELECT COUNT(*) as count FROM licenses WHERE expires_at < datetime('now')").get().count;
   
+  // Active activations without a heartbeat for STALE_ACTIVATION_DAYS (flagged or not yet flagged by the job)
+  const staleActivations = db.prepare(`
+    SELECT COUNT(*) as count FROM activations
+    WHERE is_active = 1
+      AND (stale_at IS NOT NULL
+           OR datetime(COALESCE(last_heartbeat, activated_at)) <= datetime('now', ?))
+  `).get(`-${licenseService.STALE_ACTIVATION_DAYS} days`).count;
+  const staleDeactivated = db.prepare(`
+    SELECT COUNT(*) as count FROM activations WHERE deactivation_reason IN ('stale', 'reclaimed')
+  `).get().count;
+  
   const byPlan = db.prepare(`
     SELECT plan, COUNT(*) as count 
     FROM licenses 
     GROUP BY plan
   `).all();
   
+  const byStatus = db.prepare(`
+    SELECT status, COUNT(*) as count 
+    FROM licenses 
+    GROUP BY status
+  `).all();
+  
   const recentActivations = db.prepare(`
-    SELECT a.domain, a.activated_at, l.license_key, l.email
+    SELECT a.domain, a.activated_at, l.key_prefix, l.email
     FROM activations a
     JOIN licenses l ON a.license_id = l.id
     WHERE a.is_active = 1
     ORDER BY a.activated_at DESC
     LIMIT 10
-  `).all();
+  `).all().map(({ key_prefix, ...activation }) => ({
+    ...activation,
+    license_key: maskLicenseKey(key_prefix)
+  }));
   
   res.json({
     totalLicenses,
     totalActivations,
     expiredLicenses,
+    staleActivations,
+    staleDeactivated,
     byPlan: Object.fromEntries(byPlan.map(p => [p.plan, p.count])),
+    byStatus: Object.fromEntries(byStatus.map(s => [s.status, s.count])),
     recentActivations
   });
 });
@@ -2,44 +2,78 @@
  * Customer API routes
  * 
  * Public endpoints for customers to manage their licenses
- * Uses magic link authentication (email verification)
+ * Uses magic link authentication (email verification): the link is exchanged
+ * once for a session kept in HTTP-only cookies (see services/portal-session.js)
  */
 
 import { Router } from 'express';
-import jwt from 'jsonwebtoken';
 import { getDb } from '../db/init.js';
-import { sendPortalMagicLink } from '../services/email.js';
+import { signToken } from '../services/signing.js';
+import { sendPortalMagicLink, sendDeactivationConfirmation } from '../services/email.js';
+import { maskLicenseKey } from '../services/license-key.js';
+import { getLicenseById, getPortalDeactivationUsage, deactivateForCustomer } from '../services/license.js';
+import { getProductById } from '../services/product.js';
+import { normalizeEmail, unsubscribeByToken } from '../services/customer.js';
+import {
+  MAGIC_LINK_MINUTES,
+  ACCESS_MINUTES,
+  SESSION_DAYS,
+  createMagicLink,
+  startSession,
+  authenticateSession,
+  refreshSession,
+  getSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions
+} from '../services/portal-session.js';
+import { logAudit } from '../services/audit.js';
+import { parseCookies, serializeCookie } from '../utils/cookies.js';
 import { generalLimiter } from '../middleware/rate-limit.js';
 
 const router = Router();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
 const PORTAL_URL = process.env.PORTAL_URL || 'https://tutor-tracking.com/portal';
 
-/**
- * Generate a magic link token (30 minutes expiry)
- */
-function generateMagicToken(email) {
-  return jwt.sign(
-    { email, type: 'portal_access' },
-    JWT_SECRET,
-    { expiresIn: '30m' }
-  );
+// Session cookies: the access cookie goes to every customer endpoint, the refresh cookie only to /session
+const ACCESS_COOKIE = 'tlat_portal_session';
+const REFRESH_COOKIE = 'tlat_portal_refresh';
+const ACCESS_COOKIE_PATH = '/api/v1/customer';
+const REFRESH_COOKIE_PATH = '/api/v1/customer/session';
+
+// A portal on another site than the API needs SameSite=None, which browsers only accept with Secure
+const COOKIE_SAMESITE = process.env.PORTAL_COOKIE_SAMESITE || 'Lax';
+const COOKIE_SECURE = COOKIE_SAMESITE.toLowerCase() === 'none'
+  || (process.env.PORTAL_COOKIE_SECURE
+    ? process.env.PORTAL_COOKIE_SECURE === 'true'
+    : process.env.NODE_ENV === 'production');
+
+function cookieOptions(path, maxAge) {
+  return {
+    path,
+    maxAge,
+    domain: process.env.PORTAL_COOKIE_DOMAIN || undefined,
+    secure: COOKIE_SECURE,
+    httpOnly: true,
+    sameSite: COOKIE_SAMESITE
+  };
 }
 
 /**
- * Verify magic link token
+ * Set the session cookies after a login or refresh
  */
-function verifyMagicToken(token) {
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.type !== 'portal_access') {
-      return null;
-    }
-    return decoded;
-  } catch (err) {
-    return null;
-  }
+function setSessionCookies(res, { accessToken, refreshToken }) {
+  res.append('Set-Cookie', serializeCookie(ACCESS_COOKIE, accessToken, cookieOptions(ACCESS_COOKIE_PATH, ACCESS_MINUTES * 60)));
+  res.append('Set-Cookie', serializeCookie(REFRESH_COOKIE, refreshToken, cookieOptions(REFRESH_COOKIE_PATH, SESSION_DAYS * 86400)));
+}
+
+function clearSessionCookies(res) {
+  res.append('Set-Cookie', serializeCookie(ACCESS_COOKIE, '', cookieOptions(ACCESS_COOKIE_PATH, 0)));
+  res.append('Set-Cookie', serializeCookie(REFRESH_COOKIE, '', cookieOptions(REFRESH_COOKIE_PATH, 0)));
+}
+
+function sessionMeta(req) {
+  return { ipAddress: req.ip, userAgent: req.get('user-agent') || null };
 }
 
 /**
@@ -70,18 +104,18 @@ router.post('/login', generalLimiter, async (req, res) => {
     });
   }
   
-  // Check if email has any licenses
+  // Check if email has any licenses (stored with the case they were given in)
   const db = getDb();
-  const licenses = db.prepare('SELECT id FROM licenses WHERE email = ? LIMIT 1').get(email.toLowerCase());
+  const licenses = db.prepare('SELECT id FROM licenses WHERE lower(email) = ? LIMIT 1').get(normalizeEmail(email));
   
   // Always return success to prevent email enumeration
   // But only send email if licenses exist
   if (licenses) {
-    const token = generateMagicToken(email.toLowerCase());
+    const token = createMagicLink(email, req.ip);
     const portalLink = `${PORTAL_URL}?token=${token}`;
     
     try {
-      await sendPortalMagicLink({ email: email.toLowerCase(), portalLink });
+      await sendPortalMagicLink({ email: normalizeEmail(email), portalLink, expiresMinutes: MAGIC_LINK_MINUTES });
     } catch (err) {
       console.error('Failed to send magic link email:', err);
       // Still return success to prevent enumeration
@@ -95,32 +129,183 @@ router.post('/login', generalLimiter, async (req, res) => {
 });
 
 /**
- * GET /api/v1/customer/licenses
- * Get all licenses for authenticated customer
+ * POST /api/v1/customer/session
+ * Exchange a login link token for a session (the link works once)
+ * Sets the HTTP-only session and refresh cookies
  * 
- * Query: { token: string }
- * Response: { licenses: [...] }
+ * Body: { token: string } (the token from the login link)
+ * Response: { success, email, session: { id, expiresAt, ... } }
  */
-router.get('/licenses', (req, res) => {
-  const { token } = req.query;
+router.post('/session', generalLimiter, (req, res) => {
+  const token = req.body?.token;
+  
+  if (!token || typeof token !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'missing_token',
+      message: 'Login link token is required'
+    });
+  }
+  
+  const result = startSession(token, sessionMeta(req));
+  
+  if (!result.success) {
+    return res.status(401).json(result);
+  }
+  
+  const { email, ...session } = result.session;
+  setSessionCookies(res, result);
+  logAudit(null, 'portal_login', null, req.ip, { sessionId: session.id }, { actor: email });
+  
+  res.json({
+    success: true,
+    email,
+    session
+  });
+});
+
+/**
+ * POST /api/v1/customer/session/refresh
+ * Get a new session cookie with the refresh cookie (both are rotated)
+ * 401 session_expired means signing in again; 401 refresh_conflict means another
+ * request refreshed at the same time and the new cookies are already set
+ * 
+ * Response: { success, email, session }
+ */
+router.post('/session/refresh', generalLimiter, (req, res) => {
+  const refreshToken = parseCookies(req.headers.cookie)[REFRESH_COOKIE];
+  const result = refreshSession(refreshToken, sessionMeta(req));
+  
+  if (!result.success) {
+    if (result.error === 'session_expired') clearSessionCookies(res);
+    return res.status(401).json(result);
+  }
+  
+  const { email, ...session } = result.session;
+  setSessionCookies(res, result);
+  
+  res.json({
+    success: true,
+    email,
+    session
+  });
+});
+
+/**
+ * DELETE /api/v1/customer/session
+ * Log out: end the current session and clear its cookies
+ * Works with the refresh cookie alone, so an expired access cookie can still log out
+ */
+router.delete('/session', (req, res) => {
+  const cookies = parseCookies(req.headers.cookie);
+  const session = authenticateSession(cookies[ACCESS_COOKIE])
+    || getSessionByRefreshToken(cookies[REFRESH_COOKIE]);
+  
+  if (session && revokeSession(session.id, session.email, 'logout')) {
+    logAudit(null, 'portal_logout', null, req.ip, { sessionId: session.id }, { actor: session.email });
+  }
+  
+  clearSessionCookies(res);
+  
+  res.json({
+    success: true,
+    message: 'Signed out'
+  });
+});
+
+/**
+ * GET /api/v1/customer/sessions
+ * The customer's active sessions (devices); current marks this one
+ */
+router.get('/sessions', requireCustomerAuth, (req, res) => {
+  res.json({
+    success: true,
+    sessions: listSessions(req.customerEmail, req.portalSession.id)
+  });
+});
+
+/**
+ * DELETE /api/v1/customer/sessions/:id
+ * Sign out one of the customer's sessions (e.g. a lost device)
+ */
+router.delete('/sessions/:id', requireCustomerAuth, (req, res) => {
+  const id = Number(req.params.id);
+  
+  if (!revokeSession(id, req.customerEmail, 'logout')) {
+    return res.status(404).json({
+      success: false,
+      error: 'not_found',
+      message: 'Session not found'
+    });
+  }
+  
+  logAudit(null, 'portal_logout', null, req.ip, { sessionId: id }, { actor: req.customerEmail });
+  if (id === req.portalSession.id) clearSessionCookies(res);
+  
+  res.json({
+    success: true,
+    message: 'Session signed out'
+  });
+});
+
+/**
+ * DELETE /api/v1/customer/sessions
+ * Sign out everywhere: end all of the customer's sessions, including this one
+ * 
+ * Response: { success, revoked: number }
+ */
+router.delete('/sessions', requireCustomerAuth, (req, res) => {
+  const revoked = revokeAllSessions(req.customerEmail);
+  
+  logAudit(null, 'portal_sessions_revoked', null, req.ip, { revoked }, { actor: req.customerEmail });
+  clearSessionCookies(res);
+  
+  res.json({
+    success: true,
+    message: 'Signed out on all devices',
+    revoked
+  });
+});
+
+/**
+ * POST /api/v1/customer/unsubscribe
+ * Stop renewal reminder emails (link in every reminder, also the mail client's one-click unsubscribe)
+ * 
+ * Body or query: { token: string } (the customer's unsubscribe token)
+ */
+router.post('/unsubscribe', (req, res) => {
+  const token = req.body?.token || req.query.token;
   
   if (!token) {
-    return res.status(401).json({
+    return res.status(400).json({
       success: false,
       error: 'missing_token',
-      message: 'Authentication token required. Request a login link first.'
+      message: 'Unsubscribe token is required'
     });
   }
   
-  const decoded = verifyMagicToken(token);
-  if (!decoded) {
-    return res.status(401).json({
+  const customer = unsubscribeByToken(token);
+  if (!customer) {
+    return res.status(404).json({
       success: false,
       error: 'invalid_token',
-      message: 'Invalid or expired token. Please request a new login link.'
+      message: 'Unknown unsubscribe link'
     });
   }
   
+  res.json({
+    success: true,
+    message: 'You will no longer receive renewal reminders.'
+  });
+});
+
+/**
+ * GET /api/v1/customer/licenses
+ * Get all licenses for authenticated customer
+ * 
+ * Response: { licenses: [...] }
+ */
+router.get('/licenses', requireCustomerAuth, (req, res) => {
   const db = getDb();
   
   // Get all licenses for this email
@@ -128,9 +313,9 @@ router.get('/licenses', (req, res) => {
     SELECT l.*, p.name as product_name, p.slug as product_slug, p.current_version
     FROM licenses l
     LEFT JOIN products p ON l.product_id = p.id
-    WHERE l.email = ?
+    WHERE lower(l.email) = ?
     ORDER BY l.created_at DESC
-  `).all(decoded.email);
+  `).all(req.customerEmail);
   
   // Enrich with activation data
   const enrichedLicenses = licenses.map(license => {
@@ -144,12 +329,14 @@ router.get('/licenses', (req, res) => {
     
     return {
       id: license.id,
-      licenseKey: license.license_key,
+      licenseKey: maskLicenseKey(license.key_prefix),
       plan: license.plan,
-      status: isExpired ? 'expired' : 'active',
+      status: license.status !== 'active' ? license.status : (isExpired ? 'expired' : 'active'),
+      statusReason: license.status_reason,
       maxActivations: license.max_activations,
       expiresAt: license.expires_at,
       createdAt: license.created_at,
+      deactivations: getPortalDeactivationUsage(license.id),
       product: license.product_name ? {
         name: license.product_name,
         slug: license.product_slug,
@@ -168,37 +355,71 @@ router.get('/licenses', (req, res) => {
   
   res.json({
     success: true,
-    email: decoded.email,
+    email: req.customerEmail,
     licenses: enrichedLicenses
   });
 });
 
 /**
- * GET /api/v1/customer/download
- * Get download link for latest plugin version
+ * POST /api/v1/customer/licenses/:id/deactivate
+ * Deactivate one of the customer's sites to free its slot (e.g. after moving hosts)
+ * Limited to PORTAL_DEACTIVATIONS_PER_MONTH per license; the customer gets a confirmation email
  * 
- * Query: { token: string, product: string }
+ * Body: { domain: string }
+ * Response: { success, domain, remaining, deactivations: { limit, used, remaining, resetsAt } }
  */
-router.get('/download', (req, res) => {
-  const { token, product } = req.query;
+router.post('/licenses/:id/deactivate', generalLimiter, requireCustomerAuth, async (req, res) => {
+  const { domain } = req.body;
   
-  if (!token) {
-    return res.status(401).json({
+  if (!domain || typeof domain !== 'string') {
+    return res.status(400).json({
       success: false,
-      error: 'missing_token',
-      message: 'Authentication token required'
+      error: 'missing_domain',
+      message: 'domain is required'
     });
   }
   
-  const decoded = verifyMagicToken(token);
-  if (!decoded) {
-    return res.status(401).json({
-      success: false,
-      error: 'invalid_token',
-      message: 'Invalid or expired token'
+  const result = deactivateForCustomer(req.params.id, req.customerEmail, domain, req.ip);
+  
+  if (!result.success) {
+    return res.status(result.error === 'deactivation_limit' ? 429 : 404).json(result);
+  }
+  
+  // The site is deactivated either way - the email is a confirmation
+  try {
+    const license = getLicenseById(result.licenseId);
+    const product = license.product_id ? getProductById(license.product_id) : null;
+    
+    await sendDeactivationConfirmation({
+      email: req.customerEmail,
+      licenseKey: maskLicenseKey(license.key_prefix),
+      productName: product ? product.name : 'Tutor LMS Advanced Tracking',
+      domain: result.domain,
+      deactivationsLeft: result.deactivations.remaining,
+      portalUrl: PORTAL_URL,
+      product
     });
+  } catch (err) {
+    console.error('Failed to send deactivation confirmation:', err);
   }
   
+  res.json({
+    success: true,
+    message: result.message,
+    domain: result.domain,
+    remaining: result.remaining,
+    deactivations: result.deactivations
+  });
+});
+
+/**
+ * GET /api/v1/customer/download
+ * Get download link for latest plugin version
+ * 
+ * Query: { product: string }
+ */
+router.get('/download', requireCustomerAuth, (req, res) => {
+  const { product } = req.query;
   const db = getDb();
   
   // Verify user has a license for this product
@@ -206,9 +427,9 @@ router.get('/download', (req, res) => {
     SELECT l.id, p.slug, p.current_version, p.download_url
     FROM licenses l
     JOIN products p ON l.product_id = p.id
-    WHERE l.email = ? AND p.slug = ?
+    WHERE lower(l.email) = ? AND p.slug = ?
     LIMIT 1
-  `).get(decoded.email, product || 'tutor-lms-tracking');
+  `).get(req.customerEmail, product || 'tutor-lms-tracking');
   
   if (!license) {
     return res.status(403).json({
@@ -219,13 +440,12 @@ router.get('/download', (req, res) => {
   }
   
   // Generate time-limited download token (1 hour)
-  const downloadToken = jwt.sign(
+  const downloadToken = signToken(
     { 
-      email: decoded.email, 
+      email: req.customerEmail, 
       product: license.slug,
       type: 'download'
     },
-    JWT_SECRET,
     { expiresIn: '1h' }
   );
   
@@ -239,29 +459,40 @@ router.get('/download', (req, res) => {
 });
 
 /**
- * Middleware to verify customer token from Authorization header or query
+ * Middleware to verify the customer's session cookie
+ * Sets req.customerEmail and req.portalSession
  */
 export function requireCustomerAuth(req, res, next) {
-  const token = req.query.token || req.headers.authorization?.replace('Bearer ', '');
+  const token = parseCookies(req.headers.cookie)[ACCESS_COOKIE];
   
   if (!token) {
     return res.status(401).json({
       success: false,
-      error: 'missing_token',
-      message: 'Authentication required'
+      error: 'missing_session',
+      message: 'Authentication required. Request a login link first.'
     });
   }
   
-  const decoded = verifyMagicToken(token);
-  if (!decoded) {
+  const session = authenticateSession(token, { ipAddress: req.ip });
+  if (!session) {
     return res.status(401).json({
       success: false,
-      error: 'invalid_token',
-      message: 'Invalid or expired token'
+      error: 'session_expired',
+      message: 'Session expired. Refresh it or sign in again.'
+    });
+  }
+  
+  // Cookies are sent on cross-site form posts too; a JSON body needs a CORS preflight
+  if (req.method !== 'GET' && req.method !== 'DELETE' && !req.is('application/json')) {
+    return res.status(415).json({
+      success: false,
+      error: 'unsupported_media_type',
+      message: 'Requests must be sent as application/json'
     });
   }
   
-  req.customerEmail = decoded.email;
+  req.customerEmail = session.email;
+  req.portalSession = session;
   next();
 }
 
@@ -6,10 +6,15 @@
 
 import { Router } from 'express';
 import * as licenseService from '../services/license.js';
-import { activationLimiter, validationLimiter } from '../middleware/rate-limit.js';
+import * as redemptionService from '../services/redemption.js';
+import { activationLimiter, validationLimiter, redemptionLimiter } from '../middleware/rate-limit.js';
+import { EMAIL_PATTERN } from '../services/batch.js';
 
 const router = Router();
 
+// HTTP status for redemption errors (others are 400)
+const REDEEM_STATUS = { invalid_code: 404, already_redeemed: 409, code_voided: 410 };
+
 /**
  * POST /api/v1/license/activate
  * Activate a license for a domain
@@ -106,6 +111,53 @@ router.post('/heartbeat', validationLimiter, (req, res) => {
   res.status(result.success ? 200 : 400).json(result);
 });
 
+/**
+ * POST /api/v1/license/redeem
+ * Redeem an unclaimed code: creates a license for the email and sends the key
+ * Rate limited: 10 per hour per IP
+ */
+router.post('/redeem', redemptionLimiter, async (req, res) => {
+  const { code, email } = req.body;
+  
+  if (!code || !email) {
+    return res.status(400).json({
+      success: false,
+      error: 'missing_params',
+      message: 'code and email are required'
+    });
+  }
+  
+  if (typeof code !== 'string' || typeof email !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'invalid_params',
+      message: 'code and email must be strings'
+    });
+  }
+  
+  if (!EMAIL_PATTERN.test(email)) {
+    return res.status(400).json({
+      success: false,
+      error: 'invalid_email',
+      message: 'A valid email address is required'
+    });
+  }
+  
+  try {
+    const result = await redemptionService.redeemCode(code.trim().toUpperCase(), email.trim(), { ipAddress: req.ip });
+    
+    const status = result.success ? 201 : (REDEEM_STATUS[result.error] || 400);
+    res.status(status).json(result);
+  } catch (error) {
+    console.error('Redeem code error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'server_error',
+      message: 'Failed to redeem code'
+    });
+  }
+});
+
 /**
  * GET /api/v1/license/status
  * Quick status check for a license (requires X-License-Key header)
@@ -1,5 +1,6 @@
 /**
  * Products API routes (admin only)
+ * Requires an API key with products:read (GET) or products:write
  */
 
 import { Router } from 'express';
@@ -12,36 +13,79 @@ import {
   deleteProduct,
   getProductStats
 } from '../services/product.js';
+import {
+  createPlan,
+  getPlanById,
+  getPlan,
+  getPlansForProduct,
+  updatePlan,
+  deletePlan,
+  addPlanPrice,
+  removePlanPrice,
+  getPlanByPrice,
+  validateFeatures
+} from '../services/plan.js';
+import { KEY_PREFIX_PATTERN } from '../services/license-key.js';
+import { validateBranding } from '../services/email-templates.js';
+import { logAudit, diffChanges } from '../services/audit.js';
+import { requireApiKey, requireScope } from '../middleware/auth.js';
 
 const router = Router();
 
-// Middleware: require admin API key (supports both x-api-key and Bearer token)
-const requireAdmin = (req, res, next) => {
-  // Check x-api-key header first
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey && apiKey === process.env.ADMIN_API_KEY) {
-    return next();
-  }
-  
-  // Fall back to Bearer token (for compatibility with admin routes)
-  const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    const token = authHeader.slice(7);
-    if (token === process.env.ADMIN_API_KEY) {
-      return next();
+const PREFIX_ERROR = { error: 'invalid_prefix', message: 'licensePrefix must be 2-10 uppercase letters or digits' };
+
+const STALE_DAYS_ERROR = { error: 'invalid_stale_days', message: 'staleDeactivateDays must be a positive integer or null' };
+
+/**
+ * staleDeactivateDays: unset, null (never deactivate) or a positive number of days
+ */
+function isValidStaleDays(value) {
+  return value === undefined || value === null || (Number.isInteger(value) && value > 0);
+}
+
+// Plan counts: smallest allowed value and whether null is allowed (durationDays null = lifetime, devSites null = unlimited)
+const PLAN_COUNTS = {
+  maxActivations: { min: 0, nullable: false },
+  durationDays: { min: 1, nullable: true },
+  devSites: { min: 0, nullable: true }
+};
+
+/**
+ * Validate the plan counts present in a request body
+ * Returns an error response body, or null when they are all valid
+ */
+function getPlanCountsError(body) {
+  for (const [field, { min, nullable }] of Object.entries(PLAN_COUNTS)) {
+    const value = body[field];
+    if (value === undefined || (value === null && nullable)) continue;
+    
+    if (!Number.isInteger(value) || value < min) {
+      const kind = min > 0 ? 'a positive integer' : 'a non-negative integer';
+      return { error: 'invalid_field', message: `${field} must be ${kind}${nullable ? ' or null' : ''}` };
     }
   }
   
-  return res.status(401).json({ error: 'unauthorized', message: 'Valid admin API key required' });
-};
+  return null;
+}
 
-router.use(requireAdmin);
+// Fields compared for the audit diff of product/plan updates
+const PRODUCT_FIELDS = ['name', 'description', 'current_version', 'download_url', 'license_prefix', 'branding', 'is_active'];
+const PLAN_FIELDS = ['name', 'max_activations', 'duration_days', 'dev_sites', 'updates_access', 'features', 'stale_deactivate_days', 'is_active'];
+
+/**
+ * Audit a product/plan change (not tied to a license)
+ */
+function auditChange(req, action, details, changes = null) {
+  logAudit(null, action, null, req.ip, details, { actor: req.actor, changes });
+}
+
+router.use(requireApiKey);
 
 /**
  * GET /api/admin/products
  * List all products
  */
-router.get('/', (req, res) => {
+router.get('/', requireScope('products:read'), (req, res) => {
   try {
     const includeInactive = req.query.includeInactive === 'true';
     const products = getAllProducts(includeInactive);
@@ -63,21 +107,32 @@ router.get('/', (req, res) => {
  * POST /api/admin/products
  * Create a new product
  */
-router.post('/', (req, res) => {
+router.post('/', requireScope('products:write'), (req, res) => {
   try {
-    const { slug, name, description, currentVersion, downloadUrl } = req.body;
+    const { slug, name, description, currentVersion, downloadUrl, licensePrefix } = req.body;
     
     if (!slug || !name) {
       return res.status(400).json({ error: 'missing_fields', message: 'slug and name are required' });
     }
     
+    if (licensePrefix && !KEY_PREFIX_PATTERN.test(licensePrefix)) {
+      return res.status(400).json(PREFIX_ERROR);
+    }
+    
+    const { branding, error: brandingError } = validateBranding(req.body.branding ?? null);
+    if (brandingError) {
+      return res.status(400).json({ error: 'invalid_branding', message: brandingError });
+    }
+    
     // Check if slug already exists
     const existing = getProductBySlug(slug);
     if (existing) {
       return res.status(409).json({ error: 'duplicate_slug', message: 'A product with this slug already exists' });
     }
     
-    const product = createProduct({ slug, name, description, currentVersion, downloadUrl });
+    const product = createProduct({ slug, name, description, currentVersion, downloadUrl, licensePrefix, branding });
+    auditChange(req, 'product_created', { productId: product.id, slug });
+    
     res.status(201).json({ product });
   } catch (error) {
     console.error('Error creating product:', error);
@@ -89,7 +144,7 @@ router.post('/', (req, res) => {
  * GET /api/admin/products/:id
  * Get product by ID
  */
-router.get('/:id', (req, res) => {
+router.get('/:id', requireScope('products:read'), (req, res) => {
   try {
     const product = getProductById(req.params.id);
     
@@ -109,7 +164,7 @@ router.get('/:id', (req, res) => {
  * PATCH /api/admin/products/:id
  * Update a product
  */
-router.patch('/:id', (req, res) => {
+router.patch('/:id', requireScope('products:write'), (req, res) => {
   try {
     const product = getProductById(req.params.id);
     
@@ -117,8 +172,29 @@ router.patch('/:id', (req, res) => {
       return res.status(404).json({ error: 'not_found', message: 'Product not found' });
     }
     
-    const { name, description, currentVersion, downloadUrl, isActive } = req.body;
-    const updated = updateProduct(req.params.id, { name, description, currentVersion, downloadUrl, isActive });
+    const { name, description, currentVersion, downloadUrl, licensePrefix, isActive } = req.body;
+    
+    // Changing the prefix only affects keys issued from now on
+    if (licensePrefix && !KEY_PREFIX_PATTERN.test(licensePrefix)) {
+      return res.status(400).json(PREFIX_ERROR);
+    }
+    
+    // Email branding is replaced as a whole; null resets it to the defaults
+    let branding;
+    if (req.body.branding !== undefined) {
+      const result = validateBranding(req.body.branding);
+      if (result.error) {
+        return res.status(400).json({ error: 'invalid_branding', message: result.error });
+      }
+      branding = result.branding;
+    }
+    
+    const updated = updateProduct(req.params.id, { name, description, currentVersion, downloadUrl, licensePrefix, branding, isActive });
+    
+    const changes = diffChanges(product, updated, PRODUCT_FIELDS);
+    if (changes) {
+      auditChange(req, 'product_updated', { productId: product.id, slug: product.slug }, changes);
+    }
     
     res.json({ product: updated });
   } catch (error) {
@@ -131,7 +207,7 @@ router.patch('/:id', (req, res) => {
  * DELETE /api/admin/products/:id
  * Soft-delete a product
  */
-router.delete('/:id', (req, res) => {
+router.delete('/:id', requireScope('products:write'), (req, res) => {
   try {
     const product = getProductById(req.params.id);
     
@@ -140,6 +216,8 @@ router.delete('/:id', (req, res) => {
     }
     
     deleteProduct(req.params.id);
+    auditChange(req, 'product_deleted', { productId: product.id, slug: product.slug }, diffChanges(product, { is_active: 0 }));
+    
     res.json({ success: true, message: 'Product deactivated' });
   } catch (error) {
     console.error('Error deleting product:', error);
@@ -147,4 +225,211 @@ router.delete('/:id', (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/products/:id/plans
+ * List a product's plans with their provider price mappings
+ */
+router.get('/:id/plans', requireScope('products:read'), (req, res) => {
+  try {
+    const product = getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ error: 'not_found', message: 'Product not found' });
+    }
+    
+    const includeInactive = req.query.includeInactive === 'true';
+    res.json({ plans: getPlansForProduct(product.id, includeInactive) });
+  } catch (error) {
+    console.error('Error listing plans:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to list plans' });
+  }
+});
+
+/**
+ * POST /api/admin/products/:id/plans
+ * Create a plan
+ */
+router.post('/:id/plans', requireScope('products:write'), (req, res) => {
+  try {
+    const product = getProductById(req.params.id);
+    
+    if (!product) {
+      return res.status(404).json({ error: 'not_found', message: 'Product not found' });
+    }
+    
+    const { slug, name, maxActivations, durationDays, devSites, updatesAccess, features, staleDeactivateDays } = req.body;
+    
+    if (!slug || !name) {
+      return res.status(400).json({ error: 'missing_fields', message: 'slug and name are required' });
+    }
+    
+    if (features !== undefined) {
+      const featuresError = validateFeatures(features);
+      if (featuresError) {
+        return res.status(400).json({ error: 'invalid_features', message: featuresError });
+      }
+    }
+    
+    if (!isValidStaleDays(staleDeactivateDays)) {
+      return res.status(400).json(STALE_DAYS_ERROR);
+    }
+    
+    const countsError = getPlanCountsError(req.body);
+    if (countsError) {
+      return res.status(400).json(countsError);
+    }
+    
+    if (getPlan(product.id, slug)) {
+      return res.status(409).json({ error: 'duplicate_slug', message: 'A plan with this slug already exists for this product' });
+    }
+    
+    const plan = createPlan({
+      productId: product.id,
+      slug,
+      name,
+      maxActivations,
+      durationDays,
+      devSites,
+      updatesAccess,
+      features,
+      staleDeactivateDays
+    });
+    auditChange(req, 'plan_created', { productId: product.id, planId: plan.id, slug });
+    
+    res.status(201).json({ plan });
+  } catch (error) {
+    console.error('Error creating plan:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to create plan' });
+  }
+});
+
+/**
+ * Find a plan belonging to the product in the URL
+ */
+function findProductPlan(req, res) {
+  const plan = getPlanById(req.params.planId);
+  
+  if (!plan || String(plan.product_id) !== String(req.params.id)) {
+    res.status(404).json({ error: 'not_found', message: 'Plan not found' });
+    return null;
+  }
+  
+  return plan;
+}
+
+/**
+ * PATCH /api/admin/products/:id/plans/:planId
+ * Update a plan (existing licenses keep their activation limit and expiry)
+ */
+router.patch('/:id/plans/:planId', requireScope('products:write'), (req, res) => {
+  try {
+    const plan = findProductPlan(req, res);
+    if (!plan) return;
+    
+    const { name, maxActivations, durationDays, devSites, updatesAccess, features, staleDeactivateDays, isActive } = req.body;
+    
+    if (features !== undefined) {
+      const featuresError = validateFeatures(features);
+      if (featuresError) {
+        return res.status(400).json({ error: 'invalid_features', message: featuresError });
+      }
+    }
+    
+    if (!isValidStaleDays(staleDeactivateDays)) {
+      return res.status(400).json(STALE_DAYS_ERROR);
+    }
+    
+    const countsError = getPlanCountsError(req.body);
+    if (countsError) {
+      return res.status(400).json(countsError);
+    }
+    
+    const updated = updatePlan(plan.id, { name, maxActivations, durationDays, devSites, updatesAccess, features, staleDeactivateDays, isActive });
+    
+    const changes = diffChanges(plan, updated, PLAN_FIELDS);
+    if (changes) {
+      auditChange(req, 'plan_updated', { productId: plan.product_id, planId: plan.id, slug: plan.slug }, changes);
+    }
+    
+    res.json({ plan: updated });
+  } catch (error) {
+    console.error('Error updating plan:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to update plan' });
+  }
+});
+
+/**
+ * DELETE /api/admin/products/:id/plans/:planId
+ * Soft-delete a plan
+ */
+router.delete('/:id/plans/:planId', requireScope('products:write'), (req, res) => {
+  try {
+    const plan = findProductPlan(req, res);
+    if (!plan) return;
+    
+    deletePlan(plan.id);
+    auditChange(req, 'plan_deleted', { productId: plan.product_id, planId: plan.id, slug: plan.slug }, diffChanges(plan, { is_active: false }));
+    
+    res.json({ success: true, message: 'Plan deactivated' });
+  } catch (error) {
+    console.error('Error deleting plan:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to delete plan' });
+  }
+});
+
+/**
+ * POST /api/admin/products/:id/plans/:planId/prices
+ * Map a payment provider price ID to a plan
+ */
+router.post('/:id/plans/:planId/prices', requireScope('products:write'), (req, res) => {
+  try {
+    const plan = findProductPlan(req, res);
+    if (!plan) return;
+    
+    const { provider = 'stripe', priceId } = req.body;
+    
+    if (!priceId) {
+      return res.status(400).json({ error: 'missing_fields', message: 'priceId is required' });
+    }
+    
+    const existing = getPlanByPrice(provider, priceId);
+    if (existing) {
+      return res.status(409).json({
+        error: 'duplicate_price',
+        message: `${provider} price ${priceId} is already mapped to plan ${existing.slug}`
+      });
+    }
+    
+    const price = addPlanPrice(plan.id, { provider, priceId });
+    auditChange(req, 'plan_price_added', { productId: plan.product_id, planId: plan.id, provider, priceId: price.price_id });
+    
+    res.status(201).json({ price });
+  } catch (error) {
+    console.error('Error adding plan price:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to add plan price' });
+  }
+});
+
+/**
+ * DELETE /api/admin/products/:id/plans/:planId/prices/:priceMappingId
+ * Remove a price mapping
+ */
+router.delete('/:id/plans/:planId/prices/:priceMappingId', requireScope('products:write'), (req, res) => {
+  try {
+    const plan = findProductPlan(req, res);
+    if (!plan) return;
+    
+    if (!removePlanPrice(plan.id, req.params.priceMappingId)) {
+      return res.status(404).json({ error: 'not_found', message: 'Price mapping not found' });
+    }
+    
+    auditChange(req, 'plan_price_removed', { productId: plan.product_id, planId: plan.id, priceMappingId: Number(req.params.priceMappingId) });
+    
+    res.json({ success: true, message: 'Price mapping removed' });
+  } catch (error) {
+    console.error('Error removing plan price:', error);
+    res.status(500).json({ error: 'server_error', message: 'Failed to remove plan price' });
+  }
+});
+
 export default router;
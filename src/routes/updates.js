@@ -36,13 +36,16 @@ router.post('/check', validationLimiter, (req, res) => {
   
   // If license provided, validate it for download access
   let licenseValid = false;
+  let updatesAccess = false;
   let downloadUrl = null;
   
   if (license_key && domain) {
     const licenseResult = licenseService.validateLicense(license_key, domain);
     licenseValid = licenseResult.valid;
+    updatesAccess = licenseValid && licenseResult.license.updatesAccess;
     
-    if (licenseValid && updateInfo.hasUpdate) {
+    // Plans without update access still get version info, but no download
+    if (updatesAccess && updateInfo.hasUpdate) {
       // Generate signed download URL
       downloadUrl = updateService.getSignedDownloadUrl(
         slug, 
@@ -69,7 +72,8 @@ router.post('/check', validationLimiter, (req, res) => {
       releaseDate: updateInfo.releaseDate,
       urgent: updateInfo.urgent || false
     } : null,
-    licenseValid
+    licenseValid,
+    updatesAccess
   });
 });
 
@@ -1,98 +1,80 @@
 /**
  * Webhook handlers for external services
+ * 
+ * POST /api/v1/webhooks/:provider for each registered payment provider
+ * (stripe, paddle, lemonsqueezy). Adapters live in src/services/providers.
  */
 
 import { Router } from 'express';
-import crypto from 'crypto';
-import { createLicense } from '../services/license.js';
-import { getProductBySlug } from '../services/product.js';
-import { sendLicenseEmail } from '../services/email.js';
+import { getPaymentProvider } from '../services/providers/index.js';
+import { recordWebhookEvent, processWebhookEvent } from '../services/webhook-events.js';
 
 const router = Router();
 
-const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+// Local testing only: accept unsigned webhooks (never honoured in production)
+const SKIP_VERIFICATION = process.env.WEBHOOK_SKIP_VERIFICATION === 'true'
+  && process.env.NODE_ENV !== 'production';
 
-/**
- * Verify Stripe webhook signature
- */
-function verifyStripeSignature(payload, signature) {
-  if (!STRIPE_WEBHOOK_SECRET) {
-    console.warn('STRIPE_WEBHOOK_SECRET not set, skipping signature verification');
-    return true;
-  }
-
-  const elements = signature.split(',');
-  const signatureMap = {};
-  for (const element of elements) {
-    const [key, value] = element.split('=');
-    signatureMap[key] = value;
-  }
-
-  const timestamp = signatureMap['t'];
-  const signatures = Object.entries(signatureMap)
-    .filter(([k]) => k.startsWith('v1'))
-    .map(([, v]) => v);
-
-  const signedPayload = `${timestamp}.${payload}`;
-  const expectedSignature = crypto
-    .createHmac('sha256', STRIPE_WEBHOOK_SECRET)
-    .update(signedPayload)
-    .digest('hex');
-
-  return signatures.some(sig => crypto.timingSafeEqual(
-    Buffer.from(sig),
-    Buffer.from(expectedSignature)
-  ));
+if (SKIP_VERIFICATION) {
+  console.warn('⚠ WEBHOOK_SKIP_VERIFICATION=true - webhook signatures are NOT verified');
 }
 
 /**
- * POST /api/v1/webhooks/stripe
- * Handle Stripe webhook events
+ * POST /api/v1/webhooks/:provider
+ * Handle payment provider webhook events
+ * 
+ * req.body is the raw Buffer (see express.raw for /api/v1/webhooks in index.js)
  */
-router.post('/stripe', async (req, res) => {
-  const signature = req.headers['stripe-signature'];
-  const rawBody = JSON.stringify(req.body);
+router.post('/:provider', async (req, res) => {
+  const provider = getPaymentProvider(req.params.provider);
+  
+  if (!provider) {
+    return res.status(404).json({ error: 'unknown_provider' });
+  }
+  
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
 
-  // Verify signature in production
-  if (process.env.NODE_ENV === 'production' && STRIPE_WEBHOOK_SECRET) {
-    try {
-      if (!verifyStripeSignature(rawBody, signature)) {
-        console.error('Invalid Stripe webhook signature');
-        return res.status(400).json({ error: 'invalid_signature' });
-      }
-    } catch (err) {
-      console.error('Signature verification failed:', err);
-      return res.status(400).json({ error: 'signature_verification_failed' });
+  if (!SKIP_VERIFICATION) {
+    if (!provider.isConfigured()) {
+      console.error(`${provider.name} webhook secret not set, rejecting webhook`);
+      return res.status(500).json({ error: 'webhook_not_configured' });
     }
-  }
 
-  const event = req.body;
-  console.log(`Stripe webhook received: ${event.type}`);
+    const verification = provider.verify(rawBody, req.headers);
+    if (!verification.valid) {
+      console.error(`${provider.name} webhook signature rejected: ${verification.error}`);
+      return res.status(400).json({ error: verification.error });
+    }
+  }
 
+  let payload;
   try {
-    switch (event.type) {
-      case 'checkout.session.completed': {
-        const session = event.data.object;
-        await handleCheckoutCompleted(session);
-        break;
-      }
+    payload = JSON.parse(rawBody.toString('utf8'));
+  } catch (err) {
+    return res.status(400).json({ error: 'invalid_payload' });
+  }
 
-      case 'customer.subscription.created': {
-        const subscription = event.data.object;
-        await handleSubscriptionCreated(subscription);
-        break;
-      }
+  // Signed JSON can still be null, a number or an array
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return res.status(400).json({ error: 'invalid_payload' });
+  }
 
-      case 'customer.subscription.deleted': {
-        const subscription = event.data.object;
-        await handleSubscriptionDeleted(subscription);
-        break;
-      }
+  try {
+    const { id, type } = provider.parseEvent(payload);
+    console.log(`${provider.name} webhook received: ${type}`);
 
-      default:
-        console.log(`Unhandled event type: ${event.type}`);
+    const { duplicate, event: record } = recordWebhookEvent(provider.name, {
+      id,
+      type,
+      payload: rawBody.toString('utf8')
+    });
+
+    if (duplicate) {
+      console.log(`Duplicate ${provider.name} event ${record.event_id} (${record.status}), skipping`);
+      return res.json({ received: true, duplicate: true });
     }
 
+    await processWebhookEvent(record);
     res.json({ received: true });
   } catch (error) {
     console.error('Webhook handler error:', error);
@@ -100,88 +82,4 @@ router.post('/stripe', async (req, res) => {
   }
 });
 
-/**
- * Handle successful checkout
- */
-async function handleCheckoutCompleted(session) {
-  console.log('Processing checkout.session.completed:', session.id);
-
-  const customerEmail = session.customer_email || session.customer_details?.email;
-  if (!customerEmail) {
-    console.error('No customer email in session');
-    return;
-  }
-
-  // Get product slug from metadata
-  const productSlug = session.metadata?.product_slug || 'tutor-lms-tracking';
-  const licenseType = session.metadata?.license_type || 'lifetime';
-
-  // Find product
-  const product = getProductBySlug(productSlug);
-  if (!product) {
-    console.error(`Product not found: ${productSlug}`);
-    return;
-  }
-
-  // Determine expiration (lifetime = null, annual = 1 year)
-  let expiresAt = null;
-  if (licenseType === 'annual') {
-    const expiry = new Date();
-    expiry.setFullYear(expiry.getFullYear() + 1);
-    expiresAt = expiry.toISOString();
-  }
-
-  // Create license
-  const license = createLicense({
-    productId: product.id,
-    email: customerEmail,
-    maxActivations: 1,
-    expiresAt,
-    metadata: {
-      stripe_session_id: session.id,
-      stripe_customer_id: session.customer,
-      license_type: licenseType
-    }
-  });
-
-  console.log(`License created: ${license.licenseKey} for ${customerEmail}`);
-  
-  // Send license key email to customer
-  try {
-    const emailResult = await sendLicenseEmail({
-      email: customerEmail,
-      licenseKey: license.licenseKey,
-      productName: product.name,
-      licenseType
-    });
-    
-    if (emailResult.success) {
-      console.log(`License email sent to ${customerEmail}`);
-    } else {
-      console.warn(`Failed to send license email to ${customerEmail}:`, emailResult);
-    }
-  } catch (emailError) {
-    // Don't fail the webhook if email fails - license is still created
-    console.error(`Email send error for ${customerEmail}:`, emailError);
-  }
-}
-
-/**
- * Handle subscription created (for annual licenses)
- */
-async function handleSubscriptionCreated(subscription) {
-  console.log('Processing customer.subscription.created:', subscription.id);
-  // License is created in checkout.session.completed
-  // This is for tracking/logging only
-}
-
-/**
- * Handle subscription deleted (expired/cancelled)
- */
-async function handleSubscriptionDeleted(subscription) {
-  console.log('Processing customer.subscription.deleted:', subscription.id);
-  // TODO: Mark license as expired/inactive
-  // For now, licenses remain valid until explicit deactivation
-}
-
 export default router;
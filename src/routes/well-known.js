@@ -0,0 +1,21 @@
+/**
+ * Well-known routes
+ *
+ * Public discovery documents (JWKS for offline token verification)
+ */
+
+import { Router } from 'express';
+import { getJwks } from '../services/signing.js';
+
+const router = Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying activation tokens
+ */
+router.get('/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(getJwks());
+});
+
+export default router;
@@ -0,0 +1,178 @@
+/**
+ * API key service - scoped admin API keys
+ *
+ * Keys look like tlat_<43 random characters> and are stored as a SHA-256
+ * hash plus a short display prefix; the full key is only returned when it
+ * is created. Each key has scopes ('*' grants everything), an optional
+ * expiry and last-used tracking.
+ *
+ * ADMIN_API_KEY (optional) remains a bootstrap key with every scope, used
+ * to mint the first named keys. Without it only database keys work.
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+
+export const API_KEY_SCOPES = [
+  'licenses:read',
+  'licenses:write',
+  'products:read',
+  'products:write',
+  'stats:read',
+  'audit:read',
+  'webhooks:read',
+  'webhooks:write',
+  'jobs:read',
+  'jobs:run',
+  'emails:read',
+  'emails:write',
+  'keys:manage'
+];
+
+export const ALL_SCOPES = '*';
+
+const KEY_PREFIX = 'tlat_';
+
+/**
+ * SHA-256 of a key (keys are random, so no secret is needed)
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Constant-time comparison against the ADMIN_API_KEY bootstrap key
+ */
+function isBootstrapKey(key) {
+  const bootstrapKey = process.env.ADMIN_API_KEY;
+  if (!bootstrapKey) return false;
+
+  // Comparing hashes keeps lengths equal for timingSafeEqual
+  return crypto.timingSafeEqual(
+    Buffer.from(hashApiKey(key), 'hex'),
+    Buffer.from(hashApiKey(bootstrapKey), 'hex')
+  );
+}
+
+/**
+ * API key row for output (no hash, scopes parsed)
+ */
+function formatApiKey(row) {
+  if (!row) return null;
+
+  const { key_hash, ...rest } = row;
+  return { ...rest, scopes: JSON.parse(row.scopes) };
+}
+
+/**
+ * Check requested scopes
+ * Returns an error message, or null when valid
+ */
+export function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'scopes must be a non-empty array';
+  }
+
+  const unknown = scopes.filter(scope => scope !== ALL_SCOPES && !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope: ${unknown.join(', ')} (use ${API_KEY_SCOPES.join(', ')} or ${ALL_SCOPES})`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a scope list grants a scope
+ */
+export function hasScope(scopes, scope) {
+  return scopes.includes(ALL_SCOPES) || scopes.includes(scope);
+}
+
+/**
+ * Create an API key; the plaintext key is only returned here
+ */
+export function createApiKey({ name, scopes, expiresAt = null, createdBy = null }) {
+  const db = getDb();
+  const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const result = db.prepare(`
+    INSERT INTO api_keys (name, key_hash, key_prefix, scopes, expires_at, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(name, hashApiKey(key), key.slice(0, KEY_PREFIX.length + 6), JSON.stringify([...new Set(scopes)]), expiresAt, createdBy);
+
+  return { key, apiKey: getApiKey(result.lastInsertRowid) };
+}
+
+/**
+ * Get API key by ID
+ */
+export function getApiKey(id) {
+  const db = getDb();
+  return formatApiKey(db.prepare(`SELECT * FROM api_keys WHERE id = ?`).get(id));
+}
+
+/**
+ * List API keys, newest first (revoked keys only when includeRevoked)
+ */
+export function listApiKeys(includeRevoked = false) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM api_keys ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+    ORDER BY created_at DESC, id DESC
+  `).all().map(formatApiKey);
+}
+
+/**
+ * Revoke an API key (kept for the audit trail)
+ */
+export function revokeApiKey(id) {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE api_keys SET revoked_at = datetime('now') WHERE id = ? AND revoked_at IS NULL
+  `).run(id);
+
+  return result.changes > 0 ? getApiKey(id) : null;
+}
+
+/**
+ * Resolve a presented key
+ * Returns { success, apiKey } with { name, scopes, bootstrap } or { success: false, error, message }
+ */
+export function authenticateApiKey(key, { ipAddress = null } = {}) {
+  if (!key) {
+    return { success: false, error: 'unauthorized', message: 'Admin API key required' };
+  }
+
+  if (isBootstrapKey(key)) {
+    return { success: true, apiKey: { id: null, name: 'admin', scopes: [ALL_SCOPES], bootstrap: true } };
+  }
+
+  const db = getDb();
+  const row = db.prepare(`SELECT * FROM api_keys WHERE key_hash = ?`).get(hashApiKey(key));
+
+  if (!row || row.revoked_at) {
+    return { success: false, error: 'unauthorized', message: 'Invalid or revoked API key' };
+  }
+
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    return { success: false, error: 'key_expired', message: 'API key has expired' };
+  }
+
+  db.prepare(`
+    UPDATE api_keys SET last_used_at = datetime('now'), last_used_ip = ? WHERE id = ?
+  `).run(ipAddress, row.id);
+
+  return { success: true, apiKey: { ...formatApiKey(row), bootstrap: false } };
+}
+
+export default {
+  API_KEY_SCOPES,
+  ALL_SCOPES,
+  validateScopes,
+  hasScope,
+  createApiKey,
+  getApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
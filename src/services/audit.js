@@ -0,0 +1,140 @@
+/**
+ * Audit service - records license and admin events in audit_log
+ *
+ * Each entry can carry the actor (admin, a payment provider, ...) and a
+ * before/after diff of the changed fields: { field: { from, to } }.
+ */
+
+import { getDb } from '../db/init.js';
+
+const MAX_LIMIT = 500;
+
+/**
+ * Log audit event
+ * actor defaults to details.actor for callers that put it in details
+ */
+export function logAudit(licenseId, action, domain, ipAddress, details, { actor = details?.actor ?? null, changes = null } = {}) {
+  const db = getDb();
+  const stmt = db.prepare(`
+    INSERT INTO audit_log (license_id, action, domain, ip_address, details, actor, changes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(
+    licenseId,
+    action,
+    domain,
+    ipAddress,
+    details ? JSON.stringify(details) : null,
+    actor,
+    changes ? JSON.stringify(changes) : null
+  );
+}
+
+/**
+ * Diff two records: { field: { from, to } } for fields that differ
+ * Compares the fields of `after`, or `fields` when given; null when nothing changed
+ */
+export function diffChanges(before = {}, after = {}, fields = Object.keys(after || {})) {
+  const changes = {};
+
+  for (const field of fields) {
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Audit row for API output (details/changes parsed)
+ */
+export function formatAuditEntry(row) {
+  return {
+    ...row,
+    details: row.details ? JSON.parse(row.details) : null,
+    changes: row.changes ? JSON.parse(row.changes) : null
+  };
+}
+
+/**
+ * Query the audit log, newest first
+ * Filters: licenseId, action (one or a list), domain (substring), ipAddress, actor, from/to (ISO dates)
+ * Returns { entries, total } or { error, message } for invalid filters
+ */
+export function queryAuditLog({
+  licenseId,
+  action,
+  domain,
+  ipAddress,
+  actor,
+  from,
+  to,
+  limit = 50,
+  offset = 0
+} = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = [];
+
+  if (licenseId) {
+    conditions.push('license_id = ?');
+    params.push(Number(licenseId));
+  }
+  if (action) {
+    const actions = Array.isArray(action) ? action : String(action).split(',').map(a => a.trim()).filter(Boolean);
+    conditions.push(`action IN (${actions.map(() => '?').join(', ')})`);
+    params.push(...actions);
+  }
+  if (domain) {
+    conditions.push('domain LIKE ?');
+    params.push(`%${domain}%`);
+  }
+  if (ipAddress) {
+    conditions.push('ip_address = ?');
+    params.push(ipAddress);
+  }
+  if (actor) {
+    conditions.push('actor = ?');
+    params.push(actor);
+  }
+
+  for (const [name, value, operator] of [['from', from, '>='], ['to', to, '<']]) {
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'invalid_filter', message: `${name} must be an ISO date` };
+    }
+    conditions.push(`datetime(created_at) ${operator} datetime(?)`);
+    params.push(date.toISOString());
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const max = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIMIT);
+
+  const entries = db.prepare(`
+    SELECT * FROM audit_log ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, max, Math.max(Number(offset) || 0, 0));
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM audit_log ${where}`).get(...params);
+
+  return { entries: entries.map(formatAuditEntry), total };
+}
+
+/**
+ * All audit entries of a license, oldest first
+ */
+export function getLicenseTimeline(licenseId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM audit_log WHERE license_id = ?
+    ORDER BY created_at, id
+  `).all(licenseId).map(formatAuditEntry);
+}
+
+export default { logAudit, diffChanges, formatAuditEntry, queryAuditLog, getLicenseTimeline };
@@ -0,0 +1,325 @@
+/**
+ * Batch service - bulk license generation, CSV import and export
+ *
+ * Licenses created together (reseller deals, code batches, migrations from
+ * another system) are tagged with a license_batches row via licenses.batch_id.
+ * Generated keys are only returned once, in the response that creates them.
+ */
+
+import { getDb } from '../db/init.js';
+import { createLicense, getLicenseByKey } from './license.js';
+import { queryLicenses } from './license-query.js';
+import { isValidKeyFormat, maskLicenseKey } from './license-key.js';
+import { getProductBySlug } from './product.js';
+import { logAudit } from './audit.js';
+
+export const MAX_BATCH_SIZE = 1000;
+
+// Columns understood by the CSV import (only email is required)
+export const IMPORT_COLUMNS = ['email', 'product_slug', 'plan', 'max_activations', 'expires_at', 'license_key', 'metadata'];
+
+// Columns written by the export
+export const EXPORT_COLUMNS = [
+  'id',
+  'license_key',
+  'email',
+  'product',
+  'plan',
+  'status',
+  'max_activations',
+  'active_activations',
+  'expires_at',
+  'created_at',
+  'batch_id',
+  'subscription_id'
+];
+
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create a batch record
+ * max_activations/expires_at are only stored for code batches, whose licenses are created on redemption
+ */
+export function createBatchRecord({
+  name = null,
+  source = 'generated',
+  productId = null,
+  plan = null,
+  maxActivations = null,
+  expiresAt = null,
+  notes = null
+}) {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO license_batches (name, source, product_id, plan, max_activations, expires_at, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(name, source, productId, plan, maxActivations, expiresAt, notes);
+
+  return result.lastInsertRowid;
+}
+
+/**
+ * Get a batch with license counts (and code counts by status for code batches)
+ */
+export function getBatch(id) {
+  const db = getDb();
+  const batch = db.prepare(`
+    SELECT b.*,
+      COUNT(l.id) as licenses,
+      SUM(CASE WHEN l.status = 'active' THEN 1 ELSE 0 END) as active_licenses,
+      SUM(CASE WHEN EXISTS (
+        SELECT 1 FROM activations a WHERE a.license_id = l.id AND a.is_active = 1
+      ) THEN 1 ELSE 0 END) as activated_licenses
+    FROM license_batches b
+    LEFT JOIN licenses l ON l.batch_id = b.id
+    WHERE b.id = ?
+    GROUP BY b.id
+  `).get(id);
+
+  if (batch && batch.source === 'codes') {
+    batch.codes = Object.fromEntries(db.prepare(`
+      SELECT status, COUNT(*) as count FROM redemption_codes WHERE batch_id = ? GROUP BY status
+    `).all(batch.id).map(row => [row.status, row.count]));
+  }
+
+  return batch;
+}
+
+/**
+ * List batches, newest first
+ */
+export function listBatches({ limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const batches = db.prepare(`
+    SELECT b.*, COUNT(l.id) as licenses
+    FROM license_batches b
+    LEFT JOIN licenses l ON l.batch_id = b.id
+    GROUP BY b.id
+    ORDER BY b.created_at DESC, b.id DESC
+    LIMIT ? OFFSET ?
+  `).all(Number(limit), Number(offset));
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM license_batches`).get();
+  return { batches, total };
+}
+
+/**
+ * Generate `count` licenses with shared attributes in one batch
+ */
+export function generateBatch({
+  count,
+  email,
+  productId = null,
+  plan = 'standard',
+  maxActivations,
+  expiresAt,
+  metadata = null,
+  name = null,
+  notes = null,
+  actor = null,
+  ipAddress = null
+}) {
+  const db = getDb();
+
+  const generate = db.transaction(() => {
+    const batchId = createBatchRecord({ name, source: 'generated', productId, plan, notes });
+
+    const licenses = [];
+    for (let i = 0; i < count; i++) {
+      licenses.push(createLicense({ productId, email, plan, maxActivations, expiresAt, metadata, batchId, actor, ipAddress }));
+    }
+
+    db.prepare(`UPDATE license_batches SET quantity = ? WHERE id = ?`).run(licenses.length, batchId);
+    logAudit(null, 'batch_created', null, ipAddress, { batchId, source: 'generated', count: licenses.length, productId, plan }, { actor });
+    return { batchId, licenses };
+  });
+
+  const { batchId, licenses } = generate();
+  return { batch: getBatch(batchId), licenses };
+}
+
+/**
+ * Validate CSV import records
+ * Returns the rows that can be imported and per-row errors (row = line number in the file)
+ */
+export function validateImportRecords(records) {
+  const products = new Map();
+  const seenKeys = new Map();
+  const valid = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const row = index + 2; // line 1 is the header
+    const rowErrors = [];
+    const fail = (field, error, message) => rowErrors.push({ row, field, error, message });
+
+    const email = record.email;
+    if (!email) {
+      fail('email', 'missing_email', 'email is required');
+    } else if (!EMAIL_PATTERN.test(email)) {
+      fail('email', 'invalid_email', `Invalid email: ${email}`);
+    }
+
+    let productId = null;
+    if (record.product_slug) {
+      if (!products.has(record.product_slug)) {
+        products.set(record.product_slug, getProductBySlug(record.product_slug) || null);
+      }
+      const product = products.get(record.product_slug);
+      if (product) {
+        productId = product.id;
+      } else {
+        fail('product_slug', 'unknown_product', `Product not found: ${record.product_slug}`);
+      }
+    }
+
+    let maxActivations;
+    if (record.max_activations) {
+      maxActivations = Number(record.max_activations);
+      if (!Number.isInteger(maxActivations) || maxActivations < 1) {
+        fail('max_activations', 'invalid_max_activations', 'max_activations must be a positive integer');
+      }
+    }
+
+    let expiresAt;
+    if (record.expires_at) {
+      const date = new Date(record.expires_at);
+      if (Number.isNaN(date.getTime())) {
+        fail('expires_at', 'invalid_date', `Invalid expires_at: ${record.expires_at}`);
+      } else {
+        expiresAt = date.toISOString();
+      }
+    }
+
+    const licenseKey = record.license_key || null;
+    if (licenseKey) {
+      if (!isValidKeyFormat(licenseKey)) {
+        fail('license_key', 'invalid_key_format', 'license_key is malformed');
+      } else if (seenKeys.has(licenseKey)) {
+        fail('license_key', 'duplicate_key', `license_key is repeated (first on row ${seenKeys.get(licenseKey)})`);
+      } else if (getLicenseByKey(licenseKey)) {
+        fail('license_key', 'duplicate_key', 'A license with this key already exists');
+      }
+      if (!seenKeys.has(licenseKey)) seenKeys.set(licenseKey, row);
+    }
+
+    let metadata = null;
+    if (record.metadata) {
+      try {
+        metadata = JSON.parse(record.metadata);
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) throw new Error();
+      } catch {
+        fail('metadata', 'invalid_metadata', 'metadata must be a JSON object');
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    valid.push({
+      row,
+      license: {
+        email,
+        productId,
+        plan: record.plan || 'standard',
+        maxActivations,
+        expiresAt,
+        licenseKey,
+        metadata
+      }
+    });
+  });
+
+  return { valid, errors };
+}
+
+/**
+ * Import validated records as one batch
+ * Nothing is imported when there are errors, unless skipInvalid is set
+ */
+export function importLicenses(records, {
+  name = null,
+  notes = null,
+  skipInvalid = false,
+  dryRun = false,
+  actor = null,
+  ipAddress = null
+} = {}) {
+  const { valid, errors } = validateImportRecords(records);
+
+  if (dryRun || (errors.length > 0 && !skipInvalid) || valid.length === 0) {
+    return {
+      success: errors.length === 0,
+      dryRun,
+      imported: 0,
+      valid: valid.length,
+      errors
+    };
+  }
+
+  const db = getDb();
+  const importRows = db.transaction(() => {
+    const batchId = createBatchRecord({ name, source: 'import', notes });
+    const created = valid.map(({ row, license }) => {
+      const result = createLicense({ ...license, batchId, actor, ipAddress });
+      return { row, id: result.id, licenseKey: result.licenseKey, email: result.email };
+    });
+
+    db.prepare(`UPDATE license_batches SET quantity = ? WHERE id = ?`).run(created.length, batchId);
+    logAudit(null, 'licenses_imported', null, ipAddress, { batchId, count: created.length, skipped: new Set(errors.map(e => e.row)).size }, { actor });
+    return { batchId, created };
+  });
+
+  const { batchId, created } = importRows();
+
+  return {
+    success: true,
+    dryRun: false,
+    batch: getBatch(batchId),
+    imported: created.length,
+    skipped: errors.length > 0 ? new Set(errors.map(e => e.row)).size : 0,
+    licenses: created,
+    errors
+  };
+}
+
+/**
+ * Licenses for export with activation counts, filtered like the admin list
+ * Returns { success, licenses } or { success: false, error, message } for invalid filters
+ */
+export function exportLicenses(filters = {}) {
+  const result = queryLicenses(filters);
+  if (!result.success) return result;
+
+  const licenses = result.licenses.map(license => ({
+    id: license.id,
+    license_key: maskLicenseKey(license.key_prefix),
+    email: license.email,
+    product: license.product_slug,
+    plan: license.plan,
+    status: license.status,
+    max_activations: license.max_activations,
+    active_activations: license.active_activations,
+    expires_at: license.expires_at,
+    created_at: license.created_at,
+    batch_id: license.batch_id,
+    subscription_id: license.subscription_id
+  }));
+
+  return { success: true, licenses };
+}
+
+export default {
+  MAX_BATCH_SIZE,
+  IMPORT_COLUMNS,
+  EXPORT_COLUMNS,
+  createBatchRecord,
+  getBatch,
+  listBatches,
+  generateBatch,
+  validateImportRecords,
+  importLicenses,
+  exportLicenses
+};
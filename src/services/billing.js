@@ -0,0 +1,364 @@
+/**
+ * Billing service - shared license flows for payment provider events
+ *
+ * Provider adapters (src/services/providers) translate their webhook
+ * payloads into these flows: order fulfilment, subscription renewal,
+ * failed payment, cancellation and refund. Handlers are safe to run twice
+ * for the same event (replays from the webhook ledger).
+ *
+ * Licenses store the provider and its order/payment IDs in metadata:
+ * provider, provider_order_id, provider_customer_id, provider_payment_id,
+ * provider_last_payment_id
+ */
+
+import { getDb } from '../db/init.js';
+import {
+  createLicense,
+  getLicenseBySubscriptionId,
+  updateLicenseBilling,
+  setLicenseStatus
+} from './license.js';
+import { getProductById, getProductBySlug } from './product.js';
+import { getPlan, getPlanByPrice, getPlanExpiry } from './plan.js';
+import { sendLicenseEmail } from './email.js';
+import { getKeyDisplayPrefix } from './license-key.js';
+
+// Days a subscription license stays valid after a failed renewal payment
+const PAYMENT_GRACE_DAYS = Number(process.env.PAYMENT_GRACE_DAYS || 7);
+
+const DEFAULT_PRODUCT_SLUG = 'tutor-lms-tracking';
+
+/**
+ * Find the license created for a provider order
+ * stripe_session_id covers Stripe licenses created before provider metadata
+ */
+export function getLicenseByOrderId(provider, orderId) {
+  if (!orderId) return null;
+
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM licenses
+    WHERE (json_extract(metadata, '$.provider_order_id') = ?
+           AND COALESCE(json_extract(metadata, '$.provider'), 'stripe') = ?)
+       OR (? = 'stripe' AND json_extract(metadata, '$.stripe_session_id') = ?)
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get(String(orderId), provider, provider, String(orderId));
+}
+
+/**
+ * Find the license paid for by a provider payment (initial or renewal)
+ */
+export function getLicenseByPaymentId(paymentId) {
+  if (!paymentId) return null;
+
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM licenses
+    WHERE json_extract(metadata, '$.provider_payment_id') = @paymentId
+       OR json_extract(metadata, '$.provider_last_payment_id') = @paymentId
+       OR json_extract(metadata, '$.stripe_payment_intent_id') = @paymentId
+       OR json_extract(metadata, '$.stripe_last_payment_intent_id') = @paymentId
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get({ paymentId: String(paymentId) });
+}
+
+/**
+ * Find the license paid for by a provider invoice (a subscription's first or a renewal)
+ */
+export function getLicenseByInvoiceId(invoiceId) {
+  if (!invoiceId) return null;
+
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM licenses
+    WHERE json_extract(metadata, '$.provider_invoice_id') = @invoiceId
+       OR json_extract(metadata, '$.provider_last_invoice_id') = @invoiceId
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get({ invoiceId: String(invoiceId) });
+}
+
+/**
+ * Create a license for a completed order and email the key
+ * The plan comes from the provider price ID (plan_prices), then from the
+ * plan slug in checkout metadata; activation limit and duration follow the plan
+ */
+export async function fulfillOrder({
+  provider,
+  orderId,
+  email,
+  productSlug = DEFAULT_PRODUCT_SLUG,
+  planSlug = null,
+  priceId = null,
+  licenseType = null,
+  customerId = null,
+  subscriptionId = null,
+  paymentId = null,
+  invoiceId = null,
+  periodEnd = null,
+  metadata = {}
+}) {
+  console.log(`Fulfilling ${provider} order ${orderId}`);
+
+  if (!email) {
+    console.error(`No customer email for ${provider} order ${orderId}`);
+    return null;
+  }
+
+  // A replayed event must not issue a second license for the same order
+  if (getLicenseByOrderId(provider, orderId)) {
+    console.log(`License already exists for ${provider} order ${orderId}, skipping`);
+    return null;
+  }
+
+  const pricePlan = getPlanByPrice(provider, priceId);
+  if (priceId && !pricePlan) {
+    console.warn(`No plan mapped to ${provider} price ${priceId}, using checkout metadata`);
+  }
+
+  const product = pricePlan ? getProductById(pricePlan.product_id) : getProductBySlug(productSlug);
+  if (!product) {
+    console.error(`Product not found: ${productSlug}`);
+    return null;
+  }
+
+  const plan = pricePlan || (planSlug ? getPlan(product.id, planSlug) : null);
+  if (planSlug && !plan) {
+    console.warn(`Plan ${planSlug} not found for ${product.slug}, using defaults`);
+  }
+
+  // Catalog plans decide the license type; otherwise checkout metadata does
+  if (plan) {
+    licenseType = plan.duration_days ? 'annual' : 'lifetime';
+  } else if (!licenseType) {
+    licenseType = subscriptionId ? 'annual' : 'lifetime';
+  }
+
+  // Determine expiration (lifetime = null, annual = billing period end or plan duration / 1 year)
+  let expiresAt = null;
+  if (licenseType === 'annual') {
+    if (periodEnd) {
+      expiresAt = periodEnd;
+    } else if (plan) {
+      expiresAt = getPlanExpiry(plan);
+    } else {
+      const expiry = new Date();
+      expiry.setFullYear(expiry.getFullYear() + 1);
+      expiresAt = expiry.toISOString();
+    }
+  }
+
+  // Create license (subscription orders are linked for renewals/cancellation)
+  const license = createLicense({
+    productId: product.id,
+    email,
+    planId: plan ? plan.id : null,
+    expiresAt,
+    subscriptionId: subscriptionId ? String(subscriptionId) : null,
+    actor: provider,
+    metadata: {
+      ...metadata,
+      provider,
+      provider_order_id: String(orderId),
+      provider_customer_id: customerId ? String(customerId) : null,
+      provider_payment_id: paymentId ? String(paymentId) : null,
+      provider_invoice_id: invoiceId ? String(invoiceId) : null,
+      provider_price_id: priceId ? String(priceId) : null,
+      license_type: licenseType
+    }
+  });
+
+  console.log(`License created: ${getKeyDisplayPrefix(license.licenseKey)} for ${email}`);
+
+  // Send license key email to customer
+  try {
+    const emailResult = await sendLicenseEmail({
+      email,
+      licenseKey: license.licenseKey,
+      productName: product.name,
+      licenseType,
+      product
+    });
+
+    if (emailResult.success) {
+      console.log(`License email sent to ${email}`);
+    } else {
+      console.warn(`Failed to send license email to ${email}:`, emailResult);
+    }
+  } catch (emailError) {
+    // Don't fail the webhook if email fails - license is still created
+    console.error(`Email send error for ${email}:`, emailError);
+  }
+
+  return license;
+}
+
+/**
+ * Link a subscription to the license of its order (or the customer's newest unlinked license)
+ */
+export function linkSubscription({ provider, subscriptionId, orderId = null, customerId = null, periodEnd = null }) {
+  if (getLicenseBySubscriptionId(String(subscriptionId))) {
+    return null;
+  }
+
+  const db = getDb();
+  const license = getLicenseByOrderId(provider, orderId) || (customerId ? db.prepare(`
+    SELECT * FROM licenses
+    WHERE subscription_id IS NULL
+      AND (json_extract(metadata, '$.provider_customer_id') = @customerId
+           OR json_extract(metadata, '$.stripe_customer_id') = @customerId)
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `).get({ customerId: String(customerId) }) : null);
+
+  if (!license) {
+    console.log(`No license to link for ${provider} subscription ${subscriptionId}`);
+    return null;
+  }
+
+  return updateLicenseBilling(license, {
+    subscriptionId: String(subscriptionId),
+    expiresAt: periodEnd ?? license.expires_at
+  }, 'subscription_linked', { provider, subscriptionId: String(subscriptionId) });
+}
+
+/**
+ * Subscription renewed: extend expiry to the end of the paid billing period
+ */
+export function renewSubscription({ provider, subscriptionId, periodEnd, paymentId = null, invoiceId = null }) {
+  const license = getLicenseBySubscriptionId(String(subscriptionId));
+  if (!license) {
+    // First invoice can arrive before the order event
+    console.log(`No license yet for ${provider} subscription ${subscriptionId}`);
+    return null;
+  }
+
+  // Without a period end the expiry stays: a null expiry would make the license lifetime
+  if (!periodEnd) {
+    console.warn(`No billing period end in ${provider} renewal for subscription ${subscriptionId}, expiry unchanged`);
+  }
+
+  // Never shorten an expiry that is already further out
+  const expiresAt = !periodEnd || (license.expires_at && new Date(license.expires_at) > new Date(periodEnd))
+    ? license.expires_at
+    : periodEnd;
+
+  // Subscription updates without a payment that don't move the expiry are no-ops
+  if (!paymentId && !invoiceId && expiresAt === license.expires_at) {
+    return license;
+  }
+
+  // Only known IDs are written, so a renewal without one keeps refunds of the last payment matchable
+  const existing = license.metadata ? JSON.parse(license.metadata) : {};
+  const metadata = { payment_failed_at: null };
+  if (paymentId) {
+    metadata.provider_last_payment_id = String(paymentId);
+    // A subscription checkout has no payment of its own: its first invoice's is the order's
+    if (!existing.provider_payment_id) metadata.provider_payment_id = String(paymentId);
+  }
+  if (invoiceId) {
+    metadata.provider_last_invoice_id = String(invoiceId);
+    if (!existing.provider_invoice_id) metadata.provider_invoice_id = String(invoiceId);
+  }
+
+  const updated = updateLicenseBilling(license, {
+    expiresAt,
+    metadata
+  }, 'renewed', { provider, subscriptionId: String(subscriptionId), invoiceId });
+
+  console.log(`License ${license.key_prefix} renewed until ${expiresAt}`);
+  return updated;
+}
+
+/**
+ * Renewal payment failed: license stays valid for PAYMENT_GRACE_DAYS, then expires unless paid
+ */
+export function markPaymentFailed({ provider, subscriptionId, invoiceId = null }) {
+  const license = subscriptionId ? getLicenseBySubscriptionId(String(subscriptionId)) : null;
+  if (!license) {
+    console.warn(`No license found for failed ${provider} payment (subscription ${subscriptionId})`);
+    return null;
+  }
+
+  const graceUntil = new Date(Date.now() + PAYMENT_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const expiresAt = license.expires_at && new Date(license.expires_at) > new Date(graceUntil)
+    ? license.expires_at
+    : graceUntil;
+
+  const updated = updateLicenseBilling(license, {
+    expiresAt,
+    metadata: { payment_failed_at: new Date().toISOString() }
+  }, 'payment_failed', { provider, subscriptionId: String(subscriptionId), invoiceId, graceDays: PAYMENT_GRACE_DAYS });
+
+  console.log(`License ${license.key_prefix} in payment grace period until ${expiresAt}`);
+  return updated;
+}
+
+/**
+ * Subscription cancelled/ended: the license expires when the subscription ends
+ */
+export function cancelSubscription({ provider, subscriptionId, endedAt = null, reason = null }) {
+  const license = getLicenseBySubscriptionId(String(subscriptionId));
+  if (!license) {
+    console.warn(`No license found for ${provider} subscription ${subscriptionId}`);
+    return null;
+  }
+
+  const expiresAt = endedAt || new Date().toISOString();
+
+  const updated = updateLicenseBilling(license, { expiresAt }, 'subscription_cancelled', {
+    provider,
+    subscriptionId: String(subscriptionId),
+    cancellationReason: reason
+  });
+
+  console.log(`License ${license.key_prefix} expires at ${expiresAt} (subscription cancelled)`);
+  return updated;
+}
+
+/**
+ * Order refunded: move the license to 'refunded'
+ * Matched by order, then payment, then invoice (subscription payments)
+ */
+export function refundOrder({ provider, orderId = null, paymentId = null, invoiceId = null, reason = null }) {
+  const license = getLicenseByOrderId(provider, orderId)
+    || getLicenseByPaymentId(paymentId)
+    || getLicenseByInvoiceId(invoiceId);
+  if (!license) {
+    console.warn(`No license found for ${provider} refund (order ${orderId}, payment ${paymentId}, invoice ${invoiceId})`);
+    return null;
+  }
+
+  const result = setLicenseStatus(license, 'refunded', {
+    reason: reason || `${provider} refund for ${orderId || paymentId}`,
+    actor: provider
+  });
+
+  if (!result.success) {
+    console.warn(`Could not mark license ${license.key_prefix} refunded: ${result.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Convert a unix timestamp (seconds) to ISO string
+ */
+export function toIsoDate(timestamp) {
+  return timestamp ? new Date(timestamp * 1000).toISOString() : null;
+}
+
+export default {
+  getLicenseByOrderId,
+  getLicenseByPaymentId,
+  getLicenseByInvoiceId,
+  fulfillOrder,
+  linkSubscription,
+  renewSubscription,
+  markPaymentFailed,
+  cancelSubscription,
+  refundOrder,
+  toIsoDate
+};
@@ -0,0 +1,100 @@
+/**
+ * Customer service - per-email customer preferences
+ *
+ * Licenses reference customers by email; a customers row is created the
+ * first time one is needed (e.g. the first reminder email) and carries the
+ * token of its unsubscribe link and the locale emails are sent in.
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+
+/**
+ * Emails are matched case-insensitively
+ */
+export function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+/**
+ * Get customer by email
+ */
+export function getCustomer(email) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM customers WHERE email = ?`).get(normalizeEmail(email)) || null;
+}
+
+/**
+ * Get customer by email, creating it when missing
+ */
+export function ensureCustomer(email) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO customers (email, unsubscribe_token) VALUES (?, ?)
+    ON CONFLICT(email) DO NOTHING
+  `).run(normalizeEmail(email), crypto.randomBytes(24).toString('base64url'));
+
+  return getCustomer(email);
+}
+
+/**
+ * Whether a customer has unsubscribed from reminder emails
+ */
+export function isUnsubscribed(email) {
+  return Boolean(getCustomer(email)?.unsubscribed_at);
+}
+
+/**
+ * Unsubscribe or resubscribe a customer
+ */
+export function setUnsubscribed(email, unsubscribed) {
+  const db = getDb();
+  ensureCustomer(email);
+
+  db.prepare(`
+    UPDATE customers SET
+      unsubscribed_at = CASE WHEN ? THEN COALESCE(unsubscribed_at, datetime('now')) ELSE NULL END,
+      updated_at = datetime('now')
+    WHERE email = ?
+  `).run(unsubscribed ? 1 : 0, normalizeEmail(email));
+
+  return getCustomer(email);
+}
+
+/**
+ * Set the locale emails are sent in (null for the default)
+ */
+export function setLocale(email, locale) {
+  const db = getDb();
+  ensureCustomer(email);
+
+  db.prepare(`
+    UPDATE customers SET locale = ?, updated_at = datetime('now') WHERE email = ?
+  `).run(locale, normalizeEmail(email));
+
+  return getCustomer(email);
+}
+
+/**
+ * Unsubscribe via the token of an unsubscribe link
+ * Returns the customer, or null for an unknown token
+ */
+export function unsubscribeByToken(token) {
+  if (!token) return null;
+
+  const db = getDb();
+  const customer = db.prepare(`SELECT * FROM customers WHERE unsubscribe_token = ?`).get(String(token));
+  if (!customer) return null;
+
+  return setUnsubscribed(customer.email, true);
+}
+
+export default {
+  normalizeEmail,
+  getCustomer,
+  ensureCustomer,
+  isUnsubscribed,
+  setUnsubscribed,
+  setLocale,
+  unsubscribeByToken
+};
@@ -0,0 +1,278 @@
+/**
+ * Email queue - persistent outbound email with retry
+ *
+ * Every email is stored in email_queue and delivered through the configured
+ * transport (services/transports). A retryable failure (provider down, rate
+ * limit, SMTP 4xx) schedules another attempt with exponential backoff; the
+ * email-queue job delivers due messages. Messages that fail permanently or
+ * run out of attempts are marked 'failed' and can be retried by an admin.
+ * email_log entries linked to a message (queue_id) follow its outcome.
+ *
+ * Bodies carry secrets (license keys, portal login links), so they are kept
+ * only until delivery: a sent message keeps its envelope and outcome but its
+ * html, text and headers are cleared. Failed messages keep them for a retry
+ * until they are pruned.
+ *
+ * Environment variables:
+ * - EMAIL_FROM: sender (default: Tutor LMS Advanced Tracking <licenses@tutor-tracking.com>)
+ * - EMAIL_MAX_ATTEMPTS: delivery attempts before giving up (default: 8)
+ * - EMAIL_RETRY_BASE_SECONDS: delay before the first retry, doubled per attempt (default: 300)
+ * - EMAIL_QUEUE_RETENTION_DAYS: days to keep sent and failed messages (default: 30)
+ */
+
+import { getDb } from '../db/init.js';
+import { getEmailTransport } from './transports/index.js';
+
+export const EMAIL_FROM = process.env.EMAIL_FROM || 'Tutor LMS Advanced Tracking <licenses@tutor-tracking.com>';
+export const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 8);
+
+const RETRY_BASE_SECONDS = Number(process.env.EMAIL_RETRY_BASE_SECONDS || 300);
+const MAX_RETRY_SECONDS = 6 * 60 * 60;
+const RETENTION_DAYS = Number(process.env.EMAIL_QUEUE_RETENTION_DAYS || 30);
+
+// A message stuck in 'sending' this long (process died mid-send) is attempted again
+const SENDING_TIMEOUT_MINUTES = 15;
+
+const MAX_LIMIT = 200;
+
+/**
+ * Queue row for API output (headers parsed, bodies only when asked for)
+ */
+function formatQueuedEmail(row, { bodies = false } = {}) {
+  if (!row) return null;
+  if (!bodies) {
+    const { html, text, headers, ...rest } = row;
+    return rest;
+  }
+  return { ...row, headers: row.headers ? JSON.parse(row.headers) : null };
+}
+
+/**
+ * Seconds to wait after a failed attempt (1-based)
+ */
+export function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+/**
+ * Add a message to the queue (due immediately)
+ */
+export function enqueueEmail({ to, subject, html = null, text = null, headers = null, from = EMAIL_FROM }) {
+  const db = getDb();
+  const row = db.prepare(`
+    INSERT INTO email_queue (to_email, from_email, subject, html, text, headers)
+    VALUES (?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).get(to, from, subject, html, text, headers ? JSON.stringify(headers) : null);
+
+  return formatQueuedEmail(row);
+}
+
+/**
+ * Get a queued message by ID
+ * Options: bodies (include html, text and headers; cleared once sent)
+ */
+export function getQueuedEmail(id, { bodies = false } = {}) {
+  const db = getDb();
+  return formatQueuedEmail(db.prepare(`SELECT * FROM email_queue WHERE id = ?`).get(id), { bodies });
+}
+
+/**
+ * Record a message's final outcome on its email_log entries
+ */
+function updateEmailLog(queueId, status, providerId, error) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE email_log SET status = ?, provider_id = COALESCE(?, provider_id), error = ?
+    WHERE queue_id = ?
+  `).run(status, providerId, error, queueId);
+}
+
+/**
+ * Attempt delivery of a pending message
+ * Returns { success, status, queueId, providerId, error }: success is true when
+ * sent or scheduled for a retry ('pending'), false when it failed for good
+ */
+export async function deliverEmail(id) {
+  const db = getDb();
+
+  // Claim the message so concurrent runs don't send it twice
+  const message = db.prepare(`
+    UPDATE email_queue SET status = 'sending', attempts = attempts + 1, updated_at = datetime('now')
+    WHERE id = ? AND (
+      status = 'pending'
+      OR (status = 'sending' AND datetime(updated_at) <= datetime('now', ?))
+    )
+    RETURNING *
+  `).get(id, `-${SENDING_TIMEOUT_MINUTES} minutes`);
+
+  if (!message) {
+    const current = getQueuedEmail(id);
+    return {
+      success: false,
+      status: current?.status || null,
+      queueId: id,
+      error: current ? `Message is ${current.status}` : 'Message not found'
+    };
+  }
+
+  let transport;
+  let result;
+  try {
+    transport = getEmailTransport();
+    result = await transport.send({
+      from: message.from_email,
+      to: message.to_email,
+      subject: message.subject,
+      html: message.html,
+      text: message.text,
+      headers: message.headers ? JSON.parse(message.headers) : undefined
+    });
+  } catch (error) {
+    result = { success: false, error: error.message, retryable: Boolean(transport) };
+  }
+
+  if (result.success) {
+    db.prepare(`
+      UPDATE email_queue SET status = 'sent', transport = ?, provider_id = ?, last_error = NULL,
+        html = NULL, text = NULL, headers = NULL,
+        sent_at = datetime('now'), updated_at = datetime('now')
+      WHERE id = ?
+    `).run(transport.name, result.id || null, id);
+    updateEmailLog(id, 'sent', result.id || null, null);
+
+    console.log(`Email sent to ${message.to_email} via ${transport.name}:`, result.id);
+    return { success: true, status: 'sent', queueId: id, providerId: result.id || null };
+  }
+
+  if (result.retryable && message.attempts < EMAIL_MAX_ATTEMPTS) {
+    const delay = retryDelaySeconds(message.attempts);
+    db.prepare(`
+      UPDATE email_queue SET status = 'pending', transport = ?, last_error = ?,
+        next_attempt_at = datetime('now', ?), updated_at = datetime('now')
+      WHERE id = ?
+    `).run(transport?.name || null, result.error, `+${delay} seconds`, id);
+
+    console.warn(`Email to ${message.to_email} failed (attempt ${message.attempts}), retrying in ${delay}s:`, result.error);
+    return { success: true, status: 'pending', queueId: id, error: result.error };
+  }
+
+  db.prepare(`
+    UPDATE email_queue SET status = 'failed', transport = ?, last_error = ?, updated_at = datetime('now')
+    WHERE id = ?
+  `).run(transport?.name || null, result.error, id);
+  updateEmailLog(id, 'failed', null, result.error);
+
+  console.error(`Email to ${message.to_email} failed after ${message.attempts} attempt(s):`, result.error);
+  return { success: false, status: 'failed', queueId: id, error: result.error };
+}
+
+/**
+ * Queue a message and attempt delivery right away
+ */
+export async function sendQueuedEmail(message) {
+  const queued = enqueueEmail(message);
+  return deliverEmail(queued.id);
+}
+
+/**
+ * Delete sent messages and messages that failed for good more than EMAIL_QUEUE_RETENTION_DAYS ago
+ */
+export function pruneEmailQueue() {
+  const db = getDb();
+  return db.prepare(`
+    DELETE FROM email_queue
+    WHERE (status = 'sent' AND datetime(sent_at) < datetime('now', @cutoff))
+       OR (status = 'failed' AND datetime(updated_at) < datetime('now', @cutoff))
+  `).run({ cutoff: `-${RETENTION_DAYS} days` }).changes;
+}
+
+/**
+ * Deliver due messages (oldest first)
+ * Returns { sent, retrying, failed, pruned }
+ */
+export async function processEmailQueue({ limit = 100 } = {}) {
+  const db = getDb();
+  const due = db.prepare(`
+    SELECT id FROM email_queue
+    WHERE (status = 'pending' AND datetime(next_attempt_at) <= datetime('now'))
+       OR (status = 'sending' AND datetime(updated_at) <= datetime('now', ?))
+    ORDER BY next_attempt_at, id
+    LIMIT ?
+  `).all(`-${SENDING_TIMEOUT_MINUTES} minutes`, limit);
+
+  const summary = { sent: 0, retrying: 0, failed: 0 };
+
+  for (const { id } of due) {
+    const result = await deliverEmail(id);
+    if (result.status === 'sent') summary.sent++;
+    else if (result.status === 'pending') summary.retrying++;
+    else if (result.status === 'failed') summary.failed++;
+  }
+
+  return { ...summary, pruned: pruneEmailQueue() };
+}
+
+/**
+ * Put a failed message back in the queue (attempts start over)
+ */
+export function retryEmail(id) {
+  const db = getDb();
+  const row = db.prepare(`
+    UPDATE email_queue SET status = 'pending', attempts = 0, next_attempt_at = datetime('now'),
+      updated_at = datetime('now')
+    WHERE id = ? AND status = 'failed'
+    RETURNING *
+  `).get(id);
+
+  if (row) {
+    updateEmailLog(id, 'queued', null, null);
+  }
+
+  return formatQueuedEmail(row);
+}
+
+/**
+ * List queued messages (without bodies), newest first
+ * Filters: status, to
+ */
+export function listEmailQueue({ status, to, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (status) {
+    where += ' AND status = ?';
+    params.push(status);
+  }
+  if (to) {
+    where += ' AND lower(to_email) = lower(?)';
+    params.push(to);
+  }
+
+  const max = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIMIT);
+  const total = db.prepare(`SELECT COUNT(*) as count FROM email_queue ${where}`).get(...params).count;
+  const messages = db.prepare(`
+    SELECT id, to_email, from_email, subject, status, transport, attempts, next_attempt_at,
+           last_error, provider_id, created_at, updated_at, sent_at
+    FROM email_queue ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, max, Math.max(Number(offset) || 0, 0));
+
+  return { messages, total };
+}
+
+export default {
+  EMAIL_FROM,
+  EMAIL_MAX_ATTEMPTS,
+  retryDelaySeconds,
+  enqueueEmail,
+  getQueuedEmail,
+  deliverEmail,
+  sendQueuedEmail,
+  pruneEmailQueue,
+  processEmailQueue,
+  retryEmail,
+  listEmailQueue
+};
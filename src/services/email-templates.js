@@ -0,0 +1,437 @@
+/**
+ * Email template service
+ *
+ * Templates are files in src/templates/email/<locale>/<name>.html: "subject:"
+ * and "heading:" lines, a "---" line, then the HTML body (syntax in
+ * utils/template.js). An email_templates row with the same name and locale
+ * overrides the file, so copy can be edited without a deploy. Bodies are
+ * wrapped in the layout template, which carries the product's branding, and
+ * the plain-text part is generated from the final HTML.
+ *
+ * Locales fall back from the exact locale ("da-DK") to its language ("da")
+ * to DEFAULT_EMAIL_LOCALE.
+ *
+ * Environment variables:
+ * - DEFAULT_EMAIL_LOCALE: locale used when the customer's has no template (default: en)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb } from '../db/init.js';
+import { EMAIL_FROM } from './email-queue.js';
+import { parseAddress } from '../utils/mime.js';
+import { parseTemplate, renderTemplate, htmlToText } from '../utils/template.js';
+
+const TEMPLATES_DIR = fileURLToPath(new URL('../templates/email', import.meta.url));
+
+export const LAYOUT = 'layout';
+
+export const DEFAULT_BRANDING = {
+  name: 'Tutor LMS Advanced Tracking',
+  senderName: null,
+  logoUrl: null,
+  primaryColor: '#667eea',
+  accentColor: '#764ba2'
+};
+
+/**
+ * Editable templates with sample data for previews
+ */
+export const EMAIL_TEMPLATES = {
+  [LAYOUT]: {
+    description: 'Wrapper around every email: branded header, footer and unsubscribe link',
+    sample: () => ({})
+  },
+  license: {
+    description: 'License key delivery after a purchase or code redemption',
+    sample: () => ({
+      productName: 'Tutor LMS Advanced Tracking',
+      licenseKey: 'TLAT-ABCD-EFGH-IJKL-MNOP',
+      lifetime: false,
+      portalUrl: 'https://tutor-tracking.com/account',
+      docsUrl: 'https://tutor-tracking.com/docs'
+    })
+  },
+  renewal_reminder: {
+    description: 'Renewal reminder before or after a license expires',
+    sample: () => ({
+      productName: 'Tutor LMS Advanced Tracking',
+      licenseKey: 'TLAT-****-****-****-MNOP',
+      expiryDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000),
+      expired: false,
+      renewUrl: 'https://tutor-tracking.com/renew',
+      unsubscribeUrl: 'https://tutor-tracking.com/portal/unsubscribe?token=sample'
+    })
+  },
+  site_deactivated: {
+    description: 'Confirmation of a site deactivated in the customer portal',
+    sample: () => ({
+      productName: 'Tutor LMS Advanced Tracking',
+      licenseKey: 'TLAT-****-****-****-MNOP',
+      domain: 'old-host.example.com',
+      deactivationsLeft: 2,
+      portalUrl: 'https://tutor-tracking.com/portal'
+    })
+  },
+  portal_magic_link: {
+    description: 'Customer portal login link',
+    sample: () => ({
+      portalLink: 'https://tutor-tracking.com/portal?token=sample',
+      expiresMinutes: 30
+    })
+  }
+};
+
+/**
+ * Normalize a locale such as "da", "da-dk" or "da_DK" to "da-DK"
+ * Returns null when it isn't a language[-region] code
+ */
+export function normalizeLocale(value) {
+  const match = String(value || '').trim().match(/^([a-z]{2,3})(?:[-_]([a-z]{2}|\d{3}))?$/i);
+  if (!match) return null;
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+export const DEFAULT_EMAIL_LOCALE = normalizeLocale(process.env.DEFAULT_EMAIL_LOCALE) || 'en';
+
+/**
+ * Locales to try for a requested locale, best match first
+ */
+function localeCandidates(locale) {
+  const normalized = normalizeLocale(locale);
+  const candidates = normalized ? [normalized, normalized.split('-')[0]] : [];
+  return [...new Set([...candidates, DEFAULT_EMAIL_LOCALE, 'en'])];
+}
+
+/**
+ * Split a template file into { subject, heading, html }
+ */
+function parseTemplateFile(source) {
+  const lines = source.split(/\r?\n/);
+  const separator = lines.indexOf('---');
+  const template = { subject: null, heading: null, html: source };
+
+  if (separator < 0 || !/^\w+:/.test(lines[0])) {
+    return template;
+  }
+
+  for (const line of lines.slice(0, separator)) {
+    const match = line.match(/^(subject|heading):\s*(.*)$/);
+    if (match) template[match[1]] = match[2];
+  }
+  template.html = lines.slice(separator + 1).join('\n');
+
+  return template;
+}
+
+const fileCache = new Map();
+
+/**
+ * Template file for an exact name and locale, or null
+ */
+function readTemplateFile(name, locale) {
+  const key = `${locale}/${name}`;
+
+  if (!fileCache.has(key)) {
+    const file = path.join(TEMPLATES_DIR, locale, `${name}.html`);
+    fileCache.set(key, fs.existsSync(file) ? parseTemplateFile(fs.readFileSync(file, 'utf8')) : null);
+  }
+
+  return fileCache.get(key);
+}
+
+/**
+ * Locales that have template files
+ */
+function fileLocales() {
+  return fs.readdirSync(TEMPLATES_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+/**
+ * Template for an exact name and locale: the override, else the file
+ * Returns { name, locale, source: 'override'|'file', subject, heading, html, ... } or null
+ */
+export function getEmailTemplate(name, locale) {
+  const db = getDb();
+  const override = db.prepare(`SELECT * FROM email_templates WHERE name = ? AND locale = ?`).get(name, locale);
+
+  if (override) {
+    return {
+      name,
+      locale,
+      source: 'override',
+      subject: override.subject,
+      heading: override.heading,
+      html: override.html,
+      updatedBy: override.updated_by,
+      updatedAt: override.updated_at,
+      hasFile: Boolean(readTemplateFile(name, locale))
+    };
+  }
+
+  const file = readTemplateFile(name, locale);
+  return file ? { name, locale, source: 'file', ...file } : null;
+}
+
+/**
+ * Best template for a locale, falling back to the language and the default
+ */
+export function resolveEmailTemplate(name, locale) {
+  for (const candidate of localeCandidates(locale)) {
+    const template = getEmailTemplate(name, candidate);
+    if (template) return template;
+  }
+  return null;
+}
+
+/**
+ * Templates with the locales each is available in
+ */
+export function listEmailTemplates() {
+  const db = getDb();
+  const overrides = db.prepare(`SELECT name, locale, updated_by, updated_at FROM email_templates`).all();
+  const locales = fileLocales();
+
+  return Object.entries(EMAIL_TEMPLATES).map(([name, { description }]) => {
+    const available = new Map();
+
+    for (const locale of locales) {
+      if (readTemplateFile(name, locale)) {
+        available.set(locale, { locale, file: true, override: false });
+      }
+    }
+    for (const row of overrides.filter(row => row.name === name)) {
+      available.set(row.locale, {
+        locale: row.locale,
+        file: available.has(row.locale),
+        override: true,
+        updatedBy: row.updated_by,
+        updatedAt: row.updated_at
+      });
+    }
+
+    return {
+      name,
+      description,
+      locales: [...available.values()].sort((a, b) => a.locale.localeCompare(b.locale))
+    };
+  });
+}
+
+/**
+ * Check a template's fields
+ * Returns an error message, or null when the template is valid
+ */
+export function validateEmailTemplate(name, { subject, heading, html }) {
+  if (typeof html !== 'string' || !html.trim()) {
+    return 'html is required';
+  }
+  if (name === LAYOUT && !/\{\{\{\s*content\s*\}\}\}/.test(html)) {
+    return 'The layout must include {{{ content }}}';
+  }
+  // Data is always escaped; the only raw output is the rendered body in the layout
+  const raw = [...html.matchAll(/\{\{\{\s*([\w.]+)\s*\}\}\}/g)].map(match => match[1]);
+  if (raw.some(path => name !== LAYOUT || path !== 'content')) {
+    return 'Unescaped output ({{{ }}}) is only allowed for {{{ content }}} in the layout';
+  }
+  if (name !== LAYOUT && (typeof subject !== 'string' || !subject.trim())) {
+    return 'subject is required';
+  }
+  if (heading != null && typeof heading !== 'string') {
+    return 'heading must be a string';
+  }
+
+  for (const [field, source] of [['subject', subject], ['heading', heading], ['html', html]]) {
+    if (source == null) continue;
+    try {
+      parseTemplate(source);
+    } catch (error) {
+      return `${field}: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Create or replace the override for a name and locale
+ * Returns { success, template } or { success: false, error, message }
+ */
+export function saveEmailTemplate(name, locale, { subject = null, heading = null, html }, updatedBy = null) {
+  if (!EMAIL_TEMPLATES[name]) {
+    return { success: false, error: 'not_found', message: `Unknown template: ${name}` };
+  }
+
+  const normalized = normalizeLocale(locale);
+  if (!normalized) {
+    return { success: false, error: 'invalid_locale', message: 'locale must be a language code such as en or da-DK' };
+  }
+
+  const invalid = validateEmailTemplate(name, { subject, heading, html });
+  if (invalid) {
+    return { success: false, error: 'invalid_template', message: invalid };
+  }
+
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO email_templates (name, locale, subject, heading, html, updated_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+    ON CONFLICT(name, locale) DO UPDATE SET
+      subject = excluded.subject,
+      heading = excluded.heading,
+      html = excluded.html,
+      updated_by = excluded.updated_by,
+      updated_at = datetime('now')
+  `).run(name, normalized, subject, heading, html, updatedBy);
+
+  return { success: true, template: getEmailTemplate(name, normalized) };
+}
+
+/**
+ * Remove an override, reverting to the template file
+ * Returns whether there was one
+ */
+export function deleteEmailTemplate(name, locale) {
+  const db = getDb();
+  return db.prepare(`DELETE FROM email_templates WHERE name = ? AND locale = ?`)
+    .run(name, normalizeLocale(locale) || locale).changes > 0;
+}
+
+/**
+ * Check branding settings for a product
+ * Returns { branding } with unset fields removed, or { error }
+ */
+export function validateBranding(input) {
+  if (input === null) {
+    return { branding: null };
+  }
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'branding must be an object' };
+  }
+
+  const branding = {};
+
+  for (const [field, value] of Object.entries(input)) {
+    if (!['senderName', 'logoUrl', 'primaryColor', 'accentColor'].includes(field)) {
+      return { error: `Unknown branding field: ${field}` };
+    }
+    if (value === null || value === '') continue;
+    if (typeof value !== 'string') {
+      return { error: `branding.${field} must be a string` };
+    }
+
+    if (field === 'senderName' && (value.length > 100 || /["<>\r\n]/.test(value))) {
+      return { error: 'branding.senderName must be at most 100 characters without quotes, angle brackets or line breaks' };
+    }
+    if (field === 'logoUrl' && !/^https:\/\/[^\s"'<>]+$/.test(value)) {
+      return { error: 'branding.logoUrl must be an https URL' };
+    }
+    if (field.endsWith('Color') && !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+      return { error: `branding.${field} must be a hex color such as #667eea` };
+    }
+
+    branding[field] = value;
+  }
+
+  return { branding: Object.keys(branding).length ? branding : null };
+}
+
+/**
+ * Branding for a product (row with branding as JSON or parsed), defaults filled in
+ */
+export function getBranding(product) {
+  let branding = product?.branding || {};
+  if (typeof branding === 'string') {
+    try {
+      branding = JSON.parse(branding);
+    } catch {
+      branding = {};
+    }
+  }
+
+  const brand = { ...DEFAULT_BRANDING, name: product?.name || DEFAULT_BRANDING.name };
+  for (const [field, value] of Object.entries(branding)) {
+    if (value) brand[field] = value;
+  }
+  return brand;
+}
+
+/**
+ * Date formatted for a locale, e.g. "March 5, 2026" or "5. marts 2026"
+ */
+export function formatEmailDate(value, locale) {
+  return new Intl.DateTimeFormat(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+    .format(new Date(value));
+}
+
+/**
+ * Render an email
+ * Date values in data are formatted for the template's locale. override
+ * ({ subject, heading, html }) renders a draft instead of the stored
+ * template; layoutOverride does the same for the layout.
+ * Returns { subject, html, text, from, locale }; throws when a template is missing or invalid
+ */
+export function renderEmail(name, data = {}, { locale, product = null, override = null, layoutOverride = null } = {}) {
+  const template = override || resolveEmailTemplate(name, locale);
+  if (!template) {
+    throw new Error(`Email template not found: ${name}`);
+  }
+
+  const templateLocale = template.locale || normalizeLocale(locale) || DEFAULT_EMAIL_LOCALE;
+  const layout = layoutOverride || resolveEmailTemplate(LAYOUT, templateLocale);
+  if (!layout) {
+    throw new Error('Email layout template not found');
+  }
+
+  const brand = getBranding(product);
+  const context = { year: new Date().getFullYear(), locale: templateLocale, brand };
+  for (const [key, value] of Object.entries(data)) {
+    context[key] = value instanceof Date ? formatEmailDate(value, templateLocale) : value;
+  }
+
+  const renderText = source => (source ? renderTemplate(source, context, { escape: false }).replace(/\s+/g, ' ').trim() : '');
+  const subject = renderText(template.subject);
+  const heading = renderText(template.heading);
+  const content = renderTemplate(template.html, context).trim();
+
+  const html = renderTemplate(layout.html, { ...context, subject, heading, content }).trim();
+  const from = brand.senderName ? `"${brand.senderName}" <${parseAddress(EMAIL_FROM).address}>` : EMAIL_FROM;
+
+  return { subject, html, text: htmlToText(html), from, locale: templateLocale };
+}
+
+/**
+ * Render a template with its sample data (merged with data)
+ * Previewing the layout renders the license email inside it
+ */
+export function previewEmail(name, { locale, product = null, data = {}, override = null } = {}) {
+  const template = name === LAYOUT ? 'license' : name;
+  const sample = { ...EMAIL_TEMPLATES[template].sample(), ...(product ? { productName: product.name } : {}), ...data };
+
+  return name === LAYOUT
+    ? renderEmail(template, sample, { locale, product, layoutOverride: override })
+    : renderEmail(template, sample, { locale, product, override });
+}
+
+export default {
+  LAYOUT,
+  DEFAULT_BRANDING,
+  DEFAULT_EMAIL_LOCALE,
+  EMAIL_TEMPLATES,
+  normalizeLocale,
+  getEmailTemplate,
+  resolveEmailTemplate,
+  listEmailTemplates,
+  validateEmailTemplate,
+  saveEmailTemplate,
+  deleteEmailTemplate,
+  validateBranding,
+  getBranding,
+  formatEmailDate,
+  renderEmail,
+  previewEmail
+};
@@ -0,0 +1,124 @@
+/**
+ * License key format - generation and offline format checks
+ *
+ * Format: PREFIX-XXXXX-XXXXX-XXXXX-XXXXX
+ * 20 characters from a 32-character alphabet (no O, 0, I, 1). The last
+ * character is a Luhn mod 32 check character over the other 19, so the
+ * plugin and the API can reject mistyped keys without a database lookup.
+ *
+ * Keys issued before checksums (PREFIX-XXXX-XXXX-XXXX-XXXX) have no check
+ * character and are only checked for shape.
+ *
+ * Keys are stored as an HMAC-SHA256 hash (key_hash) plus a short display
+ * prefix (key_prefix, e.g. TLAT-CEHN2); the full key is only shown once,
+ * when the license is created.
+ *
+ * Environment variables:
+ * - LICENSE_KEY_PREFIX: prefix for products without their own (default: TLAT)
+ * - LICENSE_KEY_SECRET: HMAC secret for key hashes. Required in production; elsewhere it
+ *   falls back to JWT_SECRET, then a development default. Never change it once keys have
+ *   been hashed: every stored key would become unfindable.
+ */
+
+import crypto from 'crypto';
+
+export const KEY_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const DEFAULT_KEY_PREFIX = process.env.LICENSE_KEY_PREFIX || 'TLAT';
+
+// Prefixes are 2-10 uppercase letters/digits
+export const KEY_PREFIX_PATTERN = /^[A-Z0-9]{2,10}$/;
+
+// No fallback in production: hashing with a guessable secret can't be undone later
+const KEY_HASH_SECRET = process.env.LICENSE_KEY_SECRET
+  || (process.env.NODE_ENV === 'production' ? null : process.env.JWT_SECRET || 'dev-secret-change-in-production');
+
+const CHECKSUM_KEY = /^([A-Z0-9]{2,10})-([A-Z0-9]{5})-([A-Z0-9]{5})-([A-Z0-9]{5})-([A-Z0-9]{5})$/;
+const LEGACY_KEY = /^[A-Z0-9]{2,10}-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}-[A-Z0-9]{4}$/;
+
+/**
+ * Luhn mod N check character for a string of alphabet characters
+ */
+export function checkCharacter(chars) {
+  const n = KEY_ALPHABET.length;
+  let factor = 2;
+  let sum = 0;
+
+  for (let i = chars.length - 1; i >= 0; i--) {
+    let addend = factor * KEY_ALPHABET.indexOf(chars[i]);
+    factor = factor === 2 ? 1 : 2;
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+  }
+
+  return KEY_ALPHABET[(n - (sum % n)) % n];
+}
+
+/**
+ * Generate a new license key from crypto.randomBytes
+ */
+export function generateLicenseKey(prefix = DEFAULT_KEY_PREFIX) {
+  // 256 is a multiple of 32, so masking each byte keeps characters uniform
+  const bytes = crypto.randomBytes(19);
+  const body = Array.from(bytes, byte => KEY_ALPHABET[byte & 31]).join('');
+  const chars = body + checkCharacter(body);
+
+  return [prefix, ...chars.match(/.{5}/g)].join('-');
+}
+
+/**
+ * Check a key's shape and check character (no database access)
+ */
+export function isValidKeyFormat(licenseKey) {
+  if (typeof licenseKey !== 'string') return false;
+
+  const match = licenseKey.match(CHECKSUM_KEY);
+  if (match) {
+    const chars = match.slice(2).join('');
+    if ([...chars].some(c => !KEY_ALPHABET.includes(c))) return false;
+    return checkCharacter(chars.slice(0, -1)) === chars.slice(-1);
+  }
+
+  return LEGACY_KEY.test(licenseKey);
+}
+
+/**
+ * Hash a license key for storage and lookup
+ */
+export function hashLicenseKey(licenseKey) {
+  if (!KEY_HASH_SECRET) {
+    throw new Error('LICENSE_KEY_SECRET must be set in production');
+  }
+
+  return crypto.createHmac('sha256', KEY_HASH_SECRET).update(String(licenseKey)).digest('hex');
+}
+
+/**
+ * Part of a key kept in clear for display: the prefix and first group
+ */
+export function getKeyDisplayPrefix(licenseKey) {
+  return String(licenseKey).split('-').slice(0, 2).join('-');
+}
+
+/**
+ * Masked key for listings, e.g. TLAT-CEHN2-*****-*****-*****
+ */
+export function maskLicenseKey(keyPrefix) {
+  if (!keyPrefix) return null;
+
+  const [, group = ''] = keyPrefix.split('-');
+  const hidden = '*'.repeat(group.length || 4);
+  return `${keyPrefix}-${hidden}-${hidden}-${hidden}`;
+}
+
+export default {
+  KEY_ALPHABET,
+  DEFAULT_KEY_PREFIX,
+  KEY_PREFIX_PATTERN,
+  checkCharacter,
+  generateLicenseKey,
+  isValidKeyFormat,
+  hashLicenseKey,
+  getKeyDisplayPrefix,
+  maskLicenseKey
+};
@@ -0,0 +1,300 @@
+/**
+ * License query service - filtering, sorting and cursor pagination for admin listings
+ *
+ * Shared by GET /admin/licenses and the CSV/JSON export. Active activation
+ * counts and details come from one aggregated join instead of a query per row.
+ *
+ * Filters (query string):
+ * - email (substring), plan, status, product_id, product (slug), batch_id
+ * - expires_after / expires_before, created_after / created_before (ISO dates;
+ *   licenses without expiry never match expires_before and always match expires_after)
+ * - domain (substring of an active activation's domain)
+ * - metadata[field]=value (exact match on a metadata JSON field)
+ * - activations_min / activations_max (active activation count)
+ *
+ * Sorting: sort=<column> or sort=-<column> (descending), default -created_at
+ * Pagination: limit + cursor (from nextCursor); offset still works without a cursor
+ */
+
+import { getDb } from '../db/init.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+// Sortable columns -> non-null SQL expressions (keyset pagination can't compare NULLs)
+const SORT_COLUMNS = {
+  id: 'l.id',
+  email: 'l.email',
+  plan: 'l.plan',
+  status: 'l.status',
+  product_id: 'COALESCE(l.product_id, 0)',
+  max_activations: 'l.max_activations',
+  // Lifetime licenses sort as expiring last
+  expires_at: "COALESCE(datetime(l.expires_at), '9999-12-31 23:59:59')",
+  created_at: 'l.created_at',
+  updated_at: 'l.updated_at',
+  active_activations: 'COALESCE(ac.active_activations, 0)'
+};
+
+export const SORTABLE_COLUMNS = Object.keys(SORT_COLUMNS);
+
+// Licenses with product slug and aggregated active activations
+const LICENSE_FROM = `
+  FROM licenses l
+  LEFT JOIN products p ON p.id = l.product_id
+  LEFT JOIN (
+    SELECT license_id,
+      COUNT(*) as active_activations,
+      json_group_array(json_object(
+        'domain', domain,
+        'activatedAt', activated_at,
+        'lastHeartbeat', last_heartbeat,
+        'staleAt', stale_at
+      )) as activation_list
+    FROM activations
+    WHERE is_active = 1
+    GROUP BY license_id
+  ) ac ON ac.license_id = l.id
+`;
+
+const METADATA_FIELD = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+// Query parameters that take one value (a repeated parameter arrives as an array)
+const SINGLE_VALUE_PARAMS = [
+  'email', 'plan', 'status', 'product_id', 'product', 'batch_id',
+  'expires_after', 'expires_before', 'created_after', 'created_before',
+  'domain', 'activations_min', 'activations_max', 'sort', 'cursor', 'limit', 'offset'
+];
+
+/**
+ * The first single-value parameter given as something other than a string, or null
+ */
+function findNonStringParam(query) {
+  return SINGLE_VALUE_PARAMS.find(name => query[name] !== undefined && typeof query[name] !== 'string') || null;
+}
+
+/**
+ * Parse an ISO date filter into a SQLite-comparable datetime
+ */
+function parseDateFilter(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Build the WHERE clause for the license filters
+ * Returns { where, params } or { error, message } for invalid filters
+ */
+export function buildLicenseFilter(query = {}) {
+  const conditions = [];
+  const params = [];
+
+  const nonString = findNonStringParam(query);
+  if (nonString) {
+    return { error: 'invalid_filter', message: `${nonString} must be given once, as a single value` };
+  }
+
+  if (query.email) {
+    conditions.push('l.email LIKE ?');
+    params.push(`%${query.email}%`);
+  }
+  if (query.plan) {
+    conditions.push('l.plan = ?');
+    params.push(query.plan);
+  }
+  if (query.status) {
+    conditions.push('l.status = ?');
+    params.push(query.status);
+  }
+  if (query.product_id) {
+    conditions.push('l.product_id = ?');
+    params.push(Number(query.product_id));
+  }
+  if (query.product) {
+    conditions.push('p.slug = ?');
+    params.push(query.product);
+  }
+  if (query.batch_id) {
+    conditions.push('l.batch_id = ?');
+    params.push(Number(query.batch_id));
+  }
+
+  const dateFilters = [
+    ['expires_after', "(l.expires_at IS NULL OR datetime(l.expires_at) >= datetime(?))"],
+    ['expires_before', 'datetime(l.expires_at) < datetime(?)'],
+    ['created_after', 'datetime(l.created_at) >= datetime(?)'],
+    ['created_before', 'datetime(l.created_at) < datetime(?)']
+  ];
+  for (const [name, condition] of dateFilters) {
+    if (!query[name]) continue;
+
+    const date = parseDateFilter(query[name]);
+    if (!date) {
+      return { error: 'invalid_filter', message: `${name} must be an ISO date` };
+    }
+    conditions.push(condition);
+    params.push(date);
+  }
+
+  if (query.domain) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM activations a
+      WHERE a.license_id = l.id AND a.is_active = 1 AND a.domain LIKE ?
+    )`);
+    params.push(`%${query.domain}%`);
+  }
+
+  if (query.metadata) {
+    if (typeof query.metadata !== 'object' || Array.isArray(query.metadata)) {
+      return { error: 'invalid_filter', message: 'Use metadata[field]=value to filter on metadata' };
+    }
+    for (const [field, value] of Object.entries(query.metadata)) {
+      if (!METADATA_FIELD.test(field) || typeof value !== 'string') {
+        return { error: 'invalid_filter', message: `Invalid metadata filter: ${field}` };
+      }
+      // Compare as text so numeric metadata values match too
+      conditions.push(`CAST(json_extract(l.metadata, ?) AS TEXT) = ?`);
+      params.push(`$.${field}`, value);
+    }
+  }
+
+  for (const [name, operator] of [['activations_min', '>='], ['activations_max', '<=']]) {
+    if (query[name] === undefined || query[name] === '') continue;
+
+    const count = Number(query[name]);
+    if (!Number.isInteger(count) || count < 0) {
+      return { error: 'invalid_filter', message: `${name} must be a non-negative integer` };
+    }
+    conditions.push(`COALESCE(ac.active_activations, 0) ${operator} ?`);
+    params.push(count);
+  }
+
+  return {
+    where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+/**
+ * Parse sort=column / sort=-column
+ */
+function parseSort(sort = '-created_at') {
+  const descending = sort.startsWith('-');
+  const column = descending ? sort.slice(1) : sort;
+  return SORT_COLUMNS[column] ? { column, descending } : null;
+}
+
+/**
+ * Cursors are opaque base64url JSON: sort, last sort value, last id
+ */
+function encodeCursor(sort, value, id) {
+  return Buffer.from(JSON.stringify({ s: sort, v: value, id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return Number.isInteger(decoded.id) ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * List licenses with filters, sorting, total count and cursor pagination
+ */
+export function listLicenses(query = {}) {
+  const db = getDb();
+
+  const filter = buildLicenseFilter(query);
+  if (filter.error) {
+    return { success: false, ...filter };
+  }
+
+  const sortParam = query.sort || '-created_at';
+  const sort = parseSort(sortParam);
+  if (!sort) {
+    return {
+      success: false,
+      error: 'invalid_sort',
+      message: `sort must be one of: ${SORTABLE_COLUMNS.join(', ')} (prefix with - for descending)`
+    };
+  }
+
+  const limit = Math.min(Math.max(Number(query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const sortExpression = SORT_COLUMNS[sort.column];
+  const direction = sort.descending ? 'DESC' : 'ASC';
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total ${LICENSE_FROM} ${filter.where}`).get(...filter.params);
+
+  let where = filter.where;
+  const params = [...filter.params];
+  let offset = 0;
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.s !== sortParam) {
+      return { success: false, error: 'invalid_cursor', message: 'Invalid cursor (or cursor from a different sort)' };
+    }
+
+    const operator = sort.descending ? '<' : '>';
+    const condition = `(${sortExpression} ${operator} ? OR (${sortExpression} = ? AND l.id ${operator} ?))`;
+    where = where ? `${where} AND ${condition}` : `WHERE ${condition}`;
+    params.push(cursor.v, cursor.v, cursor.id);
+  } else if (query.offset) {
+    offset = Math.max(Number(query.offset) || 0, 0);
+  }
+
+  // Fetch one extra row to know whether there is a next page
+  const rows = db.prepare(`
+    SELECT l.*, p.slug as product_slug,
+      COALESCE(ac.active_activations, 0) as active_activations,
+      ac.activation_list,
+      ${sortExpression} as sort_value
+    ${LICENSE_FROM}
+    ${where}
+    ORDER BY ${sortExpression} ${direction}, l.id ${direction}
+    LIMIT ? OFFSET ?
+  `).all(...params, limit + 1, offset);
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    success: true,
+    licenses: page,
+    total,
+    nextCursor: hasMore && last ? encodeCursor(sortParam, last.sort_value, last.id) : null
+  };
+}
+
+/**
+ * All licenses matching the filters (for export), newest first
+ */
+export function queryLicenses(query = {}) {
+  const db = getDb();
+
+  const filter = buildLicenseFilter(query);
+  if (filter.error) {
+    return { success: false, ...filter };
+  }
+
+  const licenses = db.prepare(`
+    SELECT l.*, p.slug as product_slug, COALESCE(ac.active_activations, 0) as active_activations
+    ${LICENSE_FROM}
+    ${filter.where}
+    ORDER BY l.created_at DESC, l.id DESC
+  `).all(...filter.params);
+
+  return { success: true, licenses };
+}
+
+export default {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  SORTABLE_COLUMNS,
+  buildLicenseFilter,
+  listLicenses,
+  queryLicenses
+};
@@ -2,54 +2,157 @@
  * License service - business logic for license operations
  */
 
-import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import {
+  generateLicenseKey as generateKey,
+  isValidKeyFormat,
+  hashLicenseKey,
+  getKeyDisplayPrefix,
+  maskLicenseKey,
+  DEFAULT_KEY_PREFIX
+} from './license-key.js';
 import { getDb } from '../db/init.js';
+import { signToken, verifyToken } from './signing.js';
+import { logAudit, diffChanges } from './audit.js';
+import { getPlanById, getPlan, getLicensePlan, getPlanExpiry } from './plan.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-in-production';
+/**
+ * License statuses and the transitions allowed between them
+ * Only 'active' licenses can be activated, validated or send heartbeats
+ */
+export const LICENSE_STATUSES = ['active', 'suspended', 'revoked', 'refunded'];
+
+const STATUS_TRANSITIONS = {
+  active: ['suspended', 'revoked', 'refunded'],
+  suspended: ['active', 'revoked', 'refunded'],
+  revoked: ['active'],
+  refunded: ['active']
+};
+
+const STATUS_ERRORS = {
+  suspended: 'License has been suspended',
+  revoked: 'License has been revoked',
+  refunded: 'License was refunded'
+};
+
+// Audit action recorded for each target status
+const STATUS_ACTIONS = {
+  active: 'reinstated',
+  suspended: 'suspended',
+  revoked: 'revoked',
+  refunded: 'refunded'
+};
+
+// Attempts at a unique key before giving up (collisions are astronomically unlikely)
+const KEY_GENERATION_ATTEMPTS = 5;
+
+// Activations without a heartbeat for this many days are stale (sites deleted without deactivating)
+export const STALE_ACTIVATION_DAYS = Number(process.env.STALE_ACTIVATION_DAYS || 30);
+
+// Let a new site take the slot of the stalest activation when the limit is reached
+const RECLAIM_STALE_ACTIVATIONS = process.env.RECLAIM_STALE_ACTIVATIONS !== 'false';
+
+// Sites a customer may deactivate per license and calendar month (UTC) in the portal (0 disables it)
+export const PORTAL_DEACTIVATIONS_PER_MONTH = Number(process.env.PORTAL_DEACTIVATIONS_PER_MONTH || 3);
 
 /**
  * Generate a new license key
- * Format: TLAT-XXXX-XXXX-XXXX-XXXX
+ * Format: PREFIX-XXXXX-XXXXX-XXXXX-XXXXX (see license-key.js)
  */
-export function generateLicenseKey() {
-  const segments = [];
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No O, 0, I, 1 for clarity
-  
-  for (let i = 0; i < 4; i++) {
-    let segment = '';
-    for (let j = 0; j < 4; j++) {
-      segment += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    segments.push(segment);
+export function generateLicenseKey(prefix = DEFAULT_KEY_PREFIX) {
+  return generateKey(prefix);
+}
+
+/**
+ * Get the key prefix of a product (LICENSE_KEY_PREFIX when not set)
+ */
+function getKeyPrefix(productId) {
+  if (!productId) return DEFAULT_KEY_PREFIX;
+  
+  const db = getDb();
+  const product = db.prepare('SELECT license_prefix FROM products WHERE id = ?').get(productId);
+  return product?.license_prefix || DEFAULT_KEY_PREFIX;
+}
+
+/**
+ * Get an error result for a key that can't be a license key
+ * Returns null when the format (and check character) is valid
+ */
+function getKeyFormatError(licenseKey) {
+  if (isValidKeyFormat(licenseKey)) {
+    return null;
   }
   
-  return 'TLAT-' + segments.join('-');
+  return { error: 'invalid_key_format', message: 'License key is malformed. Check for typos.' };
 }
 
 /**
  * Create a new license
+ * When the plan exists in the product's plan catalog, activation limit and
+ * expiry default to the plan's values (explicit values still win).
+ * licenseKey keeps an existing key (imports); otherwise a new one is generated.
+ * actor is recorded in the audit log (admin, provider name, ...)
  */
-export function createLicense({ productId = null, email, plan = 'standard', maxActivations = 1, expiresAt = null, metadata = null }) {
+export function createLicense({
+  productId = null,
+  email,
+  plan = 'standard',
+  planId = null,
+  maxActivations,
+  expiresAt,
+  metadata = null,
+  subscriptionId = null,
+  batchId = null,
+  licenseKey = null,
+  actor = null,
+  ipAddress = null
+}) {
   const db = getDb();
-  const licenseKey = generateLicenseKey();
+  
+  const catalogPlan = planId ? getPlanById(planId) : (productId ? getPlan(productId, plan) : null);
+  if (catalogPlan) {
+    productId = productId ?? catalogPlan.product_id;
+    plan = catalogPlan.slug;
+  }
+  
+  maxActivations = maxActivations ?? catalogPlan?.max_activations ?? 1;
+  expiresAt = expiresAt !== undefined ? expiresAt : getPlanExpiry(catalogPlan);
   
   const stmt = db.prepare(`
-    INSERT INTO licenses (license_key, product_id, email, plan, max_activations, expires_at, metadata)
-    VALUES (?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO licenses (key_hash, key_prefix, product_id, email, plan, plan_id, max_activations, expires_at, metadata, subscription_id, batch_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(
-    licenseKey,
-    productId,
-    email,
-    plan,
-    maxActivations,
-    expiresAt,
-    metadata ? JSON.stringify(metadata) : null
-  );
+  const prefix = getKeyPrefix(productId);
+  const existingKey = licenseKey;
+  let result;
+  
+  // Retry with a fresh key if it collides with an existing one
+  for (let attempt = 1; !result; attempt++) {
+    licenseKey = existingKey || generateLicenseKey(prefix);
+    try {
+      result = stmt.run(
+        hashLicenseKey(licenseKey),
+        getKeyDisplayPrefix(licenseKey),
+        productId,
+        email,
+        plan,
+        catalogPlan?.id ?? null,
+        maxActivations,
+        expiresAt,
+        metadata ? JSON.stringify(metadata) : null,
+        subscriptionId,
+        batchId
+      );
+    } catch (err) {
+      const collision = err.code === 'SQLITE_CONSTRAINT_UNIQUE' && err.message.includes('licenses.key_hash');
+      if (!collision || existingKey || attempt >= KEY_GENERATION_ATTEMPTS) {
+        throw err;
+      }
+    }
+  }
   
-  logAudit(result.lastInsertRowid, 'created', null, null, { email, plan, productId });
+  logAudit(result.lastInsertRowid, 'created', null, ipAddress, { email, plan, productId, batchId }, { actor });
   
   return {
     id: result.lastInsertRowid,
@@ -57,18 +160,151 @@ export function createLicense({ productId = null, email, plan = 'standard', maxA
     productId,
     email,
     plan,
+    planId: catalogPlan?.id ?? null,
     maxActivations,
-    expiresAt
+    expiresAt,
+    subscriptionId,
+    batchId
   };
 }
 
 /**
- * Get license by key
+ * Get license by key (looked up by its hash)
  */
 export function getLicenseByKey(licenseKey) {
   const db = getDb();
-  const stmt = db.prepare(`SELECT * FROM licenses WHERE license_key = ?`);
-  return stmt.get(licenseKey);
+  const stmt = db.prepare(`SELECT * FROM licenses WHERE key_hash = ?`);
+  return stmt.get(hashLicenseKey(licenseKey));
+}
+
+/**
+ * Get license by ID
+ */
+export function getLicenseById(id) {
+  const db = getDb();
+  const stmt = db.prepare(`SELECT * FROM licenses WHERE id = ?`);
+  return stmt.get(id);
+}
+
+/**
+ * Find a license by numeric ID or full license key
+ * Admin routes accept both, since listings only show masked keys
+ */
+export function resolveLicense(idOrKey) {
+  if (/^\d+$/.test(String(idOrKey))) {
+    return getLicenseById(Number(idOrKey));
+  }
+  return getLicenseByKey(idOrKey);
+}
+
+/**
+ * License row for API output: key hash removed, masked key for display
+ */
+export function formatLicense(license) {
+  const { key_hash, ...rest } = license;
+  return { ...rest, license_key: maskLicenseKey(license.key_prefix) };
+}
+
+/**
+ * Get license by subscription ID (most recent first)
+ */
+export function getLicenseBySubscriptionId(subscriptionId) {
+  const db = getDb();
+  const stmt = db.prepare(`
+    SELECT * FROM licenses WHERE subscription_id = ?
+    ORDER BY created_at DESC, id DESC
+    LIMIT 1
+  `);
+  return stmt.get(subscriptionId);
+}
+
+/**
+ * Update billing-related fields of a license and record an audit event
+ * Used by payment webhooks for renewals, failed payments and cancellations
+ */
+export function updateLicenseBilling(license, { expiresAt, subscriptionId, metadata }, action, details = null) {
+  const db = getDb();
+  const updates = [];
+  const params = [];
+  
+  if (expiresAt !== undefined) {
+    updates.push('expires_at = ?');
+    params.push(expiresAt);
+  }
+  if (subscriptionId !== undefined) {
+    updates.push('subscription_id = ?');
+    params.push(subscriptionId);
+  }
+  if (metadata !== undefined) {
+    // Merge into existing metadata rather than replacing it
+    const existing = license.metadata ? JSON.parse(license.metadata) : {};
+    updates.push('metadata = ?');
+    params.push(JSON.stringify({ ...existing, ...metadata }));
+  }
+  
+  if (updates.length > 0) {
+    updates.push("updated_at = datetime('now')");
+    params.push(license.id);
+    db.prepare(`UPDATE licenses SET ${updates.join(', ')} WHERE id = ?`).run(...params);
+  }
+  
+  logAudit(license.id, action, null, null, {
+    ...details,
+    expiresAt: expiresAt !== undefined ? expiresAt : license.expires_at
+  }, {
+    actor: details?.provider ?? null,
+    changes: diffChanges(license, { expires_at: expiresAt, subscription_id: subscriptionId }, [
+      ...(expiresAt !== undefined ? ['expires_at'] : []),
+      ...(subscriptionId !== undefined ? ['subscription_id'] : [])
+    ])
+  });
+  
+  return db.prepare('SELECT * FROM licenses WHERE id = ?').get(license.id);
+}
+
+/**
+ * Get the feature flags of a license: plan features with per-license overrides on top
+ */
+export function getLicenseFeatures(license, plan = getLicensePlan(license)) {
+  const overrides = license.feature_overrides ? JSON.parse(license.feature_overrides) : {};
+  return { ...(plan ? plan.features : {}), ...overrides };
+}
+
+/**
+ * Override feature flags on a single license
+ * Merges into existing overrides (null removes an override) unless replace is set
+ */
+export function setFeatureOverrides(licenseOrKey, overrides, { replace = false, actor = null, ipAddress = null } = {}) {
+  const db = getDb();
+  const license = typeof licenseOrKey === 'object' ? licenseOrKey : resolveLicense(licenseOrKey);
+  
+  if (!license) {
+    return { success: false, error: 'invalid_key', message: 'License key not found' };
+  }
+  
+  const previous = license.feature_overrides ? JSON.parse(license.feature_overrides) : {};
+  const next = replace ? { ...overrides } : { ...previous, ...overrides };
+  
+  for (const [name, value] of Object.entries(next)) {
+    if (value === null) delete next[name];
+  }
+  
+  const stored = Object.keys(next).length > 0 ? JSON.stringify(next) : null;
+  db.prepare(`
+    UPDATE licenses SET feature_overrides = ?, updated_at = datetime('now') WHERE id = ?
+  `).run(stored, license.id);
+  
+  logAudit(license.id, 'features_updated', null, ipAddress, { from: previous, to: next, actor }, {
+    changes: diffChanges({ feature_overrides: previous }, { feature_overrides: next })
+  });
+  
+  const updated = { ...license, feature_overrides: stored };
+  return {
+    success: true,
+    message: 'License features updated',
+    overrides: next,
+    features: getLicenseFeatures(updated)
+  };
 }
 
 /**
@@ -83,6 +319,70 @@ export function getActiveActivations(licenseId) {
   return stmt.all(licenseId);
 }
 
+/**
+ * Get an error result for a license that is not in 'active' status
+ * Returns null when the license is active
+ */
+export function getStatusError(license) {
+  if (!license.status || license.status === 'active') {
+    return null;
+  }
+  
+  return {
+    error: license.status,
+    message: STATUS_ERRORS[license.status] || `License is ${license.status}`,
+    reason: license.status_reason || null
+  };
+}
+
+/**
+ * Move a license to a new status (suspend, revoke, refund, reinstate)
+ */
+export function setLicenseStatus(licenseOrKey, status, { reason = null, actor = null, ipAddress = null } = {}) {
+  const db = getDb();
+  const license = typeof licenseOrKey === 'object' ? licenseOrKey : resolveLicense(licenseOrKey);
+  
+  if (!license) {
+    return { success: false, error: 'invalid_key', message: 'License key not found' };
+  }
+  
+  if (!LICENSE_STATUSES.includes(status)) {
+    return { success: false, error: 'invalid_status', message: `Unknown status: ${status}` };
+  }
+  
+  const allowed = STATUS_TRANSITIONS[license.status] || [];
+  if (!allowed.includes(status)) {
+    return {
+      success: false,
+      error: 'invalid_transition',
+      message: `Cannot change license from ${license.status} to ${status}`
+    };
+  }
+  
+  db.prepare(`
+    UPDATE licenses
+    SET status = ?, status_reason = ?, status_changed_at = datetime('now'), updated_at = datetime('now')
+    WHERE id = ?
+  `).run(status, reason, license.id);
+  
+  logAudit(license.id, STATUS_ACTIONS[status], null, ipAddress, {
+    from: license.status,
+    to: status,
+    reason,
+    actor
+  }, {
+    changes: diffChanges(license, { status, status_reason: reason })
+  });
+  
+  return {
+    success: true,
+    message: `License ${STATUS_ACTIONS[status]}`,
+    status,
+    previousStatus: license.status,
+    reason
+  };
+}
+
 /**
  * Check if a domain is a development/staging environment
  * These don't count toward the activation limit
@@ -117,11 +417,81 @@ export function isDevEnvironment(domain) {
   return false;
 }
 
+/**
+ * Parse a SQLite datetime('now') value (UTC without zone) or ISO date
+ */
+function parseDbDate(value) {
+  if (!value) return null;
+  return new Date(/[zZ]$|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+/**
+ * Whether an activation has gone STALE_ACTIVATION_DAYS without a heartbeat
+ */
+export function isStaleActivation(activation, now = new Date()) {
+  if (activation.stale_at) return true;
+  
+  const lastSeen = parseDbDate(activation.last_heartbeat || activation.activated_at);
+  return lastSeen !== null && now.getTime() - lastSeen.getTime() >= STALE_ACTIVATION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * End an activation on the server side (stale cleanup, slot reclamation)
+ */
+export function deactivateActivation(activation, reason, { action = 'deactivated', actor = 'system', ipAddress = null, details = null } = {}) {
+  const db = getDb();
+  const result = db.prepare(`
+    UPDATE activations
+    SET is_active = 0, deactivated_at = datetime('now'), deactivation_reason = ?
+    WHERE id = ? AND is_active = 1
+  `).run(reason, activation.id);
+  
+  if (result.changes > 0) {
+    logAudit(activation.license_id, action, activation.domain, ipAddress, {
+      ...details,
+      reason,
+      lastHeartbeat: activation.last_heartbeat
+    }, { actor });
+  }
+  
+  return result.changes > 0;
+}
+
+/**
+ * Free a slot for a new site by deactivating the stalest of the given activations
+ * Returns the reclaimed activation, or null when none is stale (or reclaiming is disabled)
+ */
+function reclaimStaleActivation(candidates, domain, ipAddress) {
+  if (!RECLAIM_STALE_ACTIVATIONS) return null;
+  
+  const lastSeen = activation => parseDbDate(activation.last_heartbeat || activation.activated_at).getTime();
+  const stalest = candidates
+    .filter(activation => isStaleActivation(activation))
+    .sort((a, b) => lastSeen(a) - lastSeen(b))[0];
+  
+  if (!stalest || !deactivateActivation(stalest, 'reclaimed', {
+    action: 'activation_reclaimed',
+    ipAddress,
+    details: { replacedBy: domain }
+  })) {
+    return null;
+  }
+  
+  return stalest;
+}
+
 /**
  * Activate a license for a domain
- * Dev/staging environments don't count toward activation limit
+ * Dev/staging environments don't count toward activation limit. When the
+ * limit is reached, a stale activation's slot is reclaimed for the new site.
  */
 export function activateLicense(licenseKey, domain, siteInfo = {}) {
+  // Reject typos before touching the database
+  const formatError = getKeyFormatError(licenseKey);
+  if (formatError) {
+    return { success: false, ...formatError };
+  }
+  
   const db = getDb();
   const license = getLicenseByKey(licenseKey);
   
@@ -129,6 +499,12 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
     return { success: false, error: 'invalid_key', message: 'License key not found' };
   }
   
+  // Check status (suspended/revoked/refunded)
+  const statusError = getStatusError(license);
+  if (statusError) {
+    return { success: false, ...statusError };
+  }
+  
   // Check expiration
   if (license.expires_at && new Date(license.expires_at) < new Date()) {
     return { success: false, error: 'expired', message: 'License has expired' };
@@ -144,6 +520,7 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
     const updateStmt = db.prepare(`
       UPDATE activations 
       SET last_heartbeat = datetime('now'),
+          stale_at = NULL,
           wp_version = COALESCE(?, wp_version),
           plugin_version = COALESCE(?, plugin_version)
       WHERE id = ?
@@ -154,7 +531,7 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
       success: true,
       message: 'License already activated for this domain',
       activation: existingActivation,
-      token: generateToken(license, domain),
+      token: generateToken(license, licenseKey, domain),
       isDevEnvironment: isDevEnvironment(domain)
     };
   }
@@ -162,27 +539,66 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
   // Check activation limit (dev environments don't count)
   const isDev = isDevEnvironment(domain);
   const productionActivations = activations.filter(a => !isDevEnvironment(a.domain));
-  
-  if (!isDev && productionActivations.length >= license.max_activations) {
+  const devActivations = activations.filter(a => isDevEnvironment(a.domain));
+  
+  // Dev/staging sites are unlimited unless the plan sets an allowance
+  const plan = getLicensePlan(license);
+  const devSites = plan?.dev_sites ?? null;
+  
+  const activationList = activations.map(a => ({ 
+    domain: a.domain, 
+    activatedAt: a.activated_at,
+    lastHeartbeat: a.last_heartbeat,
+    stale: isStaleActivation(a),
+    isDevEnvironment: isDevEnvironment(a.domain)
+  }));
+  
+  // At the limit, a stale site's slot can be reclaimed for this one
+  const atLimit = isDev
+    ? devSites !== null && devActivations.length >= devSites
+    : productionActivations.length >= license.max_activations;
+  const reclaimed = atLimit
+    ? reclaimStaleActivation(isDev ? devActivations : productionActivations, domain, siteInfo.ipAddress)
+    : null;
+  
+  if (!isDev && !reclaimed && productionActivations.length >= license.max_activations) {
     return { 
       success: false, 
       error: 'limit_reached', 
-      message: `Maximum production activations (${license.max_activations}) reached. Dev/staging environments are unlimited.`,
-      activations: activations.map(a => ({ 
-        domain: a.domain, 
-        activatedAt: a.activated_at,
-        isDevEnvironment: isDevEnvironment(a.domain)
-      }))
+      message: devSites === null
+        ? `Maximum production activations (${license.max_activations}) reached. Dev/staging environments are unlimited.`
+        : `Maximum production activations (${license.max_activations}) reached.`,
+      activations: activationList
+    };
+  }
+  
+  if (isDev && !reclaimed && devSites !== null && devActivations.length >= devSites) {
+    return {
+      success: false,
+      error: 'dev_limit_reached',
+      message: `Maximum dev/staging activations (${devSites}) reached for the ${license.plan} plan.`,
+      activations: activationList
     };
   }
   
-  // Create new activation
+  // Create new activation (or revive the row of a previously deactivated domain)
   const stmt = db.prepare(`
     INSERT INTO activations (license_id, domain, site_url, wp_version, plugin_version, last_heartbeat)
     VALUES (?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(license_id, domain) DO UPDATE SET
+      site_url = excluded.site_url,
+      wp_version = excluded.wp_version,
+      plugin_version = excluded.plugin_version,
+      activated_at = datetime('now'),
+      last_heartbeat = datetime('now'),
+      is_active = 1,
+      deactivated_at = NULL,
+      deactivation_reason = NULL,
+      stale_at = NULL
+    RETURNING id
   `);
   
-  const result = stmt.run(
+  const result = stmt.get(
     license.id,
     domain,
     siteInfo.siteUrl,
@@ -193,7 +609,11 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
   logAudit(license.id, 'activated', domain, siteInfo.ipAddress, siteInfo);
   
   // Calculate remaining (only count production activations)
-  const newProductionCount = isDev ? productionActivations.length : productionActivations.length + 1;
+  const reclaimedProduction = reclaimed && !isDev ? 1 : 0;
+  const newProductionCount = isDev
+    ? productionActivations.length
+    : productionActivations.length + 1 - reclaimedProduction;
+  const newDevCount = devActivations.length + (isDev ? 1 : 0) - (reclaimed && isDev ? 1 : 0);
   
   return {
     success: true,
@@ -201,15 +621,18 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
       ? 'License activated for development environment (doesn\'t count toward limit)'
       : 'License activated successfully',
     activation: {
-      id: result.lastInsertRowid,
+      id: result.id,
       domain,
       activatedAt: new Date().toISOString(),
       isDevEnvironment: isDev
     },
-    token: generateToken(license, domain),
+    token: generateToken(license, licenseKey, domain),
     remaining: license.max_activations - newProductionCount,
     productionActivations: newProductionCount,
-    devActivations: activations.filter(a => isDevEnvironment(a.domain)).length + (isDev ? 1 : 0)
+    devActivations: newDevCount,
+    ...(reclaimed && {
+      reclaimed: { domain: reclaimed.domain, lastHeartbeat: reclaimed.last_heartbeat }
+    })
   };
 }
 
@@ -217,6 +640,12 @@ export function activateLicense(licenseKey, domain, siteInfo = {}) {
  * Deactivate a license for a domain
  */
 export function deactivateLicense(licenseKey, domain, ipAddress = null) {
+  // Reject typos before touching the database
+  const formatError = getKeyFormatError(licenseKey);
+  if (formatError) {
+    return { success: false, ...formatError };
+  }
+  
   const db = getDb();
   const license = getLicenseByKey(licenseKey);
   
@@ -226,7 +655,7 @@ export function deactivateLicense(licenseKey, domain, ipAddress = null) {
   
   const stmt = db.prepare(`
     UPDATE activations 
-    SET is_active = 0, deactivated_at = datetime('now')
+    SET is_active = 0, deactivated_at = datetime('now'), deactivation_reason = 'customer'
     WHERE license_id = ? AND domain = ? AND is_active = 1
   `);
   
@@ -247,16 +676,109 @@ export function deactivateLicense(licenseKey, domain, ipAddress = null) {
   };
 }
 
+/**
+ * Portal deactivations of a license in the current calendar month
+ * Returns { limit, used, remaining, resetsAt }
+ */
+export function getPortalDeactivationUsage(licenseId, now = new Date()) {
+  const db = getDb();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  
+  const { used } = db.prepare(`
+    SELECT COUNT(*) as used FROM audit_log
+    WHERE license_id = ? AND action = 'portal_deactivated' AND datetime(created_at) >= datetime(?)
+  `).get(licenseId, monthStart.toISOString());
+  
+  return {
+    limit: PORTAL_DEACTIVATIONS_PER_MONTH,
+    used,
+    remaining: Math.max(PORTAL_DEACTIVATIONS_PER_MONTH - used, 0),
+    resetsAt: nextMonth.toISOString()
+  };
+}
+
+/**
+ * Deactivate a site from the customer portal
+ * The license must belong to email; each deactivation counts toward
+ * PORTAL_DEACTIVATIONS_PER_MONTH and is audited with the customer as actor
+ */
+export function deactivateForCustomer(licenseId, email, domain, ipAddress = null) {
+  const db = getDb();
+  const license = getLicenseById(licenseId);
+  
+  if (!license || license.email.toLowerCase() !== email.toLowerCase()) {
+    return { success: false, error: 'not_found', message: 'License not found' };
+  }
+  
+  // Check and use up the allowance atomically
+  const deactivate = db.transaction(() => {
+    const activation = getActiveActivations(license.id)
+      .find(a => a.domain.toLowerCase() === String(domain).trim().toLowerCase());
+    
+    if (!activation) {
+      return { success: false, error: 'not_found', message: 'No active activation found for this domain' };
+    }
+    
+    const usage = getPortalDeactivationUsage(license.id);
+    if (usage.remaining === 0) {
+      return {
+        success: false,
+        error: 'deactivation_limit',
+        message: usage.limit === 0
+          ? 'Sites cannot be deactivated from the portal. Please contact support.'
+          : `You can deactivate ${usage.limit} site(s) per license per month. Deactivate the site from its WordPress admin or contact support.`,
+        deactivations: usage
+      };
+    }
+    
+    // Deactivated in the meantime (e.g. from the plugin): nothing done, nothing charged
+    const deactivated = deactivateActivation(activation, 'customer', {
+      action: 'portal_deactivated',
+      actor: email.toLowerCase(),
+      ipAddress,
+      details: { source: 'portal' }
+    });
+    
+    if (!deactivated) {
+      return { success: false, error: 'not_found', message: 'No active activation found for this domain' };
+    }
+    
+    return {
+      success: true,
+      message: 'Site deactivated',
+      licenseId: license.id,
+      domain: activation.domain,
+      remaining: license.max_activations - getActiveActivations(license.id).filter(a => !isDevEnvironment(a.domain)).length,
+      deactivations: getPortalDeactivationUsage(license.id)
+    };
+  });
+  
+  return deactivate();
+}
+
 /**
  * Validate a license (with optional token verification and product check)
  */
 export function validateLicense(licenseKey, domain, token = null, productSlug = null) {
+  // Reject typos before touching the database
+  const formatError = getKeyFormatError(licenseKey);
+  if (formatError) {
+    return { valid: false, ...formatError };
+  }
+  
   const license = getLicenseByKey(licenseKey);
   
   if (!license) {
     return { valid: false, error: 'invalid_key', message: 'License key not found' };
   }
   
+  // Check status (suspended/revoked/refunded)
+  const statusError = getStatusError(license);
+  if (statusError) {
+    return { valid: false, ...statusError };
+  }
+  
   // Check product match if productSlug provided
   if (productSlug && license.product_id) {
     const db = getDb();
@@ -290,7 +812,7 @@ export function validateLicense(licenseKey, domain, token = null, productSlug =
   // Verify token if provided
   if (token) {
     try {
-      const decoded = jwt.verify(token, JWT_SECRET);
+      const decoded = verifyToken(token);
       if (decoded.domain !== domain || decoded.licenseKey !== licenseKey) {
         return { valid: false, error: 'token_mismatch', message: 'Token does not match domain/license' };
       }
@@ -313,10 +835,15 @@ export function validateLicense(licenseKey, domain, token = null, productSlug =
     }
   }
   
+  const plan = getLicensePlan(license);
+  
   return {
     valid: true,
     license: {
+      status: license.status,
       plan: license.plan,
+      features: getLicenseFeatures(license, plan),
+      updatesAccess: plan ? plan.updates_access : true,
       email: license.email,
       expiresAt: license.expires_at,
       maxActivations: license.max_activations,
@@ -334,6 +861,12 @@ export function validateLicense(licenseKey, domain, token = null, productSlug =
  * Record heartbeat from a site
  */
 export function recordHeartbeat(licenseKey, domain, siteInfo = {}) {
+  // Reject typos before touching the database
+  const formatError = getKeyFormatError(licenseKey);
+  if (formatError) {
+    return { success: false, ...formatError };
+  }
+  
   const db = getDb();
   const license = getLicenseByKey(licenseKey);
   
@@ -341,9 +874,15 @@ export function recordHeartbeat(licenseKey, domain, siteInfo = {}) {
     return { success: false, error: 'invalid_key' };
   }
   
+  const statusError = getStatusError(license);
+  if (statusError) {
+    return { success: false, valid: false, ...statusError };
+  }
+  
   const stmt = db.prepare(`
     UPDATE activations 
     SET last_heartbeat = datetime('now'),
+        stale_at = NULL,
         wp_version = COALESCE(?, wp_version),
         plugin_version = COALESCE(?, plugin_version)
     WHERE license_id = ? AND domain = ? AND is_active = 1
@@ -367,47 +906,50 @@ export function recordHeartbeat(licenseKey, domain, siteInfo = {}) {
     success: true,
     valid: !isExpired,
     expiresAt: license.expires_at,
-    plan: license.plan
+    plan: license.plan,
+    features: getLicenseFeatures(license)
   };
 }
 
 /**
- * Generate JWT token for activated domain
+ * Generate signed JWT token for activated domain
+ * Verifiable offline against /.well-known/jwks.json
  */
-function generateToken(license, domain) {
-  return jwt.sign(
+function generateToken(license, licenseKey, domain) {
+  return signToken(
     {
-      licenseKey: license.license_key,
+      licenseKey,
       domain,
       plan: license.plan,
+      features: getLicenseFeatures(license),
       exp: license.expires_at 
         ? Math.floor(new Date(license.expires_at).getTime() / 1000)
         : Math.floor(Date.now() / 1000) + (365 * 24 * 60 * 60) // 1 year default
-    },
-    JWT_SECRET
+    }
   );
 }
 
-/**
- * Log audit event
- */
-function logAudit(licenseId, action, domain, ipAddress, details) {
-  const db = getDb();
-  const stmt = db.prepare(`
-    INSERT INTO audit_log (license_id, action, domain, ip_address, details)
-    VALUES (?, ?, ?, ?, ?)
-  `);
-  stmt.run(licenseId, action, domain, ipAddress, details ? JSON.stringify(details) : null);
-}
-
 export default {
   generateLicenseKey,
   createLicense,
   getLicenseByKey,
+  getLicenseById,
+  resolveLicense,
+  formatLicense,
+  getLicenseBySubscriptionId,
+  updateLicenseBilling,
+  getLicenseFeatures,
+  setFeatureOverrides,
   getActiveActivations,
+  isStaleActivation,
+  deactivateActivation,
   activateLicense,
   deactivateLicense,
+  getPortalDeactivationUsage,
+  deactivateForCustomer,
   validateLicense,
   recordHeartbeat,
-  isDevEnvironment
+  isDevEnvironment,
+  getStatusError,
+  setLicenseStatus
 };
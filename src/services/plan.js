@@ -0,0 +1,244 @@
+/**
+ * Plan service - per-product plan catalog and entitlements
+ *
+ * A plan defines what a license is entitled to: production activation
+ * limit, duration (null = lifetime), dev/staging site allowance
+ * (null = unlimited), update access, feature flags and how many days without
+ * a heartbeat before an activation is deactivated (null = never). Payment provider
+ * price IDs map to plans so webhooks issue the right license.
+ */
+
+import { getDb } from '../db/init.js';
+
+// Feature flags are flat: snake_case name -> boolean, number (limits like max_courses) or string
+const FEATURE_NAME = /^[a-z][a-z0-9_]*$/;
+
+/**
+ * Validate a feature flag set
+ * Returns an error message, or null when valid. allowNull permits null values (used to clear overrides)
+ */
+export function validateFeatures(features, { allowNull = false } = {}) {
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    return 'features must be an object';
+  }
+
+  for (const [name, value] of Object.entries(features)) {
+    if (!FEATURE_NAME.test(name)) {
+      return `Invalid feature name: ${name} (use snake_case)`;
+    }
+    if (value === null && allowNull) continue;
+    if (!['boolean', 'number', 'string'].includes(typeof value)) {
+      return `Feature ${name} must be a boolean, number or string`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Parse a plan row (features JSON, boolean flags)
+ */
+function parsePlan(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    updates_access: row.updates_access === 1,
+    is_active: row.is_active === 1,
+    features: row.features ? JSON.parse(row.features) : {}
+  };
+}
+
+/**
+ * Create a plan for a product
+ */
+export function createPlan({
+  productId,
+  slug,
+  name,
+  maxActivations = 1,
+  durationDays = null,
+  devSites = null,
+  updatesAccess = true,
+  features = {},
+  staleDeactivateDays = null
+}) {
+  const db = getDb();
+
+  const result = db.prepare(`
+    INSERT INTO plans (product_id, slug, name, max_activations, duration_days, dev_sites, updates_access, features, stale_deactivate_days)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    productId,
+    slug,
+    name,
+    maxActivations,
+    durationDays,
+    devSites,
+    updatesAccess ? 1 : 0,
+    JSON.stringify(features || {}),
+    staleDeactivateDays
+  );
+
+  return getPlanById(result.lastInsertRowid);
+}
+
+/**
+ * Get plan by ID
+ */
+export function getPlanById(id) {
+  const db = getDb();
+  return parsePlan(db.prepare(`SELECT * FROM plans WHERE id = ?`).get(id));
+}
+
+/**
+ * Get a product's plan by slug
+ */
+export function getPlan(productId, slug) {
+  const db = getDb();
+  return parsePlan(db.prepare(`SELECT * FROM plans WHERE product_id = ? AND slug = ?`).get(productId, slug));
+}
+
+/**
+ * Get all plans of a product, with their provider prices
+ */
+export function getPlansForProduct(productId, includeInactive = false) {
+  const db = getDb();
+  const plans = db.prepare(`
+    SELECT * FROM plans
+    WHERE product_id = ? ${includeInactive ? '' : 'AND is_active = 1'}
+    ORDER BY max_activations, id
+  `).all(productId);
+
+  return plans.map(plan => ({ ...parsePlan(plan), prices: getPlanPrices(plan.id) }));
+}
+
+/**
+ * Update plan
+ */
+export function updatePlan(id, updates) {
+  const db = getDb();
+
+  const columns = {
+    name: 'name',
+    maxActivations: 'max_activations',
+    durationDays: 'duration_days',
+    devSites: 'dev_sites',
+    updatesAccess: 'updates_access',
+    features: 'features',
+    staleDeactivateDays: 'stale_deactivate_days',
+    isActive: 'is_active'
+  };
+
+  const fields = [];
+  const values = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (updates[key] === undefined) continue;
+
+    let value = updates[key];
+    if (key === 'updatesAccess' || key === 'isActive') value = value ? 1 : 0;
+    if (key === 'features') value = JSON.stringify(value || {});
+
+    fields.push(`${column} = ?`);
+    values.push(value);
+  }
+
+  if (fields.length === 0) {
+    return getPlanById(id);
+  }
+
+  fields.push("updated_at = datetime('now')");
+  values.push(id);
+
+  db.prepare(`UPDATE plans SET ${fields.join(', ')} WHERE id = ?`).run(...values);
+  return getPlanById(id);
+}
+
+/**
+ * Delete plan (soft delete - existing licenses keep referencing it)
+ */
+export function deletePlan(id) {
+  return updatePlan(id, { isActive: false });
+}
+
+/**
+ * Get the provider prices mapped to a plan
+ */
+export function getPlanPrices(planId) {
+  const db = getDb();
+  return db.prepare(`SELECT id, provider, price_id, created_at FROM plan_prices WHERE plan_id = ? ORDER BY id`).all(planId);
+}
+
+/**
+ * Map a provider price ID (Stripe price, Paddle price, Lemon Squeezy variant) to a plan
+ */
+export function addPlanPrice(planId, { provider = 'stripe', priceId }) {
+  const db = getDb();
+  const result = db.prepare(`
+    INSERT INTO plan_prices (plan_id, provider, price_id)
+    VALUES (?, ?, ?)
+  `).run(planId, provider, String(priceId));
+
+  return db.prepare(`SELECT id, provider, price_id, created_at FROM plan_prices WHERE id = ?`).get(result.lastInsertRowid);
+}
+
+/**
+ * Remove a price mapping from a plan
+ */
+export function removePlanPrice(planId, priceMappingId) {
+  const db = getDb();
+  const result = db.prepare(`DELETE FROM plan_prices WHERE id = ? AND plan_id = ?`).run(priceMappingId, planId);
+  return result.changes > 0;
+}
+
+/**
+ * Find the plan a provider price ID is mapped to
+ */
+export function getPlanByPrice(provider, priceId) {
+  if (!priceId) return null;
+
+  const db = getDb();
+  return parsePlan(db.prepare(`
+    SELECT plans.* FROM plan_prices
+    JOIN plans ON plans.id = plan_prices.plan_id
+    WHERE plan_prices.provider = ? AND plan_prices.price_id = ?
+  `).get(provider, String(priceId)));
+}
+
+/**
+ * Get the plan of a license
+ * Licenses created before the plan catalog are matched by product + plan slug
+ */
+export function getLicensePlan(license) {
+  if (license.plan_id) {
+    return getPlanById(license.plan_id);
+  }
+  if (license.product_id && license.plan) {
+    return getPlan(license.product_id, license.plan);
+  }
+  return null;
+}
+
+/**
+ * Expiry date for a license issued on a plan today (null = lifetime)
+ */
+export function getPlanExpiry(plan, from = new Date()) {
+  if (!plan || !plan.duration_days) return null;
+  return new Date(from.getTime() + plan.duration_days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+export default {
+  createPlan,
+  getPlanById,
+  getPlan,
+  getPlansForProduct,
+  updatePlan,
+  deletePlan,
+  getPlanPrices,
+  addPlanPrice,
+  removePlanPrice,
+  getPlanByPrice,
+  getLicensePlan,
+  getPlanExpiry,
+  validateFeatures
+};
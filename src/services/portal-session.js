@@ -0,0 +1,311 @@
+/**
+ * Customer portal sessions
+ *
+ * Logging in emails a magic link with a random, single-use token that
+ * expires after MAGIC_LINK_MINUTES. The portal exchanges it once for a
+ * session: a short-lived access token and a refresh token (cookies, see
+ * routes/customer.js), both stored hashed. Refreshing rotates both tokens;
+ * a refresh token that was already rotated away is presented only by a copy,
+ * so the session is revoked.
+ *
+ * Environment variables:
+ * - PORTAL_ACCESS_MINUTES: access token lifetime (default: 15)
+ * - PORTAL_SESSION_DAYS: a session ends after this many days without a refresh (default: 30)
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+import { normalizeEmail } from './customer.js';
+
+export const MAGIC_LINK_MINUTES = 30;
+export const ACCESS_MINUTES = Number(process.env.PORTAL_ACCESS_MINUTES || 15);
+export const SESSION_DAYS = Number(process.env.PORTAL_SESSION_DAYS || 30);
+
+// A rotated refresh token presented this soon after is a concurrent refresh (another tab), not a copy
+const REFRESH_GRACE_SECONDS = 30;
+
+// Ended sessions and used or expired links are kept this long, then pruned
+const RETENTION_DAYS = 30;
+
+/**
+ * SHA-256 of a token (tokens are random, so no secret is needed)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Session row for output (no token hashes)
+ */
+function formatSession(row, currentId = null) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.refresh_expires_at,
+    current: row.id === currentId
+  };
+}
+
+/**
+ * Create a magic link token for an email
+ */
+export function createMagicLink(email, ipAddress = null) {
+  const db = getDb();
+  const token = newToken();
+
+  db.prepare(`
+    INSERT INTO magic_links (token_hash, email, ip_address, expires_at)
+    VALUES (?, ?, ?, datetime('now', ?))
+  `).run(hashToken(token), normalizeEmail(email), ipAddress, `+${MAGIC_LINK_MINUTES} minutes`);
+
+  return token;
+}
+
+/**
+ * Mark a magic link used
+ * Returns its email, or null when the token is unknown, used or expired
+ */
+export function consumeMagicLink(token) {
+  if (!token) return null;
+
+  const db = getDb();
+  const row = db.prepare(`
+    UPDATE magic_links SET used_at = datetime('now')
+    WHERE token_hash = ? AND used_at IS NULL AND datetime(expires_at) > datetime('now')
+    RETURNING email
+  `).get(hashToken(token));
+
+  return row ? row.email : null;
+}
+
+/**
+ * Start a session for an email
+ * Returns { session, accessToken, refreshToken }
+ */
+export function createSession(email, { ipAddress = null, userAgent = null } = {}) {
+  const db = getDb();
+  const accessToken = newToken();
+  const refreshToken = newToken();
+
+  const row = db.prepare(`
+    INSERT INTO portal_sessions (email, access_hash, access_expires_at, refresh_hash, refresh_expires_at, ip_address, user_agent)
+    VALUES (?, ?, datetime('now', ?), ?, datetime('now', ?), ?, ?)
+    RETURNING *
+  `).get(
+    normalizeEmail(email),
+    hashToken(accessToken),
+    `+${ACCESS_MINUTES} minutes`,
+    hashToken(refreshToken),
+    `+${SESSION_DAYS} days`,
+    ipAddress,
+    userAgent ? String(userAgent).slice(0, 255) : null
+  );
+
+  return { session: { ...formatSession(row, row.id), email: row.email }, accessToken, refreshToken };
+}
+
+/**
+ * Exchange a magic link token for a session
+ * Returns { success, session, accessToken, refreshToken } or { success: false, error, message }
+ */
+export function startSession(magicToken, meta = {}) {
+  const email = consumeMagicLink(magicToken);
+
+  if (!email) {
+    return {
+      success: false,
+      error: 'invalid_link',
+      message: 'This login link is invalid, expired or already used. Please request a new one.'
+    };
+  }
+
+  return { success: true, ...createSession(email, meta) };
+}
+
+/**
+ * The active session for an access token, or null
+ * Records the time and IP address of use
+ */
+export function authenticateSession(accessToken, { ipAddress = null } = {}) {
+  if (!accessToken) return null;
+
+  const db = getDb();
+  return db.prepare(`
+    UPDATE portal_sessions SET last_used_at = datetime('now'), ip_address = COALESCE(?, ip_address)
+    WHERE access_hash = ? AND revoked_at IS NULL
+      AND datetime(access_expires_at) > datetime('now')
+      AND datetime(refresh_expires_at) > datetime('now')
+    RETURNING *
+  `).get(ipAddress, hashToken(accessToken)) || null;
+}
+
+/**
+ * Revoke a session (reason: logout, signed_out_everywhere, refresh_token_reused, ...)
+ */
+function revokeSessionById(id, reason) {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE portal_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(reason, id).changes > 0;
+}
+
+/**
+ * Rotate a session's tokens with its refresh token
+ * Returns { success, session, accessToken, refreshToken } or { success: false, error, message }
+ */
+export function refreshSession(refreshToken, { ipAddress = null, userAgent = null } = {}) {
+  const db = getDb();
+  const expired = { success: false, error: 'session_expired', message: 'Your session has ended. Please sign in again.' };
+
+  if (!refreshToken) return expired;
+
+  const refresh = db.transaction(() => {
+    const hash = hashToken(refreshToken);
+    const session = db.prepare(`
+      SELECT id, revoked_at IS NULL AND datetime(refresh_expires_at) > datetime('now') as active
+      FROM portal_sessions WHERE refresh_hash = ?
+    `).get(hash);
+
+    if (!session) {
+      const rotated = db.prepare(`
+        SELECT id, email, datetime(refreshed_at) > datetime('now', ?) as recent
+        FROM portal_sessions WHERE previous_refresh_hash = ? AND revoked_at IS NULL
+      `).get(`-${REFRESH_GRACE_SECONDS} seconds`, hash);
+
+      if (rotated?.recent) {
+        return { success: false, error: 'refresh_conflict', message: 'The session was just refreshed; retry with the new cookies.' };
+      }
+      if (rotated) {
+        revokeSessionById(rotated.id, 'refresh_token_reused');
+        console.warn(`Portal session ${rotated.id} of ${rotated.email} revoked: refresh token reused`);
+      }
+      return expired;
+    }
+
+    if (!session.active) return expired;
+
+    const accessToken = newToken();
+    const nextRefreshToken = newToken();
+
+    const row = db.prepare(`
+      UPDATE portal_sessions SET
+        access_hash = ?, access_expires_at = datetime('now', ?),
+        previous_refresh_hash = refresh_hash, refresh_hash = ?, refresh_expires_at = datetime('now', ?),
+        refreshed_at = datetime('now'), last_used_at = datetime('now'),
+        ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+      WHERE id = ?
+      RETURNING *
+    `).get(
+      hashToken(accessToken),
+      `+${ACCESS_MINUTES} minutes`,
+      hashToken(nextRefreshToken),
+      `+${SESSION_DAYS} days`,
+      ipAddress,
+      userAgent ? String(userAgent).slice(0, 255) : null,
+      session.id
+    );
+
+    return {
+      success: true,
+      session: { ...formatSession(row, row.id), email: row.email },
+      accessToken,
+      refreshToken: nextRefreshToken
+    };
+  });
+
+  return refresh();
+}
+
+/**
+ * The session a refresh token belongs to (to sign out after the access token expired)
+ */
+export function getSessionByRefreshToken(refreshToken) {
+  if (!refreshToken) return null;
+
+  const db = getDb();
+  return db.prepare(`SELECT * FROM portal_sessions WHERE refresh_hash = ? AND revoked_at IS NULL`)
+    .get(hashToken(refreshToken)) || null;
+}
+
+/**
+ * End one of a customer's sessions
+ * Returns whether an active session was revoked
+ */
+export function revokeSession(id, email, reason = 'logout') {
+  const db = getDb();
+  const session = db.prepare(`SELECT id FROM portal_sessions WHERE id = ? AND email = ?`)
+    .get(Number(id), normalizeEmail(email));
+
+  return session ? revokeSessionById(session.id, reason) : false;
+}
+
+/**
+ * End all of a customer's sessions ("sign out everywhere")
+ * Returns the number revoked
+ */
+export function revokeAllSessions(email, reason = 'signed_out_everywhere') {
+  const db = getDb();
+  return db.prepare(`
+    UPDATE portal_sessions SET revoked_at = datetime('now'), revoked_reason = ?
+    WHERE email = ? AND revoked_at IS NULL
+  `).run(reason, normalizeEmail(email)).changes;
+}
+
+/**
+ * A customer's active sessions, most recently used first
+ * currentId marks the session making the request
+ */
+export function listSessions(email, currentId = null) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM portal_sessions
+    WHERE email = ? AND revoked_at IS NULL AND datetime(refresh_expires_at) > datetime('now')
+    ORDER BY last_used_at DESC, id DESC
+  `).all(normalizeEmail(email)).map(row => formatSession(row, currentId));
+}
+
+/**
+ * Delete expired magic links and sessions that ended more than RETENTION_DAYS ago
+ * Returns { magicLinks, sessions } deleted
+ */
+export function prunePortalSessions() {
+  const db = getDb();
+  const cutoff = `-${RETENTION_DAYS} days`;
+
+  const magicLinks = db.prepare(`
+    DELETE FROM magic_links WHERE datetime(expires_at) < datetime('now', ?)
+  `).run(cutoff).changes;
+
+  const sessions = db.prepare(`
+    DELETE FROM portal_sessions
+    WHERE datetime(COALESCE(revoked_at, refresh_expires_at)) < datetime('now', ?)
+  `).run(cutoff).changes;
+
+  return { magicLinks, sessions };
+}
+
+export default {
+  MAGIC_LINK_MINUTES,
+  ACCESS_MINUTES,
+  SESSION_DAYS,
+  createMagicLink,
+  consumeMagicLink,
+  createSession,
+  startSession,
+  authenticateSession,
+  refreshSession,
+  getSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  prunePortalSessions
+};
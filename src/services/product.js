@@ -4,18 +4,26 @@
 
 import { getDb } from '../db/init.js';
 
+/**
+ * Parse a product row (branding JSON)
+ */
+function parseProduct(row) {
+  if (!row) return null;
+  return { ...row, branding: row.branding ? JSON.parse(row.branding) : null };
+}
+
 /**
  * Create a new product
  */
-export function createProduct({ slug, name, description, currentVersion = '1.0.0', downloadUrl = null }) {
+export function createProduct({ slug, name, description, currentVersion = '1.0.0', downloadUrl = null, licensePrefix = null, branding = null }) {
   const db = getDb();
   
   const stmt = db.prepare(`
-    INSERT INTO products (slug, name, description, current_version, download_url)
-    VALUES (?, ?, ?, ?, ?)
+    INSERT INTO products (slug, name, description, current_version, download_url, license_prefix, branding)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
   `);
   
-  const result = stmt.run(slug, name, description, currentVersion, downloadUrl);
+  const result = stmt.run(slug, name, description, currentVersion, downloadUrl, licensePrefix, branding ? JSON.stringify(branding) : null);
   
   return {
     id: result.lastInsertRowid,
@@ -23,7 +31,9 @@ export function createProduct({ slug, name, description, currentVersion = '1.0.0
     name,
     description,
     currentVersion,
-    downloadUrl
+    downloadUrl,
+    licensePrefix,
+    branding
   };
 }
 
@@ -33,7 +43,7 @@ export function createProduct({ slug, name, description, currentVersion = '1.0.0
 export function getProductById(id) {
   const db = getDb();
   const stmt = db.prepare(`SELECT * FROM products WHERE id = ?`);
-  return stmt.get(id);
+  return parseProduct(stmt.get(id));
 }
 
 /**
@@ -42,7 +52,7 @@ export function getProductById(id) {
 export function getProductBySlug(slug) {
   const db = getDb();
   const stmt = db.prepare(`SELECT * FROM products WHERE slug = ?`);
-  return stmt.get(slug);
+  return parseProduct(stmt.get(slug));
 }
 
 /**
@@ -53,7 +63,7 @@ export function getAllProducts(includeInactive = false) {
   const stmt = includeInactive
     ? db.prepare(`SELECT * FROM products ORDER BY name`)
     : db.prepare(`SELECT * FROM products WHERE is_active = 1 ORDER BY name`);
-  return stmt.all();
+  return stmt.all().map(parseProduct);
 }
 
 /**
@@ -81,6 +91,14 @@ export function updateProduct(id, updates) {
     fields.push('download_url = ?');
     values.push(updates.downloadUrl);
   }
+  if (updates.licensePrefix !== undefined) {
+    fields.push('license_prefix = ?');
+    values.push(updates.licensePrefix);
+  }
+  if (updates.branding !== undefined) {
+    fields.push('branding = ?');
+    values.push(updates.branding ? JSON.stringify(updates.branding) : null);
+  }
   if (updates.isActive !== undefined) {
     fields.push('is_active = ?');
     values.push(updates.isActive ? 1 : 0);
@@ -90,7 +108,7 @@ export function updateProduct(id, updates) {
     return getProductById(id);
   }
   
-  fields.push('updated_at = datetime("now")');
+  fields.push("updated_at = datetime('now')");
   values.push(id);
   
   const stmt = db.prepare(`
@@ -117,7 +135,7 @@ export function getProductStats(productId) {
   const stmt = db.prepare(`
     SELECT 
       COUNT(*) as total_licenses,
-      SUM(CASE WHEN expires_at IS NULL OR expires_at > datetime('now') THEN 1 ELSE 0 END) as active_licenses,
+      SUM(CASE WHEN status = 'active' AND (expires_at IS NULL OR expires_at > datetime('now')) THEN 1 ELSE 0 END) as active_licenses,
       SUM(CASE WHEN plan = 'lifetime' THEN 1 ELSE 0 END) as lifetime_licenses
     FROM licenses 
     WHERE product_id = ?
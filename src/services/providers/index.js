@@ -0,0 +1,36 @@
+/**
+ * Payment provider registry
+ *
+ * Each provider adapter implements:
+ * - name: string used in the webhook URL (/api/v1/webhooks/:provider) and the ledger
+ * - isConfigured(): whether its webhook secret is set
+ * - verify(rawBody, headers): { valid, error } signature check over the raw body
+ * - parseEvent(payload): { id, type } for the webhook ledger
+ * - handleEvent(payload): maps the event onto billing flows; resolves false if unhandled
+ */
+
+import stripe from './stripe.js';
+import paddle from './paddle.js';
+import lemonsqueezy from './lemonsqueezy.js';
+
+const PROVIDERS = {
+  [stripe.name]: stripe,
+  [paddle.name]: paddle,
+  [lemonsqueezy.name]: lemonsqueezy
+};
+
+/**
+ * Get a payment provider adapter by name
+ */
+export function getPaymentProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name) ? PROVIDERS[name] : null;
+}
+
+/**
+ * List registered provider names
+ */
+export function listPaymentProviders() {
+  return Object.keys(PROVIDERS);
+}
+
+export default { getPaymentProvider, listPaymentProviders };
@@ -0,0 +1,154 @@
+/**
+ * Lemon Squeezy payment provider adapter
+ *
+ * Checkout custom data (meta.custom_data) may carry product_slug and license_type.
+ *
+ * Environment variables:
+ * - LEMONSQUEEZY_WEBHOOK_SECRET: webhook signing secret
+ */
+
+import crypto from 'crypto';
+import {
+  fulfillOrder,
+  linkSubscription,
+  renewSubscription,
+  markPaymentFailed,
+  cancelSubscription,
+  refundOrder
+} from '../billing.js';
+
+const LEMONSQUEEZY_WEBHOOK_SECRET = process.env.LEMONSQUEEZY_WEBHOOK_SECRET;
+
+/**
+ * Verify Lemon Squeezy webhook signature (hex HMAC-SHA256 of the raw body)
+ */
+export function verifyLemonSqueezySignature(rawBody, signature, secret) {
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const candidate = Buffer.from(signature, 'hex');
+
+  return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+    ? { valid: true }
+    : { valid: false, error: 'invalid_signature' };
+}
+
+/**
+ * Handle a parsed Lemon Squeezy event
+ * Returns false when the event type is not handled
+ */
+async function handleEvent(event) {
+  const data = event.data || {};
+  const attributes = data.attributes || {};
+  const customData = event.meta?.custom_data || {};
+
+  switch (event.meta?.event_name) {
+    case 'order_created': {
+      if (attributes.status !== 'paid') {
+        return false;
+      }
+      await fulfillOrder({
+        provider: 'lemonsqueezy',
+        orderId: data.id,
+        email: attributes.user_email,
+        productSlug: customData.product_slug,
+        planSlug: customData.plan,
+        priceId: attributes.first_order_item?.variant_id,
+        licenseType: customData.license_type,
+        customerId: attributes.customer_id,
+        paymentId: data.id,
+        metadata: {
+          lemonsqueezy_order_number: attributes.order_number || null,
+          lemonsqueezy_variant_id: attributes.first_order_item?.variant_id || null
+        }
+      });
+      break;
+    }
+
+    case 'subscription_created': {
+      linkSubscription({
+        provider: 'lemonsqueezy',
+        subscriptionId: data.id,
+        orderId: attributes.order_id,
+        periodEnd: attributes.renews_at || null
+      });
+      break;
+    }
+
+    case 'subscription_updated': {
+      // Renewals move renews_at forward; renewSubscription never shortens expiry
+      if (attributes.status !== 'active' || !attributes.renews_at) {
+        return false;
+      }
+      renewSubscription({
+        provider: 'lemonsqueezy',
+        subscriptionId: data.id,
+        periodEnd: attributes.renews_at
+      });
+      break;
+    }
+
+    case 'subscription_payment_failed': {
+      markPaymentFailed({
+        provider: 'lemonsqueezy',
+        subscriptionId: attributes.subscription_id,
+        invoiceId: data.id
+      });
+      break;
+    }
+
+    case 'subscription_cancelled':
+    case 'subscription_expired': {
+      // Cancelled subscriptions stay valid until ends_at
+      cancelSubscription({
+        provider: 'lemonsqueezy',
+        subscriptionId: data.id,
+        endedAt: attributes.ends_at || null
+      });
+      break;
+    }
+
+    case 'order_refunded': {
+      refundOrder({
+        provider: 'lemonsqueezy',
+        orderId: data.id,
+        paymentId: data.id,
+        reason: `Lemon Squeezy order ${attributes.order_number || data.id} refunded`
+      });
+      break;
+    }
+
+    default:
+      console.log(`Unhandled Lemon Squeezy event type: ${event.meta?.event_name}`);
+      return false;
+  }
+
+  return true;
+}
+
+export default {
+  name: 'lemonsqueezy',
+
+  isConfigured() {
+    return Boolean(LEMONSQUEEZY_WEBHOOK_SECRET);
+  },
+
+  verify(rawBody, headers) {
+    const signature = headers['x-signature'];
+    if (!signature) {
+      return { valid: false, error: 'missing_signature' };
+    }
+    return verifyLemonSqueezySignature(rawBody, signature, LEMONSQUEEZY_WEBHOOK_SECRET);
+  },
+
+  parseEvent(payload) {
+    // No per-delivery event ID: event name + resource + update time identify the event
+    const name = payload.meta?.event_name;
+    const id = payload.data?.id;
+    const updatedAt = payload.data?.attributes?.updated_at;
+    return {
+      id: name && id ? `${name}:${id}:${updatedAt || ''}` : null,
+      type: name
+    };
+  },
+
+  handleEvent
+};
@@ -0,0 +1,185 @@
+/**
+ * Paddle Billing payment provider adapter
+ *
+ * Custom data on the checkout (custom_data) may carry product_slug,
+ * license_type and email. Paddle does not include the customer email in
+ * transaction events, so it is fetched from the API when PADDLE_API_KEY is set.
+ *
+ * Environment variables:
+ * - PADDLE_WEBHOOK_SECRET: notification destination secret key
+ * - PADDLE_API_KEY: API key used to look up customer emails (optional)
+ * - PADDLE_API_URL: API base URL (default: https://api.paddle.com, sandbox: https://sandbox-api.paddle.com)
+ * - PADDLE_WEBHOOK_TOLERANCE: max signature age in seconds (default: 300)
+ */
+
+import crypto from 'crypto';
+import {
+  fulfillOrder,
+  renewSubscription,
+  markPaymentFailed,
+  cancelSubscription,
+  refundOrder
+} from '../billing.js';
+
+const PADDLE_WEBHOOK_SECRET = process.env.PADDLE_WEBHOOK_SECRET;
+const PADDLE_API_KEY = process.env.PADDLE_API_KEY;
+const PADDLE_API_URL = process.env.PADDLE_API_URL || 'https://api.paddle.com';
+const PADDLE_WEBHOOK_TOLERANCE = Number(process.env.PADDLE_WEBHOOK_TOLERANCE || 300);
+
+/**
+ * Verify Paddle webhook signature against the raw request body
+ * Header format: ts=<timestamp>;h1=<hex hmac>[;h1=...]
+ */
+export function verifyPaddleSignature(rawBody, header, secret, tolerance = PADDLE_WEBHOOK_TOLERANCE) {
+  const timestamps = [];
+  const signatures = [];
+
+  for (const element of header.split(';')) {
+    const index = element.indexOf('=');
+    if (index === -1) continue;
+    const key = element.slice(0, index).trim();
+    const value = element.slice(index + 1).trim();
+    if (key === 'ts') timestamps.push(value);
+    if (key === 'h1') signatures.push(value);
+  }
+
+  const timestamp = Number(timestamps[0]);
+  if (timestamps.length !== 1 || !Number.isInteger(timestamp) || signatures.length === 0) {
+    return { valid: false, error: 'malformed_signature' };
+  }
+
+  const age = Math.floor(Date.now() / 1000) - timestamp;
+  if (tolerance > 0 && Math.abs(age) > tolerance) {
+    return { valid: false, error: 'timestamp_out_of_tolerance' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}:`)
+    .update(rawBody)
+    .digest();
+
+  const matches = signatures.some(sig => {
+    const candidate = Buffer.from(sig, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, error: 'invalid_signature' };
+}
+
+/**
+ * Resolve the customer email for a transaction
+ */
+async function getCustomerEmail(transaction) {
+  if (transaction.customer?.email) return transaction.customer.email;
+  if (transaction.custom_data?.email) return transaction.custom_data.email;
+  if (!PADDLE_API_KEY || !transaction.customer_id) return null;
+
+  const response = await fetch(`${PADDLE_API_URL}/customers/${transaction.customer_id}`, {
+    headers: { 'Authorization': `Bearer ${PADDLE_API_KEY}` }
+  });
+
+  if (!response.ok) {
+    // Throw so the event is marked failed and retried/replayable
+    throw new Error(`Paddle customer lookup failed: HTTP ${response.status}`);
+  }
+
+  const result = await response.json();
+  return result.data?.email || null;
+}
+
+/**
+ * Handle a parsed Paddle event
+ * Returns false when the event type is not handled
+ */
+async function handleEvent(event) {
+  const data = event.data || {};
+
+  switch (event.event_type) {
+    case 'transaction.completed': {
+      // Recurring transactions renew; everything else is a new purchase
+      if (data.origin === 'subscription_recurring') {
+        renewSubscription({
+          provider: 'paddle',
+          subscriptionId: data.subscription_id,
+          periodEnd: data.billing_period?.ends_at || null,
+          paymentId: data.id,
+          invoiceId: data.invoice_id || null
+        });
+        break;
+      }
+
+      await fulfillOrder({
+        provider: 'paddle',
+        orderId: data.id,
+        email: await getCustomerEmail(data),
+        productSlug: data.custom_data?.product_slug,
+        planSlug: data.custom_data?.plan,
+        priceId: data.items?.[0]?.price?.id || data.items?.[0]?.price_id,
+        licenseType: data.custom_data?.license_type,
+        customerId: data.customer_id,
+        subscriptionId: data.subscription_id || null,
+        paymentId: data.id,
+        periodEnd: data.billing_period?.ends_at || null
+      });
+      break;
+    }
+
+    case 'subscription.past_due': {
+      markPaymentFailed({ provider: 'paddle', subscriptionId: data.id });
+      break;
+    }
+
+    case 'subscription.canceled': {
+      cancelSubscription({
+        provider: 'paddle',
+        subscriptionId: data.id,
+        endedAt: data.canceled_at || null
+      });
+      break;
+    }
+
+    case 'adjustment.created':
+    case 'adjustment.updated': {
+      // Refunds need approval; act only once approved
+      if (data.action !== 'refund' || data.status !== 'approved') {
+        return false;
+      }
+      refundOrder({
+        provider: 'paddle',
+        orderId: data.transaction_id,
+        paymentId: data.transaction_id,
+        reason: `Paddle refund ${data.id} approved`
+      });
+      break;
+    }
+
+    default:
+      console.log(`Unhandled Paddle event type: ${event.event_type}`);
+      return false;
+  }
+
+  return true;
+}
+
+export default {
+  name: 'paddle',
+
+  isConfigured() {
+    return Boolean(PADDLE_WEBHOOK_SECRET);
+  },
+
+  verify(rawBody, headers) {
+    const signature = headers['paddle-signature'];
+    if (!signature) {
+      return { valid: false, error: 'missing_signature' };
+    }
+    return verifyPaddleSignature(rawBody, signature, PADDLE_WEBHOOK_SECRET);
+  },
+
+  parseEvent(payload) {
+    return { id: payload.event_id, type: payload.event_type };
+  },
+
+  handleEvent
+};
@@ -0,0 +1,194 @@
+/**
+ * Stripe payment provider adapter
+ *
+ * Environment variables:
+ * - STRIPE_WEBHOOK_SECRET: webhook signing secret (whsec_...)
+ * - STRIPE_WEBHOOK_TOLERANCE: max signature age in seconds (default: 300)
+ */
+
+import crypto from 'crypto';
+import {
+  fulfillOrder,
+  linkSubscription,
+  renewSubscription,
+  markPaymentFailed,
+  cancelSubscription,
+  refundOrder,
+  toIsoDate
+} from '../billing.js';
+
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+
+// Max age (seconds) of a signed webhook before it is rejected as a replay
+const STRIPE_WEBHOOK_TOLERANCE = Number(process.env.STRIPE_WEBHOOK_TOLERANCE || 300);
+
+/**
+ * Verify Stripe webhook signature against the raw request body
+ * Header format: t=<timestamp>,v1=<hex hmac>[,v1=...]
+ */
+export function verifyStripeSignature(rawBody, header, secret, tolerance = STRIPE_WEBHOOK_TOLERANCE) {
+  if (!header) {
+    return { valid: false, error: 'missing_signature' };
+  }
+
+  const timestamps = [];
+  const signatures = [];
+
+  for (const element of header.split(',')) {
+    const index = element.indexOf('=');
+    if (index === -1) continue;
+    const key = element.slice(0, index).trim();
+    const value = element.slice(index + 1).trim();
+    if (key === 't') timestamps.push(value);
+    if (key === 'v1') signatures.push(value);
+  }
+
+  const timestamp = Number(timestamps[0]);
+  if (timestamps.length !== 1 || !Number.isInteger(timestamp) || signatures.length === 0) {
+    return { valid: false, error: 'malformed_signature' };
+  }
+
+  const age = Math.floor(Date.now() / 1000) - timestamp;
+  if (tolerance > 0 && Math.abs(age) > tolerance) {
+    return { valid: false, error: 'timestamp_out_of_tolerance' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest();
+
+  const matches = signatures.some(sig => {
+    const candidate = Buffer.from(sig, 'hex');
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+
+  return matches ? { valid: true } : { valid: false, error: 'invalid_signature' };
+}
+
+/**
+ * Get subscription ID from an invoice (supports old and new API shapes)
+ */
+function getInvoiceSubscriptionId(invoice) {
+  return invoice.subscription || invoice.parent?.subscription_details?.subscription || null;
+}
+
+/**
+ * Handle a parsed Stripe event
+ * Returns false when the event type is not handled
+ */
+async function handleEvent(event) {
+  const object = event.data?.object;
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      await fulfillOrder({
+        provider: 'stripe',
+        orderId: object.id,
+        email: object.customer_email || object.customer_details?.email,
+        productSlug: object.metadata?.product_slug,
+        planSlug: object.metadata?.plan,
+        // line_items is only present when the session was expanded
+        priceId: object.line_items?.data?.[0]?.price?.id || object.metadata?.price_id,
+        licenseType: object.metadata?.license_type,
+        customerId: object.customer,
+        subscriptionId: object.subscription || null,
+        // Subscription checkouts have no payment_intent; their first invoice pays
+        paymentId: object.payment_intent || null,
+        invoiceId: object.invoice || null,
+        metadata: {
+          stripe_session_id: object.id,
+          stripe_customer_id: object.customer
+        }
+      });
+      break;
+    }
+
+    case 'customer.subscription.created': {
+      linkSubscription({
+        provider: 'stripe',
+        subscriptionId: object.id,
+        customerId: object.customer,
+        periodEnd: toIsoDate(object.current_period_end)
+      });
+      break;
+    }
+
+    case 'customer.subscription.deleted': {
+      cancelSubscription({
+        provider: 'stripe',
+        subscriptionId: object.id,
+        endedAt: toIsoDate(object.ended_at),
+        reason: object.cancellation_details?.reason || null
+      });
+      break;
+    }
+
+    case 'invoice.paid': {
+      const subscriptionId = getInvoiceSubscriptionId(object);
+      if (!subscriptionId) break;
+
+      const line = object.lines?.data?.find(l => l.period?.end) || null;
+      renewSubscription({
+        provider: 'stripe',
+        subscriptionId,
+        periodEnd: toIsoDate(line?.period?.end ?? object.period_end),
+        paymentId: object.payment_intent || null,
+        invoiceId: object.id
+      });
+      break;
+    }
+
+    case 'invoice.payment_failed': {
+      markPaymentFailed({
+        provider: 'stripe',
+        subscriptionId: getInvoiceSubscriptionId(object),
+        invoiceId: object.id
+      });
+      break;
+    }
+
+    case 'charge.refunded': {
+      if (!object.refunded) {
+        console.log(`Charge ${object.id} only partially refunded, license unchanged`);
+        break;
+      }
+      refundOrder({
+        provider: 'stripe',
+        paymentId: object.payment_intent,
+        invoiceId: object.invoice || null,
+        reason: `Stripe charge ${object.id} refunded`
+      });
+      break;
+    }
+
+    default:
+      console.log(`Unhandled Stripe event type: ${event.type}`);
+      return false;
+  }
+
+  return true;
+}
+
+export default {
+  name: 'stripe',
+
+  isConfigured() {
+    return Boolean(STRIPE_WEBHOOK_SECRET);
+  },
+
+  verify(rawBody, headers) {
+    const signature = headers['stripe-signature'];
+    if (!signature) {
+      return { valid: false, error: 'missing_signature' };
+    }
+    return verifyStripeSignature(rawBody, signature, STRIPE_WEBHOOK_SECRET);
+  },
+
+  parseEvent(payload) {
+    return { id: payload.id, type: payload.type };
+  },
+
+  handleEvent
+};
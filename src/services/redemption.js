@@ -0,0 +1,241 @@
+/**
+ * Redemption service - unclaimed codes that customers bind to their email
+ *
+ * A code batch holds codes (e.g. for resellers/AppSumo) with no owner. When a
+ * customer redeems a code, a real license is created from the batch's
+ * product/plan for their email and the code is marked redeemed. Codes are
+ * stored hashed like license keys.
+ *
+ * Code statuses: unclaimed -> redeemed | voided
+ *
+ * Environment variables:
+ * - REDEMPTION_CODE_PREFIX: prefix of generated codes (default: CODE)
+ */
+
+import { getDb } from '../db/init.js';
+import { createLicense } from './license.js';
+import {
+  generateLicenseKey,
+  isValidKeyFormat,
+  hashLicenseKey,
+  getKeyDisplayPrefix,
+  maskLicenseKey
+} from './license-key.js';
+import { createBatchRecord, getBatch } from './batch.js';
+import { getProductById } from './product.js';
+import { logAudit } from './audit.js';
+import { sendLicenseEmail } from './email.js';
+
+const CODE_PREFIX = process.env.REDEMPTION_CODE_PREFIX || 'CODE';
+
+/**
+ * Generate a batch of unclaimed redemption codes
+ * The product/plan/limits are stored on the batch and applied at redemption
+ */
+export function generateCodeBatch({
+  count,
+  productId = null,
+  plan = 'standard',
+  maxActivations = null,
+  expiresAt = null,
+  name = null,
+  notes = null,
+  actor = null,
+  ipAddress = null
+}) {
+  const db = getDb();
+  const insert = db.prepare(`
+    INSERT INTO redemption_codes (code_hash, code_prefix, batch_id)
+    VALUES (?, ?, ?)
+  `);
+
+  const generate = db.transaction(() => {
+    const batchId = createBatchRecord({ name, source: 'codes', productId, plan, maxActivations, expiresAt, notes });
+
+    const codes = [];
+    while (codes.length < count) {
+      const code = generateLicenseKey(CODE_PREFIX);
+      try {
+        const result = insert.run(hashLicenseKey(code), getKeyDisplayPrefix(code), batchId);
+        codes.push({ id: result.lastInsertRowid, code });
+      } catch (err) {
+        // Retry on the (practically impossible) hash collision
+        if (err.code !== 'SQLITE_CONSTRAINT_UNIQUE') throw err;
+      }
+    }
+
+    db.prepare(`UPDATE license_batches SET quantity = ? WHERE id = ?`).run(codes.length, batchId);
+    logAudit(null, 'batch_created', null, ipAddress, { batchId, source: 'codes', count: codes.length, productId, plan }, { actor });
+    return { batchId, codes };
+  });
+
+  const { batchId, codes } = generate();
+  return { batch: getBatch(batchId), codes };
+}
+
+/**
+ * Get a redemption code by its plaintext value
+ */
+export function getCodeByValue(code) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM redemption_codes WHERE code_hash = ?`).get(hashLicenseKey(code));
+}
+
+/**
+ * Get a redemption code by ID
+ */
+export function getCodeById(id) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM redemption_codes WHERE id = ?`).get(id);
+}
+
+/**
+ * Code row for API output (masked code, no hash)
+ */
+export function formatCode(code) {
+  const { code_hash, code_prefix, ...rest } = code;
+  return { ...rest, code: maskLicenseKey(code_prefix) };
+}
+
+/**
+ * List the codes of a batch
+ */
+export function listBatchCodes(batchId, { status = null, limit = 100, offset = 0 } = {}) {
+  const db = getDb();
+  const filter = status ? 'AND status = ?' : '';
+  const params = status ? [batchId, status] : [batchId];
+
+  const codes = db.prepare(`
+    SELECT * FROM redemption_codes
+    WHERE batch_id = ? ${filter}
+    ORDER BY id
+    LIMIT ? OFFSET ?
+  `).all(...params, Number(limit), Number(offset));
+
+  const { total } = db.prepare(`
+    SELECT COUNT(*) as total FROM redemption_codes WHERE batch_id = ? ${filter}
+  `).get(...params);
+
+  return { codes: codes.map(formatCode), total };
+}
+
+/**
+ * Redeem a code: create a license for the customer's email and bind the code to it
+ */
+export async function redeemCode(code, email, { ipAddress = null } = {}) {
+  if (!isValidKeyFormat(code)) {
+    return { success: false, error: 'invalid_code_format', message: 'Redemption code is malformed. Check for typos.' };
+  }
+
+  const db = getDb();
+
+  const redeem = db.transaction(() => {
+    const row = getCodeByValue(code);
+
+    if (!row) {
+      return { success: false, error: 'invalid_code', message: 'Redemption code not found' };
+    }
+    if (row.status === 'redeemed') {
+      return { success: false, error: 'already_redeemed', message: 'This code has already been redeemed' };
+    }
+    if (row.status === 'voided') {
+      return { success: false, error: 'code_voided', message: 'This code is no longer valid' };
+    }
+
+    const batch = getBatch(row.batch_id);
+    const license = createLicense({
+      productId: batch.product_id,
+      email,
+      plan: batch.plan || 'standard',
+      maxActivations: batch.max_activations ?? undefined,
+      expiresAt: batch.expires_at ?? undefined,
+      batchId: batch.id,
+      metadata: { redemption_code_id: row.id }
+    });
+
+    db.prepare(`
+      UPDATE redemption_codes
+      SET status = 'redeemed', email = ?, license_id = ?, redeemed_at = datetime('now')
+      WHERE id = ? AND status = 'unclaimed'
+    `).run(email, license.id, row.id);
+
+    logAudit(license.id, 'code_redeemed', null, ipAddress, { codeId: row.id, batchId: batch.id, email }, { actor: email });
+
+    return { success: true, license };
+  });
+
+  const result = redeem();
+  if (!result.success) {
+    return result;
+  }
+
+  const { license } = result;
+  const product = license.productId ? getProductById(license.productId) : null;
+
+  try {
+    const emailResult = await sendLicenseEmail({
+      email,
+      licenseKey: license.licenseKey,
+      productName: product ? product.name : 'Tutor LMS Advanced Tracking',
+      licenseType: license.expiresAt ? 'annual' : 'lifetime',
+      product
+    });
+
+    if (!emailResult.success) {
+      console.warn(`Failed to send license email to ${email}:`, emailResult);
+    }
+  } catch (emailError) {
+    // The license exists either way - the key is also in the response
+    console.error(`Email send error for ${email}:`, emailError);
+  }
+
+  return {
+    success: true,
+    message: 'Code redeemed',
+    license: {
+      licenseKey: license.licenseKey,
+      email: license.email,
+      plan: license.plan,
+      maxActivations: license.maxActivations,
+      expiresAt: license.expiresAt,
+      product: product ? { slug: product.slug, name: product.name } : null
+    }
+  };
+}
+
+/**
+ * Void unclaimed codes (a single code, or every unclaimed code of a batch)
+ */
+export function voidCodes({ codeId = null, batchId = null, reason = null, actor = null, ipAddress = null }) {
+  const db = getDb();
+
+  if (codeId) {
+    const code = getCodeById(codeId);
+    if (!code) {
+      return { success: false, error: 'not_found', message: 'Redemption code not found' };
+    }
+    if (code.status !== 'unclaimed') {
+      return { success: false, error: 'invalid_transition', message: `Cannot void a ${code.status} code` };
+    }
+  }
+
+  const result = db.prepare(`
+    UPDATE redemption_codes
+    SET status = 'voided', voided_at = datetime('now'), void_reason = ?
+    WHERE status = 'unclaimed' AND ${codeId ? 'id = ?' : 'batch_id = ?'}
+  `).run(reason, codeId || batchId);
+
+  logAudit(null, 'codes_voided', null, ipAddress, { codeId, batchId, count: result.changes, reason, actor });
+
+  return { success: true, message: `${result.changes} code(s) voided`, voided: result.changes };
+}
+
+export default {
+  generateCodeBatch,
+  getCodeByValue,
+  getCodeById,
+  formatCode,
+  listBatchCodes,
+  redeemCode,
+  voidCodes
+};
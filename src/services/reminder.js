@@ -0,0 +1,250 @@
+/**
+ * Renewal reminder service
+ *
+ * Reminder windows are days relative to expiry: 30 means 30 days before,
+ * -3 means 3 days after. A license is due for the window it has most
+ * recently entered and gets each window at most once per expiry date
+ * (email_log), so a renewed license is reminded again for its new term.
+ * Reminders more than MAX_LATE_DAYS late (e.g. after downtime, or for
+ * licenses that expired long ago) are dropped rather than sent.
+ *
+ * Skipped: licenses without expiry, not 'active', with a subscription
+ * (those renew automatically) and customers who unsubscribed.
+ *
+ * Environment variables:
+ * - RENEWAL_REMINDER_DAYS: comma-separated windows (default: 30,7,1,-3)
+ * - RENEWAL_URL: renewal page (default: https://tutor-tracking.com/renew)
+ * - PORTAL_URL: customer portal, hosts the unsubscribe page
+ * - BASE_URL: public URL of this server, for one-click unsubscribe
+ */
+
+import { getDb } from '../db/init.js';
+import { ensureCustomer } from './customer.js';
+import { sendRenewalReminder } from './email.js';
+import { maskLicenseKey } from './license-key.js';
+import { getProductById } from './product.js';
+
+export const REMINDER_TYPE = 'renewal_reminder';
+
+const MAX_LATE_DAYS = 7;
+const MAX_LIMIT = 500;
+
+const RENEWAL_URL = process.env.RENEWAL_URL || 'https://tutor-tracking.com/renew';
+const PORTAL_URL = process.env.PORTAL_URL || 'https://tutor-tracking.com/portal';
+const BASE_URL = process.env.BASE_URL || 'https://licenses.holstjensen.eu';
+
+/**
+ * Parse a window list such as "30,7,1,-3"
+ * Returns the windows, latest-reminder-last (descending)
+ */
+export function parseReminderWindows(value) {
+  const windows = String(value).split(',').map(part => part.trim()).filter(Boolean).map(Number);
+
+  if (windows.length === 0 || windows.some(days => !Number.isInteger(days))) {
+    throw new Error(`Invalid reminder windows: ${value} (expected whole days, e.g. 30,7,1,-3)`);
+  }
+
+  return [...new Set(windows)].sort((a, b) => b - a);
+}
+
+export const REMINDER_WINDOWS = parseReminderWindows(process.env.RENEWAL_REMINDER_DAYS || '30,7,1,-3');
+
+/**
+ * SQLite date modifier for a number of days
+ */
+function daysModifier(days) {
+  return `${days >= 0 ? '+' : ''}${days} days`;
+}
+
+/**
+ * Licenses due for a reminder, one entry per license with its window
+ * Unsubscribed customers are included with unsubscribed: true
+ */
+export function findDueReminders({ now = new Date(), windows = REMINDER_WINDOWS } = {}) {
+  const db = getDb();
+  const due = [];
+
+  const query = db.prepare(`
+    SELECT l.id, l.email, l.key_prefix, l.plan, l.expires_at,
+           p.name as product_name, p.slug as product_slug, p.id as product_id,
+           c.unsubscribed_at IS NOT NULL as unsubscribed
+    FROM licenses l
+    LEFT JOIN products p ON p.id = l.product_id
+    LEFT JOIN customers c ON c.email = lower(l.email)
+    WHERE l.status = 'active'
+      AND l.subscription_id IS NULL
+      AND l.expires_at IS NOT NULL
+      AND datetime(l.expires_at) <= datetime(@now, @upper)
+      AND datetime(l.expires_at) > datetime(@now, @lower)
+      AND NOT EXISTS (
+        SELECT 1 FROM email_log e
+        WHERE e.license_id = l.id AND e.type = @type AND e.window_days = @window
+          AND e.expires_at = l.expires_at AND e.status != 'failed'
+      )
+    ORDER BY l.expires_at, l.id
+  `);
+
+  windows.forEach((window, i) => {
+    // A window ends where the next one starts, or MAX_LATE_DAYS in
+    const next = windows[i + 1];
+    const lower = Math.max(next ?? -Infinity, window - MAX_LATE_DAYS);
+
+    const licenses = query.all({
+      now: now.toISOString(),
+      upper: daysModifier(window),
+      lower: daysModifier(lower),
+      type: REMINDER_TYPE,
+      window
+    });
+
+    for (const license of licenses) {
+      due.push({
+        licenseId: license.id,
+        email: license.email,
+        licenseKey: maskLicenseKey(license.key_prefix),
+        plan: license.plan,
+        product: license.product_name ? { id: license.product_id, name: license.product_name, slug: license.product_slug } : null,
+        expiresAt: license.expires_at,
+        windowDays: window,
+        unsubscribed: Boolean(license.unsubscribed)
+      });
+    }
+  });
+
+  return due;
+}
+
+/**
+ * Record an email in email_log
+ */
+function logEmail({ licenseId, email, type, windowDays = null, expiresAt = null, status, queueId = null, providerId = null, error = null }) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO email_log (license_id, email, type, window_days, expires_at, status, queue_id, provider_id, error)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(licenseId, email, type, windowDays, expiresAt, status, queueId, providerId, error);
+}
+
+/**
+ * Send due renewal reminders
+ * Returns { sent, queued, failed, unsubscribed, reminders } (dryRun only reports what would be sent)
+ * queued: the transport failed and the email queue will retry
+ */
+export async function sendRenewalReminders({ now = new Date(), dryRun = false } = {}) {
+  const due = findDueReminders({ now });
+  const summary = { sent: 0, queued: 0, failed: 0, unsubscribed: 0, reminders: [] };
+
+  for (const reminder of due) {
+    if (reminder.unsubscribed) {
+      summary.unsubscribed++;
+      continue;
+    }
+
+    if (dryRun) {
+      summary.reminders.push({ ...reminder, status: 'due' });
+      continue;
+    }
+
+    const customer = ensureCustomer(reminder.email);
+    const productName = reminder.product?.name || 'Tutor LMS Advanced Tracking';
+    const renewParams = new URLSearchParams({ email: reminder.email });
+    if (reminder.product) renewParams.set('product', reminder.product.slug);
+
+    let result;
+    try {
+      result = await sendRenewalReminder({
+        email: reminder.email,
+        licenseKey: reminder.licenseKey,
+        productName,
+        expiresAt: reminder.expiresAt,
+        renewUrl: `${RENEWAL_URL}?${renewParams}`,
+        unsubscribeUrl: `${PORTAL_URL}/unsubscribe?token=${customer.unsubscribe_token}`,
+        oneClickUnsubscribeUrl: `${BASE_URL}/api/v1/customer/unsubscribe?token=${customer.unsubscribe_token}`,
+        product: reminder.product ? getProductById(reminder.product.id) : null
+      });
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    const status = result.status === 'sent' ? 'sent' : (result.success ? 'queued' : 'failed');
+    const error = status === 'sent' ? null : (result.error || null);
+
+    logEmail({
+      licenseId: reminder.licenseId,
+      email: reminder.email,
+      type: REMINDER_TYPE,
+      windowDays: reminder.windowDays,
+      expiresAt: reminder.expiresAt,
+      status,
+      queueId: result.queueId || null,
+      providerId: result.providerId || null,
+      error
+    });
+
+    summary[status]++;
+    summary.reminders.push({ ...reminder, status, error });
+  }
+
+  return summary;
+}
+
+/**
+ * Query email_log, newest first
+ * Filters: licenseId, email, type, status, from/to (ISO dates)
+ * Returns { emails, total } or { error, message } for invalid filters
+ */
+export function listEmailLog({ licenseId, email, type, status, from, to, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  const conditions = [];
+  const params = [];
+
+  if (licenseId) {
+    conditions.push('license_id = ?');
+    params.push(Number(licenseId));
+  }
+  if (email) {
+    conditions.push('lower(email) = lower(?)');
+    params.push(email);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  for (const [name, value, operator] of [['from', from, '>='], ['to', to, '<']]) {
+    if (!value) continue;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return { error: 'invalid_filter', message: `${name} must be an ISO date` };
+    }
+    conditions.push(`datetime(created_at) ${operator} datetime(?)`);
+    params.push(date.toISOString());
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+  const max = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIMIT);
+
+  const emails = db.prepare(`
+    SELECT * FROM email_log ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, max, Math.max(Number(offset) || 0, 0));
+
+  const { total } = db.prepare(`SELECT COUNT(*) as total FROM email_log ${where}`).get(...params);
+
+  return { emails, total };
+}
+
+export default {
+  REMINDER_TYPE,
+  REMINDER_WINDOWS,
+  parseReminderWindows,
+  findDueReminders,
+  sendRenewalReminders,
+  listEmailLog
+};
@@ -0,0 +1,408 @@
+/**
+ * Scheduler service - in-process recurring jobs
+ *
+ * Jobs register with a name, a cron schedule (UTC, see utils/cron.js) and a
+ * handler. Every run is recorded in job_runs with its outcome and duration.
+ * A row in job_locks guards each job so a run never overlaps the previous
+ * one, also across processes sharing the database; a run that finds the
+ * lock held is recorded as 'skipped'. The lock is renewed while the handler
+ * runs and expires after the job's timeout once it is not, so a crashed
+ * process can't block a job forever. Within a process, a job that is still
+ * running is never started again, even if its lock could not be renewed.
+ *
+ * Environment variables:
+ * - SCHEDULER_ENABLED: run jobs on their schedules (default: true)
+ * - JOB_RUN_RETENTION_DAYS: days of job_runs history to keep (default: 30)
+ */
+
+import { getDb } from '../db/init.js';
+import { parseCron, getNextRun } from '../utils/cron.js';
+
+export const JOB_RUN_RETENTION_DAYS = Number(process.env.JOB_RUN_RETENTION_DAYS || 30);
+
+const DEFAULT_TIMEOUT_MINUTES = 60;
+const MAX_LIMIT = 200;
+
+// Upper bound for one timer, so clock changes are picked up
+const MAX_SLEEP_MS = 60 * 60 * 1000;
+
+const jobs = new Map();
+// Jobs whose handler is running in this process
+const runningJobs = new Set();
+let started = false;
+let timer = null;
+
+/**
+ * Whether scheduled runs are enabled
+ */
+export function isSchedulerEnabled() {
+  return process.env.SCHEDULER_ENABLED !== 'false';
+}
+
+/**
+ * Register a job
+ * schedule: cron expression, or null / 'off' for manual runs only
+ * handler: ({ runId, trigger }) => result (may be async); the result is stored as JSON
+ */
+export function registerJob({ name, description = null, schedule = null, handler, timeoutMinutes = DEFAULT_TIMEOUT_MINUTES, runOnStart = false }) {
+  if (!name || typeof handler !== 'function') {
+    throw new Error('Jobs need a name and a handler');
+  }
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  const cron = schedule && schedule !== 'off' ? schedule : null;
+
+  jobs.set(name, {
+    name,
+    description,
+    schedule: cron,
+    parsed: cron ? parseCron(cron) : null,
+    handler,
+    timeoutMinutes,
+    runOnStart,
+    nextRun: null
+  });
+}
+
+/**
+ * Get a registered job
+ */
+export function getJob(name) {
+  return jobs.get(name) || null;
+}
+
+/**
+ * Job run row for API output (result parsed)
+ */
+function formatJobRun(row) {
+  if (!row) return null;
+  return { ...row, result: row.result ? JSON.parse(row.result) : null };
+}
+
+/**
+ * Whether a job currently holds an unexpired lock
+ */
+function isLocked(db, name) {
+  return Boolean(db.prepare(`
+    SELECT 1 FROM job_locks WHERE job = ? AND datetime(expires_at) > datetime('now')
+  `).get(name));
+}
+
+/**
+ * Record a run and take the job's lock
+ * Returns the run row; its status is 'skipped' when the lock is held
+ */
+function startRun(job, trigger, triggeredBy) {
+  const db = getDb();
+
+  const start = db.transaction(() => {
+    const { id } = db.prepare(`
+      INSERT INTO job_runs (job, trigger, status, triggered_by) VALUES (?, ?, 'running', ?)
+      RETURNING id
+    `).get(job.name, trigger, triggeredBy);
+
+    // Takes a free or expired lock; leaves a live one alone
+    const locked = !runningJobs.has(job.name) && db.prepare(`
+      INSERT INTO job_locks (job, run_id, expires_at)
+      VALUES (@job, @runId, datetime('now', @timeout))
+      ON CONFLICT(job) DO UPDATE SET
+        run_id = excluded.run_id,
+        locked_at = excluded.locked_at,
+        expires_at = excluded.expires_at
+      WHERE datetime(job_locks.expires_at) <= datetime('now')
+    `).run({ job: job.name, runId: id, timeout: `+${job.timeoutMinutes} minutes` }).changes > 0;
+
+    if (!locked) {
+      db.prepare(`
+        UPDATE job_runs SET status = 'skipped', error = 'Previous run still in progress',
+          finished_at = datetime('now'), duration_ms = 0
+        WHERE id = ?
+      `).run(id);
+    }
+
+    return db.prepare(`SELECT * FROM job_runs WHERE id = ?`).get(id);
+  });
+
+  const run = start();
+  if (run.status === 'running') runningJobs.add(job.name);
+
+  return formatJobRun(run);
+}
+
+/**
+ * Extend a running job's lock by its timeout
+ */
+function renewLock(job, run) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE job_locks SET expires_at = datetime('now', ?) WHERE job = ? AND run_id = ?
+  `).run(`+${job.timeoutMinutes} minutes`, job.name, run.id);
+}
+
+/**
+ * Run a started job's handler, record the outcome and release the lock
+ */
+async function executeRun(job, run) {
+  const db = getDb();
+  const startedAt = Date.now();
+  let status = 'success';
+  let result = null;
+  let error = null;
+
+  // Renew at half the timeout so the lock never lapses while the handler runs
+  const renewal = setInterval(() => {
+    try {
+      renewLock(job, run);
+    } catch (err) {
+      console.error(`Job ${job.name} could not renew its lock:`, err);
+    }
+  }, job.timeoutMinutes * 30 * 1000);
+  renewal.unref();
+
+  try {
+    result = await job.handler({ runId: run.id, trigger: run.trigger });
+  } catch (err) {
+    status = 'failed';
+    error = err.message || String(err);
+    console.error(`Job ${job.name} failed:`, err);
+  } finally {
+    clearInterval(renewal);
+    runningJobs.delete(job.name);
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE job_runs SET status = ?, result = ?, error = ?,
+        finished_at = datetime('now'), duration_ms = ?
+      WHERE id = ?
+    `).run(status, result == null ? null : JSON.stringify(result), error, Date.now() - startedAt, run.id);
+
+    db.prepare(`DELETE FROM job_locks WHERE job = ? AND run_id = ?`).run(job.name, run.id);
+  })();
+
+  pruneJobRuns();
+
+  return getJobRun(run.id);
+}
+
+/**
+ * Run a job and wait for it to finish
+ * Returns { success, run } or { success: false, error, message, run? }
+ */
+export async function runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    return { success: false, error: 'not_found', message: `Unknown job: ${name}` };
+  }
+
+  const run = startRun(job, trigger, triggeredBy);
+  if (run.status === 'skipped') {
+    return { success: false, error: 'already_running', message: `Job ${name} is already running`, run };
+  }
+
+  const finished = await executeRun(job, run);
+  return { success: finished.status === 'success', run: finished };
+}
+
+/**
+ * Start a job in the background
+ * Returns as soon as the lock is taken: { success, run } with the running run
+ */
+export function triggerJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+  const job = jobs.get(name);
+  if (!job) {
+    return { success: false, error: 'not_found', message: `Unknown job: ${name}` };
+  }
+
+  const run = startRun(job, trigger, triggeredBy);
+  if (run.status === 'skipped') {
+    return { success: false, error: 'already_running', message: `Job ${name} is already running`, run };
+  }
+
+  executeRun(job, run).catch(error => {
+    console.error(`Job ${name} could not record its run:`, error);
+  });
+
+  return { success: true, run };
+}
+
+/**
+ * Get a job run by ID
+ */
+export function getJobRun(id) {
+  const db = getDb();
+  return formatJobRun(db.prepare(`SELECT * FROM job_runs WHERE id = ?`).get(id));
+}
+
+/**
+ * Job run history, newest first
+ * Filters: job, status, trigger
+ */
+export function listJobRuns({ job, status, trigger, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (job) {
+    where += ' AND job = ?';
+    params.push(job);
+  }
+  if (status) {
+    where += ' AND status = ?';
+    params.push(status);
+  }
+  if (trigger) {
+    where += ' AND trigger = ?';
+    params.push(trigger);
+  }
+
+  const max = Math.min(Math.max(Number(limit) || 50, 1), MAX_LIMIT);
+  const total = db.prepare(`SELECT COUNT(*) as count FROM job_runs ${where}`).get(...params).count;
+  const runs = db.prepare(`
+    SELECT * FROM job_runs ${where}
+    ORDER BY started_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, max, Math.max(Number(offset) || 0, 0));
+
+  return { runs: runs.map(formatJobRun), total };
+}
+
+/**
+ * Registered jobs with their schedule, next run, last run and whether one is in progress
+ */
+export function listJobs() {
+  const db = getDb();
+  const lastRun = db.prepare(`
+    SELECT * FROM job_runs WHERE job = ? AND status != 'skipped'
+    ORDER BY started_at DESC, id DESC LIMIT 1
+  `);
+  const lastSuccess = db.prepare(`
+    SELECT MAX(finished_at) as at FROM job_runs WHERE job = ? AND status = 'success'
+  `);
+
+  return [...jobs.values()].map(job => ({
+    name: job.name,
+    description: job.description,
+    schedule: job.schedule,
+    timeoutMinutes: job.timeoutMinutes,
+    nextRun: started && job.nextRun ? job.nextRun.toISOString() : null,
+    running: runningJobs.has(job.name) || isLocked(db, job.name),
+    lastRun: formatJobRun(lastRun.get(job.name)),
+    lastSuccessAt: lastSuccess.get(job.name).at
+  }));
+}
+
+/**
+ * Delete job runs older than JOB_RUN_RETENTION_DAYS
+ */
+export function pruneJobRuns() {
+  const db = getDb();
+  return db.prepare(`
+    DELETE FROM job_runs
+    WHERE status != 'running' AND datetime(started_at) < datetime('now', ?)
+  `).run(`-${JOB_RUN_RETENTION_DAYS} days`).changes;
+}
+
+/**
+ * Run due jobs and sleep until the next one is due
+ */
+function tick() {
+  const now = new Date();
+
+  for (const job of jobs.values()) {
+    if (!job.parsed || !job.nextRun || job.nextRun > now) continue;
+
+    job.nextRun = getNextRun(job.parsed, now);
+    try {
+      triggerJob(job.name, { trigger: 'schedule' });
+    } catch (error) {
+      console.error(`Job ${job.name} could not start:`, error);
+    }
+  }
+
+  scheduleTick();
+}
+
+function scheduleTick() {
+  if (!started) return;
+
+  const due = [...jobs.values()]
+    .map(job => job.nextRun)
+    .filter(Boolean)
+    .map(date => date.getTime());
+
+  if (due.length === 0) {
+    timer = null;
+    return;
+  }
+
+  const delay = Math.min(Math.max(Math.min(...due) - Date.now(), 0), MAX_SLEEP_MS);
+  timer = setTimeout(tick, delay);
+  timer.unref();
+}
+
+/**
+ * Start running registered jobs on their schedules
+ * Runs left 'running' by a stopped process (lock gone or expired) are marked failed
+ */
+export function startScheduler() {
+  if (started || !isSchedulerEnabled()) {
+    return false;
+  }
+  started = true;
+
+  const db = getDb();
+  const interrupted = db.prepare(`
+    UPDATE job_runs SET status = 'failed', error = 'Interrupted: server stopped during the run',
+      finished_at = datetime('now')
+    WHERE status = 'running' AND id NOT IN (
+      SELECT run_id FROM job_locks WHERE datetime(expires_at) > datetime('now')
+    )
+  `).run().changes;
+
+  if (interrupted > 0) {
+    console.warn(`⚠ Marked ${interrupted} interrupted job run(s) as failed`);
+  }
+
+  const now = new Date();
+  for (const job of jobs.values()) {
+    job.nextRun = job.parsed ? getNextRun(job.parsed, now) : null;
+
+    if (job.runOnStart) {
+      triggerJob(job.name, { trigger: 'startup' });
+    }
+  }
+
+  scheduleTick();
+  return true;
+}
+
+/**
+ * Stop scheduled runs (runs in progress finish)
+ */
+export function stopScheduler() {
+  started = false;
+  clearTimeout(timer);
+  timer = null;
+
+  for (const job of jobs.values()) {
+    job.nextRun = null;
+  }
+}
+
+export default {
+  JOB_RUN_RETENTION_DAYS,
+  isSchedulerEnabled,
+  registerJob,
+  getJob,
+  runJob,
+  triggerJob,
+  getJobRun,
+  listJobRuns,
+  listJobs,
+  pruneJobRuns,
+  startScheduler,
+  stopScheduler
+};
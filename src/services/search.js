@@ -0,0 +1,133 @@
+/**
+ * Search service - full-text search for support staff
+ *
+ * Queries the FTS5 indexes from migration 011 (license emails, key prefixes
+ * and metadata; activation domains and site URLs; audit actions and details)
+ * and returns ranked results that link back to the owning license.
+ *
+ * Indexes use the trigram tokenizer: every whitespace-separated term must
+ * appear somewhere in the row, and terms need at least 3 characters.
+ */
+
+import { getDb } from '../db/init.js';
+import { maskLicenseKey } from './license-key.js';
+
+export const SEARCH_TYPES = ['license', 'activation', 'audit'];
+
+export const MIN_TERM_LENGTH = 3;
+
+const MAX_LIMIT = 100;
+
+// Per-type queries; columns line up for the UNION. bm25 is lower = better
+const TYPE_QUERIES = {
+  license: `
+    SELECT 'license' as type, l.id as id, l.id as license_id, l.email as title, l.created_at as created_at,
+      snippet(licenses_fts, -1, '[', ']', '…', 40) as snippet,
+      bm25(licenses_fts, 10.0, 10.0, 1.0) as score
+    FROM licenses_fts
+    JOIN licenses l ON l.id = licenses_fts.rowid
+    WHERE licenses_fts MATCH @query
+  `,
+  activation: `
+    SELECT 'activation' as type, a.id as id, a.license_id as license_id, a.domain as title, a.activated_at as created_at,
+      snippet(activations_fts, -1, '[', ']', '…', 40) as snippet,
+      bm25(activations_fts, 10.0, 5.0) as score
+    FROM activations_fts
+    JOIN activations a ON a.id = activations_fts.rowid
+    WHERE activations_fts MATCH @query
+  `,
+  audit: `
+    SELECT 'audit' as type, al.id as id, al.license_id as license_id, al.action as title, al.created_at as created_at,
+      snippet(audit_log_fts, -1, '[', ']', '…', 40) as snippet,
+      bm25(audit_log_fts, 2.0, 5.0, 1.0) as score
+    FROM audit_log_fts
+    JOIN audit_log al ON al.id = audit_log_fts.rowid
+    WHERE audit_log_fts MATCH @query
+  `
+};
+
+/**
+ * Turn user input into an FTS5 query: each term quoted (no operators), all terms required
+ * Returns null when no term is long enough for the trigram index
+ */
+export function buildMatchQuery(input) {
+  const terms = String(input || '')
+    .split(/\s+/)
+    .filter(term => [...term].length >= MIN_TERM_LENGTH)
+    .map(term => `"${term.replace(/"/g, '""')}"`);
+
+  return terms.length ? terms.join(' AND ') : null;
+}
+
+/**
+ * Search licenses, activations and audit entries
+ * Options: types (subset of SEARCH_TYPES; none given or empty searches all), limit (default 20, max 100)
+ */
+export function search(input, { types = SEARCH_TYPES, limit = 20 } = {}) {
+  types = types?.length ? [...new Set(types)] : SEARCH_TYPES;
+
+  const query = buildMatchQuery(input);
+  if (!query) {
+    return {
+      success: false,
+      error: 'query_too_short',
+      message: `Search terms need at least ${MIN_TERM_LENGTH} characters`
+    };
+  }
+
+  const unknown = types.filter(type => !SEARCH_TYPES.includes(type));
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      error: 'invalid_type',
+      message: `Unknown search type: ${unknown.join(', ')} (use ${SEARCH_TYPES.join(', ')})`
+    };
+  }
+
+  const db = getDb();
+  const max = Math.min(Math.max(Number(limit) || 20, 1), MAX_LIMIT);
+
+  const rows = db.prepare(`
+    ${types.map(type => TYPE_QUERIES[type]).join(' UNION ALL ')}
+    ORDER BY score, created_at DESC
+    LIMIT @limit
+  `).all({ query, limit: max });
+
+  // Owning licenses in one lookup
+  const licenseIds = [...new Set(rows.map(row => row.license_id).filter(Boolean))];
+  const licenses = new Map(licenseIds.length ? db.prepare(`
+    SELECT id, key_prefix, email, status, plan, product_id, expires_at
+    FROM licenses WHERE id IN (${licenseIds.map(() => '?').join(', ')})
+  `).all(...licenseIds).map(license => [license.id, license]) : []);
+
+  const results = rows.map(row => {
+    const license = licenses.get(row.license_id);
+    return {
+      type: row.type,
+      id: row.id,
+      title: row.title,
+      snippet: row.snippet,
+      score: row.score,
+      createdAt: row.created_at,
+      license: license ? {
+        id: license.id,
+        licenseKey: maskLicenseKey(license.key_prefix),
+        email: license.email,
+        status: license.status,
+        plan: license.plan,
+        productId: license.product_id,
+        expiresAt: license.expires_at,
+        url: `/api/v1/admin/licenses/${license.id}`
+      } : null
+    };
+  });
+
+  return { success: true, results };
+}
+
+export default {
+  SEARCH_TYPES,
+  MIN_TERM_LENGTH,
+  buildMatchQuery,
+  search
+};
@@ -0,0 +1,239 @@
+/**
+ * Signing service - asymmetric keys for license tokens
+ *
+ * All JWTs (activation tokens, download tokens) are
+ * signed with an RS256 private key that never leaves the server. Each key
+ * has a `kid`; the public keys are published as a JWKS document so the
+ * WordPress plugin can verify tokens locally (e.g. during an outage).
+ *
+ * Key lifecycle: active -> retiring (still verifies until retires_at) -> retired
+ *
+ * Environment variables:
+ * - SIGNING_KEY_GRACE_DAYS: how long rotated-out keys keep verifying (default: 30)
+ * - JWT_LEGACY_TOKENS: set to 'true' to also accept HS256 tokens signed with JWT_SECRET
+ *   (only honoured when JWT_SECRET is set to a real secret)
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getDb } from '../db/init.js';
+import { logAudit } from './audit.js';
+
+const ALGORITHM = 'RS256';
+const DEFAULT_GRACE_DAYS = Number(process.env.SIGNING_KEY_GRACE_DAYS || 30);
+
+// Tokens issued before asymmetric signing carry no `kid` and use the shared secret.
+// Off by default: with a missing or placeholder secret anyone could forge them.
+const LEGACY_SECRET = process.env.JWT_SECRET;
+const PLACEHOLDER_SECRETS = ['dev-secret-change-in-production', 'change-this-to-a-secure-random-string-min-32-chars'];
+const ACCEPT_LEGACY_TOKENS = process.env.JWT_LEGACY_TOKENS === 'true'
+  && Boolean(LEGACY_SECRET) && !PLACEHOLDER_SECRETS.includes(LEGACY_SECRET);
+
+if (process.env.JWT_LEGACY_TOKENS === 'true' && !ACCEPT_LEGACY_TOKENS) {
+  console.warn('⚠ JWT_LEGACY_TOKENS=true ignored: JWT_SECRET is not set to a real secret');
+}
+
+// SQL condition for keys that may still verify signatures
+const VERIFIABLE = `(status = 'active' OR (status = 'retiring' AND retires_at > datetime('now')))`;
+
+/**
+ * Generate and store a new RSA signing key
+ */
+export function createSigningKey() {
+  const db = getDb();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const kid = crypto.randomBytes(8).toString('hex');
+
+  db.prepare(`
+    INSERT INTO signing_keys (kid, algorithm, public_key, private_key)
+    VALUES (?, ?, ?, ?)
+  `).run(kid, ALGORITHM, publicKey, privateKey);
+
+  return getSigningKey(kid);
+}
+
+/**
+ * Get a signing key by key ID
+ */
+export function getSigningKey(kid) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM signing_keys WHERE kid = ?`).get(kid);
+}
+
+/**
+ * Get the key used for new signatures, creating one on first use
+ */
+export function getActiveSigningKey() {
+  const db = getDb();
+  const key = db.prepare(`
+    SELECT * FROM signing_keys
+    WHERE status = 'active'
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT 1
+  `).get();
+
+  return key || createSigningKey();
+}
+
+/**
+ * Get all keys that may still verify tokens (active + retiring within grace)
+ */
+export function getVerificationKeys() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM signing_keys
+    WHERE ${VERIFIABLE}
+    ORDER BY created_at DESC, rowid DESC
+  `).all();
+}
+
+/**
+ * List all keys without private material (for admin)
+ */
+export function listSigningKeys() {
+  const db = getDb();
+  return db.prepare(`
+    SELECT kid, algorithm, status, created_at, retires_at, retired_at,
+      ${VERIFIABLE} as verifies
+    FROM signing_keys
+    ORDER BY created_at DESC, rowid DESC
+  `).all().map(key => ({ ...key, verifies: key.verifies === 1 }));
+}
+
+/**
+ * Rotate signing keys
+ * Creates a new active key; previous active keys keep verifying for graceDays
+ */
+export function rotateSigningKey({ graceDays = DEFAULT_GRACE_DAYS, actor = null, ipAddress = null } = {}) {
+  const db = getDb();
+
+  const rotate = db.transaction(() => {
+    const previous = db.prepare(`SELECT kid FROM signing_keys WHERE status = 'active'`).all();
+
+    db.prepare(`
+      UPDATE signing_keys
+      SET status = 'retiring', retires_at = datetime('now', ?)
+      WHERE status = 'active'
+    `).run(`+${Number(graceDays)} days`);
+
+    const key = createSigningKey();
+
+    logAudit(null, 'signing_key_rotated', null, ipAddress, {
+      kid: key.kid,
+      previousKids: previous.map(k => k.kid),
+      graceDays: Number(graceDays),
+      actor
+    });
+
+    return key;
+  });
+
+  const key = rotate();
+  return {
+    kid: key.kid,
+    algorithm: key.algorithm,
+    createdAt: key.created_at,
+    retiring: listSigningKeys().filter(k => k.status === 'retiring' && k.verifies)
+  };
+}
+
+/**
+ * Retire a key immediately (e.g. when it has leaked)
+ */
+export function retireSigningKey(kid, { actor = null, ipAddress = null } = {}) {
+  const db = getDb();
+  const key = getSigningKey(kid);
+
+  if (!key) {
+    return { success: false, error: 'not_found', message: 'Signing key not found' };
+  }
+
+  if (key.status === 'retired') {
+    return { success: false, error: 'already_retired', message: 'Signing key is already retired' };
+  }
+
+  db.prepare(`
+    UPDATE signing_keys
+    SET status = 'retired', retired_at = datetime('now')
+    WHERE kid = ?
+  `).run(kid);
+
+  logAudit(null, 'signing_key_retired', null, ipAddress, { kid, previousStatus: key.status, actor });
+
+  return { success: true, message: 'Signing key retired' };
+}
+
+/**
+ * Build the public JWKS document
+ */
+export function getJwks() {
+  const keys = getVerificationKeys().map(key => {
+    const jwk = crypto.createPublicKey(key.public_key).export({ format: 'jwk' });
+    return {
+      ...jwk,
+      kid: key.kid,
+      alg: key.algorithm,
+      use: 'sig'
+    };
+  });
+
+  return { keys };
+}
+
+/**
+ * Sign a token payload with the active key
+ */
+export function signToken(payload, options = {}) {
+  const key = getActiveSigningKey();
+  return jwt.sign(payload, key.private_key, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+}
+
+/**
+ * Verify a token against any non-retired key
+ * Throws JsonWebTokenError / TokenExpiredError like jwt.verify
+ */
+export function verifyToken(token, options = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const { kid } = decoded.header;
+
+  if (!kid) {
+    if (!ACCEPT_LEGACY_TOKENS) {
+      throw new jwt.JsonWebTokenError('legacy tokens are not accepted');
+    }
+    return jwt.verify(token, LEGACY_SECRET, { ...options, algorithms: ['HS256'] });
+  }
+
+  const db = getDb();
+  const key = db.prepare(`SELECT * FROM signing_keys WHERE kid = ? AND ${VERIFIABLE}`).get(kid);
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown or retired signing key');
+  }
+
+  return jwt.verify(token, key.public_key, { ...options, algorithms: [key.algorithm] });
+}
+
+export default {
+  createSigningKey,
+  getSigningKey,
+  getActiveSigningKey,
+  getVerificationKeys,
+  listSigningKeys,
+  rotateSigningKey,
+  retireSigningKey,
+  getJwks,
+  signToken,
+  verifyToken
+};
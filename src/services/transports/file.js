@@ -0,0 +1,47 @@
+/**
+ * File email transport - writes messages to an outbox directory
+ *
+ * For development and tests: each message is written as <id>.eml (opens in
+ * any mail client) and <id>.json (from, to, subject, html, text, headers).
+ *
+ * Environment variables:
+ * - EMAIL_OUTBOX_DIR: outbox directory (default: outbox/ next to the database)
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { getDb } from '../../db/init.js';
+import { buildMimeMessage } from '../../utils/mime.js';
+
+/**
+ * Outbox directory: EMAIL_OUTBOX_DIR or outbox/ next to the database file
+ */
+export function getOutboxDir() {
+  return process.env.EMAIL_OUTBOX_DIR || join(dirname(getDb().name), 'outbox');
+}
+
+/**
+ * Write a message to the outbox
+ */
+async function send(message) {
+  try {
+    const outboxDir = getOutboxDir();
+    mkdirSync(outboxDir, { recursive: true });
+
+    const { messageId, raw } = buildMimeMessage(message);
+    const id = `${new Date().toISOString().replace(/[-:.]/g, '')}-${messageId.slice(1, 9)}`;
+
+    writeFileSync(join(outboxDir, `${id}.eml`), raw);
+    writeFileSync(join(outboxDir, `${id}.json`), JSON.stringify({ id, messageId, ...message }, null, 2));
+
+    return { success: true, id };
+  } catch (error) {
+    return { success: false, error: `Could not write to outbox: ${error.message}`, retryable: true };
+  }
+}
+
+export default {
+  name: 'file',
+  isConfigured: () => true,
+  send
+};
@@ -0,0 +1,57 @@
+/**
+ * Email transport registry
+ *
+ * Each transport implements:
+ * - name: value of EMAIL_TRANSPORT
+ * - isConfigured(): whether its settings are present
+ * - send({ from, to, subject, html, text, headers }): { success, id } or
+ *   { success: false, error, retryable } - retryable failures are queued for another attempt
+ *
+ * Environment variables:
+ * - EMAIL_TRANSPORT: resend, smtp or file (default: resend when RESEND_API_KEY
+ *   is set, smtp when SMTP_HOST is set, otherwise file)
+ */
+
+import resend from './resend.js';
+import smtp from './smtp.js';
+import file from './file.js';
+
+const TRANSPORTS = {
+  [resend.name]: resend,
+  [smtp.name]: smtp,
+  [file.name]: file
+};
+
+/**
+ * Get a transport by name
+ */
+export function getTransport(name) {
+  return Object.prototype.hasOwnProperty.call(TRANSPORTS, name) ? TRANSPORTS[name] : null;
+}
+
+/**
+ * The configured transport
+ * Throws when EMAIL_TRANSPORT names an unknown transport
+ */
+export function getEmailTransport() {
+  const name = process.env.EMAIL_TRANSPORT;
+
+  if (name) {
+    const transport = getTransport(name);
+    if (!transport) {
+      throw new Error(`Unknown EMAIL_TRANSPORT: ${name} (use ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    return transport;
+  }
+
+  return [resend, smtp].find(transport => transport.isConfigured()) || file;
+}
+
+/**
+ * List registered transport names
+ */
+export function listTransports() {
+  return Object.keys(TRANSPORTS);
+}
+
+export default { getTransport, getEmailTransport, listTransports };
@@ -0,0 +1,46 @@
+/**
+ * Resend email transport (https://resend.com)
+ *
+ * Environment variables:
+ * - RESEND_API_KEY: API key from resend.com
+ */
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+
+/**
+ * Send a message through the Resend API
+ * Rate limits and server errors are retryable; other rejections are not
+ */
+async function send({ from, to, subject, html, text, headers }) {
+  let response;
+  try {
+    response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ from, to: [to], subject, html, text, headers }),
+    });
+  } catch (error) {
+    return { success: false, error: `Resend request failed: ${error.message}`, retryable: true };
+  }
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    return {
+      success: false,
+      error: `Resend API error ${response.status}: ${result.message || result.name || response.statusText}`,
+      retryable: response.status === 429 || response.status >= 500
+    };
+  }
+
+  return { success: true, id: result.id };
+}
+
+export default {
+  name: 'resend',
+  isConfigured: () => Boolean(RESEND_API_KEY),
+  send
+};
@@ -0,0 +1,222 @@
+/**
+ * SMTP email transport
+ *
+ * A minimal SMTP client: implicit TLS (port 465) or STARTTLS when the server
+ * offers it, AUTH PLAIN/LOGIN, one message per connection. 4xx replies and
+ * connection failures are retryable, 5xx replies are not. With SMTP_REQUIRE_TLS
+ * a server that doesn't offer STARTTLS is refused, so credentials and mail
+ * never cross a plain connection (e.g. when the capability was stripped).
+ *
+ * Environment variables:
+ * - SMTP_HOST: server hostname
+ * - SMTP_PORT: server port (default: 587)
+ * - SMTP_SECURE: implicit TLS (default: true on port 465)
+ * - SMTP_USER / SMTP_PASS: credentials (optional)
+ * - SMTP_REQUIRE_TLS: refuse to send without TLS (default: true when SMTP_USER is set)
+ * - SMTP_TIMEOUT_SECONDS: socket timeout (default: 30)
+ */
+
+import net from 'net';
+import os from 'os';
+import tls from 'tls';
+import { buildMimeMessage, parseAddress } from '../../utils/mime.js';
+
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : SMTP_PORT === 465;
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+const SMTP_REQUIRE_TLS = process.env.SMTP_REQUIRE_TLS
+  ? process.env.SMTP_REQUIRE_TLS === 'true'
+  : Boolean(SMTP_USER);
+const SMTP_TIMEOUT_MS = Number(process.env.SMTP_TIMEOUT_SECONDS || 30) * 1000;
+
+// SNI takes a hostname, not an IP address
+const SERVERNAME = net.isIP(SMTP_HOST || '') ? undefined : SMTP_HOST;
+
+/**
+ * Error for an unexpected SMTP reply (code is absent for connection failures)
+ */
+function smtpError(message, code = null) {
+  const error = new Error(message);
+  error.smtpCode = code;
+  return error;
+}
+
+/**
+ * Open a connection and read replies line by line
+ * Returns { read, command, write, startTls, close }
+ */
+async function connect() {
+  let socket;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  const settle = () => {
+    while (waiting.length > 0 && (replies.length > 0 || failure)) {
+      const { resolve, reject } = waiting.shift();
+      if (replies.length > 0) resolve(replies.shift());
+      else reject(failure);
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+
+    let index;
+    while ((index = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, index).replace(/\r$/, '');
+      buffer = buffer.slice(index + 1);
+      lines.push(line);
+
+      // "250-..." continues a multi-line reply, "250 ..." ends it
+      if (/^\d{3}(?: |$)/.test(line)) {
+        replies.push({ code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) });
+        lines = [];
+      }
+    }
+    settle();
+  };
+
+  const onFailure = error => {
+    failure = failure || smtpError(`SMTP connection failed: ${error.message}`);
+    settle();
+  };
+
+  const attach = target => {
+    target.setTimeout(SMTP_TIMEOUT_MS, () => target.destroy(new Error('timed out')));
+    target.on('data', onData);
+    target.on('error', onFailure);
+    target.on('close', () => onFailure(new Error('connection closed')));
+  };
+
+  socket = await new Promise((resolve, reject) => {
+    const options = { host: SMTP_HOST, port: SMTP_PORT, servername: SERVERNAME };
+    const target = SMTP_SECURE ? tls.connect(options) : net.connect(options);
+    target.once(SMTP_SECURE ? 'secureConnect' : 'connect', () => resolve(target));
+    target.once('error', error => reject(smtpError(`SMTP connection failed: ${error.message}`)));
+    attach(target);
+  });
+
+  const read = () => new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject });
+    settle();
+  });
+
+  const write = data => socket.write(data);
+
+  const command = (line, expected) => {
+    write(`${line}\r\n`);
+    return read().then(reply => {
+      if (!expected.includes(reply.code)) {
+        // Credentials and the end-of-data dot aren't worth showing
+        const shown = line.startsWith('AUTH') ? 'AUTH' : (line === '.' ? 'DATA' : line.split(' ')[0]);
+        throw smtpError(`SMTP ${shown} rejected: ${reply.code} ${reply.lines.join(' ')}`, reply.code);
+      }
+      return reply;
+    });
+  };
+
+  // Upgrades the plain socket after a successful STARTTLS
+  const startTls = () => new Promise((resolve, reject) => {
+    socket.removeAllListeners('data');
+    socket.removeAllListeners('error');
+    socket.removeAllListeners('close');
+    socket.setTimeout(0);
+
+    const secure = tls.connect({ socket, servername: SERVERNAME });
+    secure.once('secureConnect', () => resolve());
+    secure.once('error', error => reject(smtpError(`SMTP TLS upgrade failed: ${error.message}`)));
+    attach(secure);
+    socket = secure;
+  });
+
+  const close = () => {
+    socket.removeAllListeners('close');
+    socket.end();
+    socket.destroy();
+  };
+
+  return { read, command, write, startTls, close };
+}
+
+/**
+ * Authenticate with the mechanisms the server offers
+ */
+async function authenticate(session, capabilities) {
+  const auth = capabilities.find(line => /^AUTH[ =]/i.test(line)) || '';
+  const mechanisms = auth.toUpperCase().split(/[ =]/).slice(1);
+
+  if (mechanisms.includes('PLAIN') || !mechanisms.includes('LOGIN')) {
+    const token = Buffer.from(`\0${SMTP_USER}\0${SMTP_PASS}`).toString('base64');
+    await session.command(`AUTH PLAIN ${token}`, [235]);
+    return;
+  }
+
+  await session.command('AUTH LOGIN', [334]);
+  await session.command(Buffer.from(SMTP_USER).toString('base64'), [334]);
+  await session.command(Buffer.from(SMTP_PASS || '').toString('base64'), [235]);
+}
+
+/**
+ * Send a message over SMTP
+ */
+async function send(message) {
+  let session;
+
+  try {
+    session = await connect();
+
+    const greeting = await session.read();
+    if (greeting.code !== 220) {
+      throw smtpError(`SMTP server not ready: ${greeting.code} ${greeting.lines.join(' ')}`, greeting.code);
+    }
+
+    let ehlo = await session.command(`EHLO ${os.hostname()}`, [250]);
+
+    if (!SMTP_SECURE) {
+      if (ehlo.lines.some(line => /^STARTTLS$/i.test(line))) {
+        await session.command('STARTTLS', [220]);
+        await session.startTls();
+        ehlo = await session.command(`EHLO ${os.hostname()}`, [250]);
+      } else if (SMTP_REQUIRE_TLS) {
+        throw smtpError('SMTP server does not offer STARTTLS and SMTP_REQUIRE_TLS is on; not sending without TLS');
+      }
+    }
+
+    if (SMTP_USER) {
+      await authenticate(session, ehlo.lines);
+    }
+
+    const { messageId, raw } = buildMimeMessage(message);
+
+    await session.command(`MAIL FROM:<${parseAddress(message.from).address}>`, [250]);
+    await session.command(`RCPT TO:<${parseAddress(message.to).address}>`, [250, 251]);
+    await session.command('DATA', [354]);
+
+    // Dot-stuffing: lines starting with "." get another one
+    session.write(raw.replace(/^\./gm, '..'));
+    await session.command('.', [250]);
+
+    await session.command('QUIT', [221]).catch(() => {});
+
+    return { success: true, id: messageId };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      retryable: !error.smtpCode || error.smtpCode < 500
+    };
+  } finally {
+    session?.close();
+  }
+}
+
+export default {
+  name: 'smtp',
+  isConfigured: () => Boolean(SMTP_HOST),
+  send
+};
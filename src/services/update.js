@@ -7,17 +7,14 @@
 import { readFileSync, existsSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { signToken, verifyToken } from './signing.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = join(__dirname, '../../data');
 const RELEASES_DIR = join(DATA_DIR, 'releases');
 const MANIFESTS_FILE = join(DATA_DIR, 'update-manifest.json');
 
-// JWT secret for download tokens (short-lived)
-const DOWNLOAD_SECRET = process.env.JWT_SECRET || process.env.ADMIN_API_KEY || 'change-me-in-production';
-
 /**
  * Load update manifest from disk
  */
@@ -195,7 +192,7 @@ export function getSignedDownloadUrl(slug, version, licenseKey, domain) {
   const baseUrl = process.env.BASE_URL || 'https://licenses.holstjensen.eu';
   
   // Create short-lived JWT token (1 hour)
-  const token = jwt.sign(
+  const token = signToken(
     {
       slug,
       version,
@@ -203,9 +200,7 @@ export function getSignedDownloadUrl(slug, version, licenseKey, domain) {
       licenseKey: licenseKey.substring(0, 8) + '...', // Partial for logging
       iat: Math.floor(Date.now() / 1000),
       exp: Math.floor(Date.now() / 1000) + 3600 // 1 hour
-    },
-    DOWNLOAD_SECRET,
-    { algorithm: 'HS256' }
+    }
   );
 
   return `${baseUrl}/api/v1/update/download/${slug}/${version}?token=${token}`;
@@ -216,7 +211,7 @@ export function getSignedDownloadUrl(slug, version, licenseKey, domain) {
  */
 export function validateDownloadToken(token, slug, version) {
   try {
-    const decoded = jwt.verify(token, DOWNLOAD_SECRET);
+    const decoded = verifyToken(token);
     
     if (decoded.slug !== slug) {
       return { valid: false, error: 'slug_mismatch', message: 'Token not valid for this plugin' };
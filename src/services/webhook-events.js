@@ -0,0 +1,144 @@
+/**
+ * Webhook event ledger
+ *
+ * Every provider event is stored once (keyed by provider + event ID) with its
+ * payload, status, attempts and last error. Retried deliveries of an event
+ * that was already processed are acknowledged without side effects; failed
+ * events are retried on redelivery and can be replayed by an admin.
+ *
+ * Statuses: received -> processing -> processed | ignored | failed
+ */
+
+import crypto from 'crypto';
+import { getDb } from '../db/init.js';
+import { getPaymentProvider } from './providers/index.js';
+
+/**
+ * Get a ledger entry by ID
+ */
+export function getWebhookEvent(id) {
+  const db = getDb();
+  return db.prepare(`SELECT * FROM webhook_events WHERE id = ?`).get(id);
+}
+
+/**
+ * Store an incoming event
+ * Returns { event, duplicate } where duplicate means it must not be processed again
+ */
+export function recordWebhookEvent(provider, { id, type, payload }) {
+  const db = getDb();
+  // Fall back to a payload hash if the provider sent no event ID
+  const eventId = id || crypto.createHash('sha256').update(payload).digest('hex');
+
+  const result = db.prepare(`
+    INSERT OR IGNORE INTO webhook_events (provider, event_id, event_type, payload)
+    VALUES (?, ?, ?, ?)
+  `).run(provider, eventId, type || null, payload);
+
+  const event = db.prepare(`
+    SELECT * FROM webhook_events WHERE provider = ? AND event_id = ?
+  `).get(provider, eventId);
+
+  if (result.changes > 0) {
+    return { event, duplicate: false };
+  }
+
+  // Redelivery of a failed event is a retry; anything else is a duplicate
+  return { event, duplicate: event.status !== 'failed' && event.status !== 'received' };
+}
+
+/**
+ * Run the provider handler for a ledger entry and record the outcome
+ * Re-throws handler errors so the webhook responds with 5xx and the provider retries
+ */
+export async function processWebhookEvent(event) {
+  const db = getDb();
+  const provider = getPaymentProvider(event.provider);
+
+  if (!provider) {
+    throw new Error(`No webhook handler for provider: ${event.provider}`);
+  }
+
+  db.prepare(`
+    UPDATE webhook_events
+    SET status = 'processing', attempts = attempts + 1, error = NULL
+    WHERE id = ?
+  `).run(event.id);
+
+  try {
+    const handled = await provider.handleEvent(JSON.parse(event.payload));
+
+    db.prepare(`
+      UPDATE webhook_events
+      SET status = ?, processed_at = datetime('now')
+      WHERE id = ?
+    `).run(handled === false ? 'ignored' : 'processed', event.id);
+  } catch (error) {
+    db.prepare(`
+      UPDATE webhook_events
+      SET status = 'failed', error = ?
+      WHERE id = ?
+    `).run(error.message, event.id);
+    throw error;
+  }
+
+  return getWebhookEvent(event.id);
+}
+
+/**
+ * List ledger entries (without payloads)
+ */
+export function listWebhookEvents({ provider, status, type, limit = 50, offset = 0 } = {}) {
+  const db = getDb();
+  let where = 'WHERE 1=1';
+  const params = [];
+
+  if (provider) {
+    where += ' AND provider = ?';
+    params.push(provider);
+  }
+  if (status) {
+    where += ' AND status = ?';
+    params.push(status);
+  }
+  if (type) {
+    where += ' AND event_type = ?';
+    params.push(type);
+  }
+
+  const total = db.prepare(`SELECT COUNT(*) as count FROM webhook_events ${where}`).get(...params).count;
+  const events = db.prepare(`
+    SELECT id, provider, event_id, event_type, status, attempts, error, received_at, processed_at
+    FROM webhook_events ${where}
+    ORDER BY received_at DESC, id DESC
+    LIMIT ? OFFSET ?
+  `).all(...params, Number(limit), Number(offset));
+
+  return { events, total };
+}
+
+/**
+ * Replay a stored event through its handler, whatever its current status
+ */
+export async function replayWebhookEvent(id) {
+  const event = getWebhookEvent(id);
+
+  if (!event) {
+    return { success: false, error: 'not_found', message: 'Webhook event not found' };
+  }
+
+  try {
+    const updated = await processWebhookEvent(event);
+    return { success: true, event: updated };
+  } catch (error) {
+    return { success: false, error: 'handler_failed', message: error.message, event: getWebhookEvent(id) };
+  }
+}
+
+export default {
+  getWebhookEvent,
+  recordWebhookEvent,
+  processWebhookEvent,
+  listWebhookEvents,
+  replayWebhookEvent
+};
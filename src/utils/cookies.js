@@ -0,0 +1,51 @@
+/**
+ * HTTP cookie helpers
+ */
+
+/**
+ * Parse a Cookie header into { name: value }
+ * The first occurrence of a name wins (the most specific path, per RFC 6265)
+ */
+export function parseCookies(header) {
+  const cookies = {};
+
+  for (const part of String(header || '').split(';')) {
+    const index = part.indexOf('=');
+    if (index < 0) continue;
+
+    const name = part.slice(0, index).trim();
+    let value = part.slice(index + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) value = value.slice(1, -1);
+
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch {
+        cookies[name] = value;
+      }
+    }
+  }
+
+  return cookies;
+}
+
+/**
+ * Build a Set-Cookie value
+ * Options: maxAge (seconds, 0 deletes), path, domain, secure, httpOnly, sameSite (Strict, Lax, None)
+ */
+export function serializeCookie(name, value, { maxAge, path = '/', domain, secure = false, httpOnly = true, sameSite = 'Lax' } = {}) {
+  const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path}`];
+
+  if (maxAge !== undefined) {
+    parts.push(`Max-Age=${Math.floor(maxAge)}`);
+    parts.push(`Expires=${new Date(Date.now() + maxAge * 1000).toUTCString()}`);
+  }
+  if (domain) parts.push(`Domain=${domain}`);
+  if (secure) parts.push('Secure');
+  if (httpOnly) parts.push('HttpOnly');
+  if (sameSite) parts.push(`SameSite=${sameSite}`);
+
+  return parts.join('; ');
+}
+
+export default { parseCookies, serializeCookie };
@@ -0,0 +1,146 @@
+/**
+ * Cron schedule parsing
+ *
+ * Standard 5-field expressions: minute hour day-of-month month day-of-week,
+ * with *, lists (1,15), ranges (1-5), steps (*\/10, 0-30/5) and the aliases
+ * @hourly, @daily, @weekly, @monthly, @yearly. Day-of-week 0 and 7 are Sunday.
+ * As in cron, when both day fields are restricted a day matching either runs.
+ * Schedules are evaluated in UTC.
+ */
+
+const ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Give up after this many years without a match (e.g. 30 February)
+const MAX_LOOKAHEAD_YEARS = 8;
+
+/**
+ * Parse one field into the set of values it matches
+ */
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${name} field: ${text}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : (end !== undefined ? Number(end) : (step ? max : from));
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment < 1) {
+      throw new Error(`Invalid ${name} field: ${text} (allowed ${min}-${max})`);
+    }
+
+    for (let value = from; value <= to; value += increment) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * Throws on invalid expressions
+ */
+export function parseCron(expression) {
+  const source = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = source.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // 7 is Sunday too
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    dayRestricted: parts[2] !== '*',
+    weekdayRestricted: parts[4] !== '*'
+  };
+}
+
+/**
+ * Whether a parsed schedule runs on a date's day (UTC)
+ */
+function matchesDay(schedule, date) {
+  const dayMatch = schedule.days.has(date.getUTCDate());
+  const weekdayMatch = schedule.weekdays.has(date.getUTCDay());
+
+  if (schedule.dayRestricted && schedule.weekdayRestricted) {
+    return dayMatch || weekdayMatch;
+  }
+  return dayMatch && weekdayMatch;
+}
+
+/**
+ * Next time a schedule fires strictly after `from`
+ * Skips whole months, days and hours that can't match
+ */
+export function getNextRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = from.getUTCFullYear() + MAX_LOOKAHEAD_YEARS;
+
+  while (date.getUTCFullYear() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check an expression; returns an error message or null when valid
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+export default { parseCron, getNextRun, validateCron };
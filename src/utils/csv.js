@@ -0,0 +1,97 @@
+/**
+ * CSV helpers (RFC 4180) for license import/export
+ */
+
+/**
+ * Parse CSV text into rows of string fields
+ * Handles quoted fields, escaped quotes ("") and CRLF/LF line endings
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Strip UTF-8 BOM (Excel exports)
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0].trim() !== '');
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by (lowercased) column name
+ */
+export function parseCsvRecords(text) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+
+  return {
+    columns,
+    records: rows.map(row => Object.fromEntries(columns.map((name, i) => [name, (row[i] ?? '').trim()])))
+  };
+}
+
+/**
+ * Escape a value for CSV output
+ * Values starting with = + - @ are prefixed with ' so spreadsheets don't run them as formulas
+ */
+function escapeField(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from objects, with a header row of the given columns
+ */
+export function toCsv(records, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeField(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+export default { parseCsv, parseCsvRecords, toCsv };
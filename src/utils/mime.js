@@ -0,0 +1,102 @@
+/**
+ * MIME message building
+ *
+ * Builds an RFC 5322 message with text and HTML alternatives, as sent over
+ * SMTP and written by the file transport. Bodies are base64 encoded, so any
+ * content is 7-bit safe; non-ASCII header text is RFC 2047 encoded.
+ */
+
+import crypto from 'crypto';
+
+const CRLF = '\r\n';
+
+/**
+ * Encode header text when it isn't plain ASCII
+ */
+export function encodeHeaderText(value) {
+  const text = String(value);
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Split an address like "Name <user@example.com>" into its parts
+ */
+export function parseAddress(value) {
+  const match = String(value).trim().match(/^(.*?)\s*<([^<>\s]+@[^<>\s]+)>$/);
+  if (match) {
+    return { name: match[1].replace(/^"|"$/g, '').trim(), address: match[2] };
+  }
+  return { name: '', address: String(value).trim() };
+}
+
+/**
+ * Format an address for a header, encoding the display name
+ */
+function formatAddress(value) {
+  const { name, address } = parseAddress(value);
+  if (!name) return address;
+
+  const encoded = encodeHeaderText(name);
+  return encoded === name ? `"${name.replace(/["\\]/g, '\\$&')}" <${address}>` : `${encoded} <${address}>`;
+}
+
+/**
+ * Base64 body wrapped at 76 characters
+ */
+function encodeBody(content) {
+  return Buffer.from(content, 'utf8').toString('base64').replace(/.{76}(?=.)/g, `$&${CRLF}`);
+}
+
+/**
+ * Domain of an address, for the Message-ID
+ */
+function addressDomain(value) {
+  return parseAddress(value).address.split('@')[1] || 'localhost';
+}
+
+/**
+ * Build a message
+ * Returns { messageId, raw } where raw uses CRLF line endings
+ */
+export function buildMimeMessage({ from, to, subject, html, text, headers = {}, date = new Date() }) {
+  const messageId = `<${crypto.randomUUID()}@${addressDomain(from)}>`;
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+
+  const lines = [
+    `From: ${formatAddress(from)}`,
+    `To: ${[].concat(to).map(formatAddress).join(', ')}`,
+    `Subject: ${encodeHeaderText(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0'
+  ];
+
+  for (const [name, value] of Object.entries(headers)) {
+    lines.push(`${name}: ${encodeHeaderText(value)}`);
+  }
+
+  const parts = [];
+  if (text) parts.push(['text/plain', text]);
+  if (html) parts.push(['text/html', html]);
+
+  if (parts.length === 1) {
+    const [[type, content]] = parts;
+    lines.push(`Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', encodeBody(content));
+  } else {
+    lines.push(`Content-Type: multipart/alternative; boundary="${boundary}"`, '');
+    for (const [type, content] of parts) {
+      lines.push(
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        encodeBody(content)
+      );
+    }
+    lines.push(`--${boundary}--`);
+  }
+
+  return { messageId, raw: lines.join(CRLF) + CRLF };
+}
+
+export default { encodeHeaderText, parseAddress, buildMimeMessage };
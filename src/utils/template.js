@@ -0,0 +1,178 @@
+/**
+ * Minimal logic-less templates
+ *
+ * {{ name }} inserts a value HTML-escaped (dotted paths like brand.name work),
+ * {{{ name }}} inserts it unescaped - only for trusted, already rendered HTML.
+ * Sections: {{#if name}}...{{else}}...{{/if}}, {{#unless name}}...{{/unless}}
+ * and {{#each list}}...{{/each}} ({{ this }} or the item's fields inside).
+ * Comments: {{! ... }}. Missing values render as ''.
+ *
+ * Templates are parsed before use, so syntax errors surface when a template
+ * is saved rather than when an email is sent.
+ */
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*(!|#if|#unless|#each|\/if|\/unless|\/each|else)?\s*([^}]*?)\s*\}\}/g;
+
+const PATH = /^(this|[A-Za-z_]\w*(\.[A-Za-z_]\w*)*)$/;
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML content and attribute values
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ENTITIES[char]);
+}
+
+/**
+ * Parse a template into a tree
+ * Throws an Error describing the first syntax error
+ */
+export function parseTemplate(source) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  const current = () => stack[stack.length - 1];
+  const checkPath = path => {
+    if (!PATH.test(path)) throw new Error(`Invalid template tag: {{${path}}}`);
+    return path;
+  };
+
+  for (const match of String(source).matchAll(TAG)) {
+    const [tag, rawPath, keyword, argument] = match;
+    const node = current();
+    const children = node.inElse ? node.otherwise : node.children;
+
+    if (match.index > last) {
+      children.push({ type: 'text', value: source.slice(last, match.index) });
+    }
+    last = match.index + tag.length;
+
+    if (rawPath) {
+      children.push({ type: 'raw', path: checkPath(rawPath) });
+    } else if (keyword === '!') {
+      // Comment
+    } else if (!keyword) {
+      children.push({ type: 'value', path: checkPath(argument) });
+    } else if (keyword.startsWith('#')) {
+      const section = { type: keyword.slice(1), path: checkPath(argument), children: [], otherwise: [] };
+      children.push(section);
+      stack.push(section);
+    } else if (keyword === 'else') {
+      if (!['if', 'unless'].includes(node.type) || node.inElse) {
+        throw new Error('{{else}} outside of {{#if}} or {{#unless}}');
+      }
+      node.inElse = true;
+    } else {
+      const type = keyword.slice(1);
+      if (node.type !== type) {
+        throw new Error(`Unexpected {{/${type}}}${node.type ? ` (open section: {{#${node.type} ${node.path}}})` : ''}`);
+      }
+      stack.pop();
+    }
+  }
+
+  if (stack.length > 1) {
+    const open = current();
+    throw new Error(`Unclosed {{#${open.type} ${open.path}}}`);
+  }
+
+  if (last < String(source).length) {
+    root.children.push({ type: 'text', value: String(source).slice(last) });
+  }
+
+  return root;
+}
+
+/**
+ * Own property of a value (never inherited ones such as constructor)
+ */
+function property(value, key) {
+  return value != null && Object.hasOwn(Object(value), key) ? value[key] : undefined;
+}
+
+/**
+ * Look up a dotted path in the context stack (innermost first)
+ */
+function lookup(scopes, path) {
+  if (path === 'this') return scopes[0];
+
+  const [head, ...rest] = path.split('.');
+  const scope = scopes.find(s => s !== null && typeof s === 'object' && Object.hasOwn(s, head));
+  if (!scope) return undefined;
+
+  return rest.reduce(property, scope[head]);
+}
+
+/**
+ * Truthiness for sections: empty arrays and strings are false
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, escape) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'value' || node.type === 'raw') {
+      const value = lookup(scopes, node.path);
+      if (value == null) continue;
+      output += node.type === 'value' && escape ? escapeHtml(value) : String(value);
+    } else if (node.type === 'each') {
+      const list = lookup(scopes, node.path);
+      for (const item of Array.isArray(list) ? list : []) {
+        output += renderNodes(node.children, [item, ...scopes], escape);
+      }
+    } else {
+      const truthy = isTruthy(lookup(scopes, node.path));
+      const show = node.type === 'if' ? truthy : !truthy;
+      output += renderNodes(show ? node.children : node.otherwise, scopes, escape);
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render a template (source or parsed tree) with data
+ * escape: false renders plain text such as a subject line
+ */
+export function renderTemplate(template, data = {}, { escape = true } = {}) {
+  const tree = typeof template === 'string' ? parseTemplate(template) : template;
+  return renderNodes(tree.children, [data], escape);
+}
+
+/**
+ * Plain-text version of an HTML email
+ * Keeps paragraphs, line breaks, list items and link targets
+ */
+export function htmlToText(html) {
+  const text = String(html)
+    .replace(/<(head|style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a\b[^>]*href\s*=\s*["']([^"']*)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+      const text = label.replace(/<[^>]+>/g, '').trim();
+      return !text || text === href || href.startsWith('mailto:') ? (text || href) : `${text} (${href})`;
+    })
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<hr\b[^>]*>/gi, '\n---\n')
+    .replace(/<\/(p|div|h[1-6]|ul|ol|table|tr|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&(quot|#39|lt|gt|amp);/g, (match, name) => ({ quot: '"', '#39': "'", lt: '<', gt: '>', amp: '&' })[name]);
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default { escapeHtml, parseTemplate, renderTemplate, htmlToText };
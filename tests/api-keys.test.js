@@ -0,0 +1,104 @@
+/**
+ * Admin API keys: authentication, scope enforcement, minting and revocation
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createApiKey, getApiKey } = await import('../src/services/api-key.js');
+
+let api;
+
+before(async () => {
+  await initDatabase();
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function admin(path, key, { method = 'GET', body, header = 'authorization' } = {}) {
+  const headers = header === 'authorization' ? { Authorization: `Bearer ${key}` } : { 'x-api-key': key };
+  return request(`${api.url}/api/v1${path}`, { method, body, headers: key ? headers : {} });
+}
+
+test('rejects requests without a valid key with 401', async () => {
+  assert.equal((await admin('/admin/stats')).status, 401);
+  assert.equal((await admin('/admin/stats', 'tlat_not-a-real-key')).body.error, 'unauthorized');
+  assert.equal((await admin('/admin/products', 'wrong')).status, 401);
+
+  const { key } = createApiKey({ name: 'expired', scopes: ['stats:read'], expiresAt: '2020-01-01T00:00:00.000Z' });
+  const expired = await admin('/admin/stats', key);
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.error, 'key_expired');
+});
+
+test('answers 403 insufficient_scope when the key lacks the route scope', async () => {
+  const { key } = createApiKey({ name: 'stats only', scopes: ['stats:read'] });
+
+  assert.equal((await admin('/admin/stats', key)).status, 200);
+  assert.equal((await admin('/admin/stats', key, { header: 'x-api-key' })).status, 200);
+
+  for (const [path, scope] of [
+    ['/admin/licenses', 'licenses:read'],
+    ['/admin/audit', 'audit:read'],
+    ['/admin/webhooks/events', 'webhooks:read'],
+    ['/admin/api-keys', 'keys:manage'],
+    ['/admin/products', 'products:read']
+  ]) {
+    const res = await admin(path, key);
+
+    assert.equal(res.status, 403, path);
+    assert.equal(res.body.error, 'insufficient_scope');
+    assert.match(res.body.message, new RegExp(scope));
+  }
+
+  const write = await admin('/admin/licenses', key, { method: 'POST', body: { email: 'nope@example.com' } });
+  assert.equal(write.status, 403);
+  assert.equal(getDb().prepare(`SELECT COUNT(*) as count FROM licenses`).get().count, 0);
+});
+
+test('mints keys with at most the scopes of the minting key', async () => {
+  const { key: manager } = createApiKey({ name: 'manager', scopes: ['keys:manage', 'licenses:read'] });
+
+  const granted = await admin('/admin/api-keys', manager, { method: 'POST', body: { name: 'reader', scopes: ['licenses:read'] } });
+  assert.equal(granted.status, 201);
+  assert.match(granted.body.key, /^tlat_/);
+  assert.deepEqual(granted.body.scopes, ['licenses:read']);
+  assert.equal((await admin('/admin/licenses', granted.body.key)).status, 200);
+
+  const escalated = await admin('/admin/api-keys', manager, { method: 'POST', body: { name: 'writer', scopes: ['licenses:write'] } });
+  assert.equal(escalated.status, 403);
+  assert.match(escalated.body.message, /licenses:write/);
+
+  const unknown = await admin('/admin/api-keys', manager, { method: 'POST', body: { name: 'typo', scopes: ['licences:read'] } });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'invalid_scopes');
+
+  const everything = await admin('/admin/api-keys', ADMIN_KEY, { method: 'POST', body: { name: 'root', scopes: ['*'] } });
+  assert.equal(everything.status, 201);
+  assert.equal((await admin('/admin/stats', everything.body.key)).status, 200);
+});
+
+test('stores only a hash and stops accepting a key once revoked', async () => {
+  const { key, apiKey } = createApiKey({ name: 'temporary', scopes: ['stats:read'] });
+  const row = getDb().prepare(`SELECT * FROM api_keys WHERE id = ?`).get(apiKey.id);
+
+  assert.notEqual(row.key_hash, key);
+  assert.ok(key.startsWith(row.key_prefix));
+
+  assert.equal((await admin('/admin/stats', key)).status, 200);
+  assert.ok(getApiKey(apiKey.id).last_used_at);
+
+  const revoked = await admin(`/admin/api-keys/${apiKey.id}`, ADMIN_KEY, { method: 'DELETE' });
+  assert.equal(revoked.status, 200);
+  assert.equal((await admin('/admin/stats', key)).status, 401);
+  assert.equal((await admin(`/admin/api-keys/${apiKey.id}`, ADMIN_KEY, { method: 'DELETE' })).status, 404);
+});
@@ -0,0 +1,104 @@
+/**
+ * Subscription billing: renewals and refunds (Stripe events)
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createProduct } = await import('../src/services/product.js');
+const { getLicenseBySubscriptionId } = await import('../src/services/license.js');
+const { renewSubscription } = await import('../src/services/billing.js');
+const { default: stripe } = await import('../src/services/providers/stripe.js');
+
+const PERIOD_END = Math.floor(new Date('2027-06-01T00:00:00Z').getTime() / 1000);
+
+before(async () => {
+  await initDatabase();
+  createProduct({ slug: 'tutor-lms-tracking', name: 'Tutor LMS Advanced Tracking' });
+});
+
+after(() => {
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+/**
+ * A subscription checkout: no payment_intent on the session, the first invoice pays
+ */
+async function subscribe(suffix, { invoiceFirst = false } = {}) {
+  const invoicePaid = {
+    type: 'invoice.paid',
+    data: { object: { id: `in_${suffix}`, subscription: `sub_${suffix}`, payment_intent: `pi_${suffix}`, period_end: PERIOD_END } }
+  };
+  const checkout = {
+    type: 'checkout.session.completed',
+    data: {
+      object: {
+        id: `cs_${suffix}`,
+        customer_email: `${suffix}@example.com`,
+        customer: `cus_${suffix}`,
+        subscription: `sub_${suffix}`,
+        payment_intent: null,
+        invoice: `in_${suffix}`,
+        metadata: { license_type: 'annual' }
+      }
+    }
+  };
+
+  if (invoiceFirst) await stripe.handleEvent(invoicePaid);
+  await stripe.handleEvent(checkout);
+  if (!invoiceFirst) await stripe.handleEvent(invoicePaid);
+
+  return getLicenseBySubscriptionId(`sub_${suffix}`);
+}
+
+function refund(suffix, { invoice = true } = {}) {
+  return stripe.handleEvent({
+    type: 'charge.refunded',
+    data: { object: { id: `ch_${suffix}`, refunded: true, payment_intent: `pi_${suffix}`, invoice: invoice ? `in_${suffix}` : null } }
+  });
+}
+
+test('refunding the first payment of a subscription refunds its license', async () => {
+  const license = await subscribe('first');
+  assert.equal(JSON.parse(license.metadata).provider_payment_id, 'pi_first');
+
+  // Newer Stripe API versions don't put the invoice on the charge
+  await refund('first', { invoice: false });
+
+  assert.equal(getLicenseBySubscriptionId('sub_first').status, 'refunded');
+});
+
+test('matches the refund by invoice when the first invoice arrived before the checkout', async () => {
+  const license = await subscribe('early', { invoiceFirst: true });
+  assert.equal(JSON.parse(license.metadata).provider_payment_id, null);
+
+  await refund('early');
+
+  assert.equal(getLicenseBySubscriptionId('sub_early').status, 'refunded');
+});
+
+test('a renewal without a period end keeps the expiry', async () => {
+  const license = await subscribe('noperiod');
+  assert.ok(license.expires_at);
+
+  const renewed = renewSubscription({ provider: 'paddle', subscriptionId: 'sub_noperiod', periodEnd: null, paymentId: 'pi_noperiod_2' });
+
+  assert.equal(renewed.expires_at, license.expires_at);
+});
+
+test('a renewal without a payment ID keeps the last one', async () => {
+  await subscribe('keep');
+  renewSubscription({ provider: 'stripe', subscriptionId: 'sub_keep', periodEnd: '2028-06-01T00:00:00.000Z', paymentId: 'pi_keep_2' });
+
+  const renewed = renewSubscription({ provider: 'stripe', subscriptionId: 'sub_keep', periodEnd: '2029-06-01T00:00:00.000Z' });
+  const metadata = JSON.parse(renewed.metadata);
+
+  assert.equal(renewed.expires_at, '2029-06-01T00:00:00.000Z');
+  assert.equal(metadata.provider_last_payment_id, 'pi_keep_2');
+  assert.equal(metadata.provider_last_invoice_id, 'in_keep');
+});
@@ -0,0 +1,59 @@
+/**
+ * Admin email queue routes: listing needs emails:read, retries need emails:write
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createApiKey } = await import('../src/services/api-key.js');
+const { enqueueEmail } = await import('../src/services/email-queue.js');
+
+let api;
+let failedId;
+
+before(async () => {
+  await initDatabase();
+
+  failedId = enqueueEmail({ to: 'customer@example.com', subject: 'Your license', text: 'TLAT-SECRET-KEY' }).id;
+  getDb().prepare(`UPDATE email_queue SET status = 'failed' WHERE id = ?`).run(failedId);
+
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function keyWith(...scopes) {
+  return createApiKey({ name: scopes.join(' '), scopes }).key;
+}
+
+function send(method, path, key) {
+  return request(`${api.url}/api/v1/admin/emails/queue${path}`, { method, headers: { Authorization: `Bearer ${key}` } });
+}
+
+test('lists the queue only with emails:read', async () => {
+  const denied = await send('GET', '', keyWith('licenses:read'));
+  assert.equal(denied.status, 403);
+
+  const res = await send('GET', '', keyWith('emails:read'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.messages[0].id, failedId);
+});
+
+test('retries a failed email only with emails:write', async () => {
+  for (const scope of ['licenses:write', 'emails:read']) {
+    const denied = await send('POST', `/${failedId}/retry`, keyWith(scope));
+    assert.equal(denied.status, 403, scope);
+  }
+
+  const res = await send('POST', `/${failedId}/retry`, keyWith('emails:write'));
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'sent');
+});
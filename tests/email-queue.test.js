@@ -0,0 +1,71 @@
+/**
+ * Email queue: bodies are cleared once sent, old messages are pruned
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const outbox = mkdtempSync(join(tmpdir(), 'tlat-outbox-'));
+process.env.DB_PATH = ':memory:';
+process.env.EMAIL_TRANSPORT = 'file';
+process.env.EMAIL_OUTBOX_DIR = outbox;
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { enqueueEmail, deliverEmail, getQueuedEmail, pruneEmailQueue } = await import('../src/services/email-queue.js');
+
+before(async () => {
+  await initDatabase();
+});
+
+after(() => {
+  getDb().close();
+  rmSync(outbox, { recursive: true, force: true });
+});
+
+const message = {
+  to: 'customer@example.com',
+  subject: 'Your license',
+  html: '<p>TLAT-SECRET-KEY</p>',
+  text: 'TLAT-SECRET-KEY',
+  headers: { 'X-Test': '1' }
+};
+
+test('keeps bodies until the message is sent, then clears them', async () => {
+  const queued = enqueueEmail(message);
+
+  assert.equal(queued.html, undefined);
+  assert.equal(getQueuedEmail(queued.id).text, undefined);
+  assert.equal(getQueuedEmail(queued.id, { bodies: true }).text, 'TLAT-SECRET-KEY');
+
+  const result = await deliverEmail(queued.id);
+  assert.equal(result.status, 'sent');
+
+  const row = getDb().prepare(`SELECT * FROM email_queue WHERE id = ?`).get(queued.id);
+  assert.equal(row.status, 'sent');
+  assert.equal(row.html, null);
+  assert.equal(row.text, null);
+  assert.equal(row.headers, null);
+  assert.equal(row.subject, 'Your license');
+});
+
+test('prunes sent and failed messages after the retention period', () => {
+  const db = getDb();
+  const sent = enqueueEmail(message).id;
+  const failed = enqueueEmail(message).id;
+  const recentFailure = enqueueEmail(message).id;
+  const pending = enqueueEmail(message).id;
+
+  db.prepare(`UPDATE email_queue SET status = 'sent', sent_at = datetime('now', '-31 days') WHERE id = ?`).run(sent);
+  db.prepare(`UPDATE email_queue SET status = 'failed', updated_at = datetime('now', '-31 days') WHERE id = ?`).run(failed);
+  db.prepare(`UPDATE email_queue SET status = 'failed' WHERE id = ?`).run(recentFailure);
+  db.prepare(`UPDATE email_queue SET created_at = datetime('now', '-31 days') WHERE id = ?`).run(pending);
+
+  assert.equal(pruneEmailQueue(), 2);
+  assert.equal(getQueuedEmail(sent), null);
+  assert.equal(getQueuedEmail(failed), null);
+  assert.equal(getQueuedEmail(recentFailure).status, 'failed');
+  assert.equal(getQueuedEmail(pending).status, 'pending');
+});
@@ -0,0 +1,89 @@
+/**
+ * Email templates: {{ }} escapes, {{{ }}} only for the layout's content, rendering
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { escapeHtml, parseTemplate, renderTemplate, htmlToText } = await import('../src/utils/template.js');
+const { validateEmailTemplate, renderEmail, saveEmailTemplate, LAYOUT } = await import('../src/services/email-templates.js');
+
+const HOSTILE = `<script>alert("x")</script> & 'quotes'`;
+
+before(async () => {
+  await initDatabase();
+});
+
+after(() => {
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+test('{{ }} escapes values and {{{ }}} inserts them as they are', () => {
+  assert.equal(escapeHtml(HOSTILE), '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; &amp; &#39;quotes&#39;');
+  assert.equal(renderTemplate('<p>{{ name }}</p>', { name: HOSTILE }), `<p>${escapeHtml(HOSTILE)}</p>`);
+  assert.equal(renderTemplate('<p>{{{ name }}}</p>', { name: '<b>bold</b>' }), '<p><b>bold</b></p>');
+  assert.equal(renderTemplate('<a href="{{ url }}">', { url: '" onmouseover="x' }), '<a href="&quot; onmouseover=&quot;x">');
+
+  // Plain-text rendering (subjects) never escapes
+  assert.equal(renderTemplate('Hi {{ name }}', { name: 'A & B' }, { escape: false }), 'Hi A & B');
+});
+
+test('renders sections, dotted paths and missing values', () => {
+  const source = '{{#if admin}}admin{{else}}{{ user.name }}{{/if}}|{{#each items}}[{{ this }}]{{/each}}|{{#unless none}}x{{/unless}}|{{ missing }}{{! comment }}';
+
+  assert.equal(renderTemplate(source, { user: { name: '<Ann>' }, items: ['a', '<b>'] }), '&lt;Ann&gt;|[a][&lt;b&gt;]|x|');
+  assert.equal(renderTemplate('{{ constructor }}{{ user.constructor }}', { user: {} }), '');
+});
+
+test('reports template syntax errors', () => {
+  assert.throws(() => parseTemplate('{{#if a}}open'), /Unclosed \{\{#if a\}\}/);
+  assert.throws(() => parseTemplate('{{/each}}'), /Unexpected \{\{\/each\}\}/);
+  assert.throws(() => parseTemplate('{{ a b }}'), /Invalid template tag/);
+  assert.throws(() => parseTemplate('{{else}}'), /\{\{else\}\} outside/);
+});
+
+test('only allows {{{ content }}} unescaped, and only in the layout', () => {
+  const email = { subject: 'Hi', html: '<p>{{{ licenseKey }}}</p>' };
+
+  assert.match(validateEmailTemplate('license', email), /Unescaped output/);
+  assert.match(validateEmailTemplate('license', { subject: 'Hi', html: '{{{ content }}}' }), /Unescaped output/);
+  assert.match(validateEmailTemplate(LAYOUT, { html: '<main>{{ content }}</main>' }), /must include \{\{\{ content \}\}\}/);
+  assert.match(validateEmailTemplate(LAYOUT, { html: '{{{ content }}}{{{ brand.name }}}' }), /Unescaped output/);
+  assert.match(validateEmailTemplate('license', { subject: 'Hi {{#if x}}', html: '<p></p>' }), /^subject: Unclosed/);
+
+  assert.equal(validateEmailTemplate(LAYOUT, { html: '<main>{{{ content }}}</main>' }), null);
+  assert.equal(validateEmailTemplate('license', { subject: 'Hi {{ productName }}', html: '<p>{{ licenseKey }}</p>' }), null);
+});
+
+test('escapes data in the body and layout but keeps the rendered body intact', () => {
+  const { subject, html, text } = renderEmail('license', { productName: HOSTILE, licenseKey: 'TLAT-KEY', lifetime: true }, { locale: 'en' });
+
+  assert.equal(subject, `Your ${HOSTILE} License Key`);
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes(escapeHtml(HOSTILE)));
+  assert.ok(html.includes('<code'), 'the body is inserted into the layout as HTML');
+  assert.match(text, /TLAT-KEY/);
+  assert.ok(text.includes(HOSTILE));
+});
+
+test('renders a saved override instead of the template file, for its locale only', () => {
+  saveEmailTemplate('license', 'en', { subject: 'Key for {{ productName }}', html: '<p>Key: {{ licenseKey }}</p>' }, 'test');
+  const data = { productName: 'Pro', licenseKey: '<KEY>' };
+
+  const english = renderEmail('license', data, { locale: 'en' });
+  assert.equal(english.subject, 'Key for Pro');
+  assert.ok(english.html.includes('<p>Key: &lt;KEY&gt;</p>'));
+
+  // Danish has its own template file
+  assert.notEqual(renderEmail('license', data, { locale: 'da-DK' }).subject, 'Key for Pro');
+});
+
+test('htmlToText keeps links and decodes entities', () => {
+  const text = htmlToText('<p>Hi &amp; welcome</p><p><a href="https://example.com/portal">Portal</a></p><ul><li>One</li></ul>');
+  assert.equal(text, 'Hi & welcome\n\nPortal (https://example.com/portal)\n\n- One');
+});
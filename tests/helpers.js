@@ -0,0 +1,93 @@
+/**
+ * Test helpers (not a test file: node --test only runs *.test.js)
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+export const ADMIN_KEY = 'test-admin-key';
+
+/**
+ * Point the database at memory and the email transport at a temporary outbox
+ * Call before importing any src module; returns the outbox directory
+ */
+export function useTestEnvironment(env = {}) {
+  const outbox = mkdtempSync(join(tmpdir(), 'tlat-test-'));
+
+  Object.assign(process.env, {
+    DB_PATH: ':memory:',
+    EMAIL_TRANSPORT: 'file',
+    EMAIL_OUTBOX_DIR: outbox,
+    ADMIN_API_KEY: ADMIN_KEY,
+    ...env
+  });
+
+  return outbox;
+}
+
+export function removeOutbox(outbox) {
+  rmSync(outbox, { recursive: true, force: true });
+}
+
+/**
+ * Listen on a free port
+ * Returns { url, close }
+ */
+export async function listen(app) {
+  const server = await new Promise(resolve => {
+    const started = app.listen(0, () => resolve(started));
+  });
+
+  return {
+    url: `http://localhost:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * The API routes mounted as in src/index.js, listening on a free port
+ * Import after useTestEnvironment; returns { url, close }
+ */
+export async function startApi() {
+  const { default: express } = await import('express');
+  const routes = {
+    license: (await import('../src/routes/licenses.js')).default,
+    admin: (await import('../src/routes/admin.js')).default,
+    products: (await import('../src/routes/products.js')).default,
+    webhooks: (await import('../src/routes/webhooks.js')).default,
+    customer: (await import('../src/routes/customer.js')).default
+  };
+
+  const app = express();
+  app.use('/api/v1/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+  app.use(express.json());
+  app.use('/api/v1/license', routes.license);
+  app.use('/api/v1/admin', routes.admin);
+  app.use('/api/v1/admin/products', routes.products);
+  app.use('/api/v1/webhooks', routes.webhooks);
+  app.use('/api/v1/customer', routes.customer);
+
+  return listen(app);
+}
+
+/**
+ * JSON request: returns { status, body, headers }
+ */
+export async function request(url, { method = 'GET', body, headers = {} } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  const text = await res.text();
+
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // Not JSON
+  }
+
+  return { status: res.status, body: parsed, headers: res.headers };
+}
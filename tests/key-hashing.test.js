@@ -0,0 +1,86 @@
+/**
+ * Hashed license keys: lookup of keys hashed by migration 008 and of new keys,
+ * and the production requirement for LICENSE_KEY_SECRET
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import { useTestEnvironment, removeOutbox } from './helpers.js';
+
+const outbox = useTestEnvironment({ LICENSE_KEY_SECRET: 'test-key-secret' });
+
+const { getDb } = await import('../src/db/init.js');
+const { loadMigrations, getAppliedMigrations, migrate } = await import('../src/db/migrate.js');
+const { createLicense, getLicenseByKey, resolveLicense } = await import('../src/services/license.js');
+const { hashLicenseKey, maskLicenseKey } = await import('../src/services/license-key.js');
+
+// Issued before checksums, and stored in clear before migration 008
+const LEGACY_KEY = 'TLAT-ABCD-EFGH-JKLM-NPQR';
+
+before(async () => {
+  const db = getDb();
+  getAppliedMigrations(db);
+  const record = db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`);
+
+  for (const migration of (await loadMigrations()).filter(m => m.version < 8)) {
+    migration.up(db);
+    record.run(migration.version, migration.name);
+  }
+
+  db.prepare(`INSERT INTO licenses (license_key, email, plan) VALUES (?, ?, ?)`).run(LEGACY_KEY, 'legacy@example.com', 'single');
+  await migrate(db);
+});
+
+after(() => {
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+test('migration 008 replaces plaintext keys by their hash', () => {
+  const row = getDb().prepare(`SELECT key_hash, key_prefix FROM licenses WHERE email = ?`).get('legacy@example.com');
+
+  assert.equal(row.key_hash, hashLicenseKey(LEGACY_KEY));
+  assert.equal(row.key_prefix, 'TLAT-ABCD');
+  assert.equal(getDb().prepare(`SELECT COUNT(*) as count FROM licenses WHERE key_hash = ?`).get(LEGACY_KEY).count, 0);
+});
+
+test('finds legacy keys and new keys by their hash', () => {
+  assert.equal(getLicenseByKey(LEGACY_KEY).email, 'legacy@example.com');
+
+  const created = createLicense({ email: 'new@example.com', plan: 'single' });
+  const stored = getDb().prepare(`SELECT key_hash, key_prefix FROM licenses WHERE id = ?`).get(created.id);
+
+  assert.notEqual(stored.key_hash, created.licenseKey);
+  assert.equal(getLicenseByKey(created.licenseKey).id, created.id);
+  assert.equal(resolveLicense(created.licenseKey).id, created.id);
+  assert.equal(resolveLicense(String(created.id)).id, created.id);
+  assert.match(maskLicenseKey(stored.key_prefix), /^TLAT-[A-Z2-9]{5}(-\*{5}){3}$/);
+});
+
+test('does not find a key with a different secret or another key', () => {
+  const created = createLicense({ email: 'other@example.com', plan: 'single' });
+  const hashWithOtherSecret = spawnSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `const { hashLicenseKey } = await import('./src/services/license-key.js'); console.log(hashLicenseKey(${JSON.stringify(created.licenseKey)}));`
+  ], { env: { ...process.env, LICENSE_KEY_SECRET: 'another-secret' }, encoding: 'utf8' });
+
+  assert.equal(hashWithOtherSecret.status, 0, hashWithOtherSecret.stderr);
+  assert.notEqual(hashWithOtherSecret.stdout.trim(), hashLicenseKey(created.licenseKey));
+  assert.equal(getLicenseByKey(created.licenseKey.replace(/.$/, c => (c === 'A' ? 'B' : 'A'))), undefined);
+});
+
+test('refuses to hash keys in production without LICENSE_KEY_SECRET', () => {
+  const env = { ...process.env, NODE_ENV: 'production', JWT_SECRET: 'jwt-secret' };
+  delete env.LICENSE_KEY_SECRET;
+
+  const result = spawnSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `const { hashLicenseKey } = await import('./src/services/license-key.js'); hashLicenseKey('${LEGACY_KEY}');`
+  ], { env, encoding: 'utf8' });
+
+  assert.notEqual(result.status, 0);
+  assert.match(result.stderr, /LICENSE_KEY_SECRET must be set in production/);
+});
@@ -0,0 +1,111 @@
+/**
+ * CSV license import: per-row errors, dry runs and skipping invalid rows
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createProduct } = await import('../src/services/product.js');
+const { createLicense, getLicenseByKey } = await import('../src/services/license.js');
+const { generateLicenseKey } = await import('../src/services/license-key.js');
+
+let api;
+let existingKey;
+
+before(async () => {
+  await initDatabase();
+  createProduct({ slug: 'tutor-lms-tracking', name: 'Tutor LMS Advanced Tracking' });
+  existingKey = createLicense({ email: 'existing@example.com', plan: 'single' }).licenseKey;
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function importCsv(csv, query = '') {
+  return request(`${api.url}/api/v1/admin/licenses/import${query}`, {
+    method: 'POST',
+    body: csv,
+    headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${ADMIN_KEY}` }
+  });
+}
+
+function licenseCount() {
+  return getDb().prepare(`SELECT COUNT(*) as count FROM licenses`).get().count;
+}
+
+test('reports every invalid field with its row and imports nothing', async () => {
+  const repeated = generateLicenseKey('TLAT');
+  const csv = [
+    'email,product_slug,max_activations,expires_at,license_key,metadata',
+    'valid@example.com,tutor-lms-tracking,3,2030-01-01,,',
+    ',tutor-lms-tracking,,,,',
+    'not-an-email,unknown-product,0,someday,TLAT-NOPE,[1]',
+    `first@example.com,,,,${repeated},`,
+    `second@example.com,,,,${repeated},`,
+    `taken@example.com,,,,${existingKey},`
+  ].join('\n');
+  const count = licenseCount();
+
+  const res = await importCsv(csv);
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.imported, 0);
+  assert.equal(res.body.valid, 2);
+  assert.deepEqual(res.body.errors.map(({ row, field, error }) => [row, field, error]), [
+    [3, 'email', 'missing_email'],
+    [4, 'email', 'invalid_email'],
+    [4, 'product_slug', 'unknown_product'],
+    [4, 'max_activations', 'invalid_max_activations'],
+    [4, 'expires_at', 'invalid_date'],
+    [4, 'license_key', 'invalid_key_format'],
+    [4, 'metadata', 'invalid_metadata'],
+    [6, 'license_key', 'duplicate_key'],
+    [7, 'license_key', 'duplicate_key']
+  ]);
+  assert.match(res.body.errors[7].message, /first on row 5/);
+  assert.equal(licenseCount(), count);
+});
+
+test('validates without importing on a dry run', async () => {
+  const count = licenseCount();
+  const res = await importCsv('email,plan\ndry@example.com,agency\n', '?dry_run=true');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual({ success: res.body.success, dryRun: res.body.dryRun, valid: res.body.valid, imported: res.body.imported }, {
+    success: true,
+    dryRun: true,
+    valid: 1,
+    imported: 0
+  });
+  assert.equal(licenseCount(), count);
+});
+
+test('imports the valid rows with skip_invalid and reports the rest', async () => {
+  const key = generateLicenseKey('TLAT');
+  const csv = `email,plan,license_key,notes\nkept@example.com,agency,${key},hi\nbroken,agency,,\n`;
+
+  const res = await importCsv(csv, '?skip_invalid=true&name=Migration');
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.imported, 1);
+  assert.equal(res.body.skipped, 1);
+  assert.deepEqual(res.body.errors.map(e => e.row), [3]);
+  assert.deepEqual(res.body.ignoredColumns, ['notes']);
+  assert.equal(res.body.batch.name, 'Migration');
+  assert.equal(getLicenseByKey(key).email, 'kept@example.com');
+  assert.equal(getLicenseByKey(key).batch_id, res.body.batch.id);
+});
+
+test('rejects a CSV without an email column or rows', async () => {
+  assert.equal((await importCsv('name\nJane\n')).body.error, 'missing_columns');
+  assert.equal((await importCsv('email\n')).body.error, 'empty_csv');
+});
@@ -0,0 +1,90 @@
+/**
+ * License key format: generation, Luhn mod 32 check character and legacy keys
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { KEY_ALPHABET, checkCharacter, generateLicenseKey, isValidKeyFormat } from '../src/services/license-key.js';
+
+const KEY_FORMAT = /^TLAT(-[A-HJ-NP-Z2-9]{5}){4}$/;
+
+/**
+ * Replace the character at a position of the key's body (after the prefix)
+ */
+function replaceAt(key, index, character) {
+  const position = key.indexOf('-') + 1 + index + Math.floor(index / 5);
+  return key.slice(0, position) + character + key.slice(position + 1);
+}
+
+test('generates keys in the checksummed format', () => {
+  for (let i = 0; i < 50; i++) {
+    const key = generateLicenseKey('TLAT');
+
+    assert.match(key, KEY_FORMAT);
+    assert.equal(isValidKeyFormat(key), true, key);
+  }
+
+  assert.match(generateLicenseKey('ACME2'), /^ACME2(-[A-Z2-9]{5}){4}$/);
+});
+
+test('computes the Luhn mod 32 check character', () => {
+  // Worked by hand: from the right, doubled values are folded into base 32 digits
+  assert.equal(checkCharacter('A'), 'A');
+  assert.equal(checkCharacter('B'), '8');
+  assert.equal(checkCharacter('BB'), '7');
+
+  const body = 'ABCDEFGHJKLMNPQRSTU';
+  const key = ['TLAT', ...(body + checkCharacter(body)).match(/.{5}/g)].join('-');
+  assert.equal(isValidKeyFormat(key), true);
+});
+
+test('rejects every single-character typo', () => {
+  const key = generateLicenseKey('TLAT');
+
+  for (let index = 0; index < 20; index++) {
+    for (const character of KEY_ALPHABET) {
+      const typo = replaceAt(key, index, character);
+      if (typo === key) continue;
+
+      assert.equal(isValidKeyFormat(typo), false, typo);
+    }
+  }
+});
+
+test('rejects swapped neighbours and characters outside the alphabet', () => {
+  const key = generateLicenseKey('TLAT');
+
+  for (let index = 0; index < 19; index++) {
+    const body = key.split('-').slice(1).join('');
+    // Like 09/90 in Luhn mod 10, the first and last characters of the alphabet swap undetected
+    if (body[index] === body[index + 1] || ['A9', '9A'].includes(body[index] + body[index + 1])) continue;
+
+    const swapped = replaceAt(replaceAt(key, index, body[index + 1]), index + 1, body[index]);
+    assert.equal(isValidKeyFormat(swapped), false, swapped);
+  }
+
+  for (const character of ['0', 'O', '1', 'I', 'a']) {
+    assert.equal(isValidKeyFormat(replaceAt(key, 3, character)), false, character);
+  }
+});
+
+test('misses only the A/9 swap, as Luhn does for 0/9', () => {
+  const undetected = [];
+
+  for (const a of KEY_ALPHABET) {
+    for (const b of KEY_ALPHABET) {
+      if (a < b && checkCharacter(a + b) === checkCharacter(b + a)) undetected.push(a + b);
+    }
+  }
+
+  assert.deepEqual(undetected, ['9A']);
+});
+
+test('accepts legacy keys by shape only', () => {
+  assert.equal(isValidKeyFormat('TLAT-ABCD-EFGH-JKLM-NPQR'), true);
+  assert.equal(isValidKeyFormat('TLAT-0000-1111-2222-3333'), true);
+  assert.equal(isValidKeyFormat('TLAT-ABCD-EFGH-JKLM'), false);
+  assert.equal(isValidKeyFormat('tlat-abcd-efgh-jklm-npqr'), false);
+  assert.equal(isValidKeyFormat(null), false);
+  assert.equal(isValidKeyFormat(['TLAT-ABCD-EFGH-JKLM-NPQR']), false);
+});
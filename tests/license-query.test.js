@@ -0,0 +1,86 @@
+/**
+ * Admin license listing: filter validation and cursor pagination
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createLicense } = await import('../src/services/license.js');
+const { listLicenses } = await import('../src/services/license-query.js');
+
+let api;
+
+before(async () => {
+  await initDatabase();
+
+  // Ties on plan, so pagination has to fall back to the id
+  for (let i = 0; i < 7; i++) {
+    createLicense({ email: `user${i}@example.com`, plan: i % 2 ? 'single' : 'agency', maxActivations: i + 1 });
+  }
+
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function list(query) {
+  return request(`${api.url}/api/v1/admin/licenses?${query}`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+}
+
+test('rejects repeated single-value parameters with 400 invalid_filter', async () => {
+  for (const query of ['sort=email&sort=-email', 'plan=a&plan=b', 'email=a&email=b', 'cursor=a&cursor=b', 'limit=1&limit=2']) {
+    const res = await list(query);
+
+    assert.equal(res.status, 400, query);
+    assert.equal(res.body.error, 'invalid_filter');
+  }
+});
+
+test('rejects unknown sort columns and bad filters', async () => {
+  assert.equal((await list('sort=key_hash')).body.error, 'invalid_sort');
+  assert.equal((await list('expires_before=soon')).body.error, 'invalid_filter');
+  assert.equal((await list('activations_min=-1')).body.error, 'invalid_filter');
+});
+
+test('cursor pages cover every license once, in order, across ties', () => {
+  for (const sort of ['plan', '-plan', 'max_activations', '-created_at', 'expires_at']) {
+    const seen = [];
+    let cursor;
+
+    do {
+      const page = listLicenses({ sort, limit: '3', ...(cursor ? { cursor } : {}) });
+      assert.equal(page.success, true, sort);
+      assert.equal(page.total, 7);
+      seen.push(...page.licenses.map(license => license.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    assert.equal(seen.length, 7, sort);
+    assert.equal(new Set(seen).size, 7, sort);
+  }
+});
+
+test('a cursor stays stable when licenses are added while paging', () => {
+  const first = listLicenses({ sort: 'id', limit: '3' });
+  createLicense({ email: 'new@example.com', plan: 'single' });
+
+  const second = listLicenses({ sort: 'id', limit: '3', cursor: first.nextCursor });
+  const lastSeen = first.licenses[first.licenses.length - 1].id;
+
+  assert.deepEqual(second.licenses.map(license => license.id), [lastSeen + 1, lastSeen + 2, lastSeen + 3]);
+});
+
+test('a cursor only works with the sort it came from', () => {
+  const page = listLicenses({ sort: 'email', limit: '2' });
+
+  assert.equal(listLicenses({ sort: '-email', cursor: page.nextCursor }).error, 'invalid_cursor');
+  assert.equal(listLicenses({ sort: 'email', cursor: 'garbage' }).error, 'invalid_cursor');
+});
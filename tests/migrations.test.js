@@ -0,0 +1,91 @@
+/**
+ * Schema migrations: status, migrate/rollback round trip and irreversible migrations
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { getDb } = await import('../src/db/init.js');
+const { loadMigrations, getMigrationStatus, migrate, rollback } = await import('../src/db/migrate.js');
+
+// Versions from here down cannot be rolled back (008 hashes keys in place)
+const IRREVERSIBLE_VERSION = 8;
+
+let migrations;
+
+before(async () => {
+  migrations = await loadMigrations();
+});
+
+after(() => {
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+/**
+ * Tables, their columns and indexes, as a comparable snapshot
+ */
+function schemaOf(db) {
+  return db.prepare(`
+    SELECT type, name FROM sqlite_master
+    WHERE name NOT LIKE 'sqlite_%' AND type IN ('table', 'index', 'trigger')
+    ORDER BY type, name
+  `).all().map(({ type, name }) => ({
+    type,
+    name,
+    columns: type === 'table' ? db.prepare(`SELECT name, type, "notnull", dflt_value, pk FROM pragma_table_info(?)`).all(name) : undefined
+  }));
+}
+
+test('applies every migration in version order', async () => {
+  const db = getDb();
+
+  assert.deepEqual(migrations.map(m => m.version), [...migrations.map(m => m.version)].sort((a, b) => a - b));
+  assert.equal((await getMigrationStatus(db)).pending.length, migrations.length);
+
+  const applied = await migrate(db);
+  const status = await getMigrationStatus(db);
+
+  assert.equal(applied.length, migrations.length);
+  assert.equal(status.current, status.latest);
+  assert.deepEqual(status.pending, []);
+  assert.deepEqual(await migrate(db), []);
+});
+
+test('rolls back every reversible migration and migrates to the same schema', async () => {
+  const db = getDb();
+  const schema = schemaOf(db);
+  const reversible = migrations.filter(m => m.version > IRREVERSIBLE_VERSION);
+
+  const rolledBack = await rollback(db, reversible.length);
+  assert.deepEqual(rolledBack.map(m => m.version), reversible.map(m => m.version).reverse());
+  assert.equal((await getMigrationStatus(db)).current, IRREVERSIBLE_VERSION);
+
+  const reapplied = await migrate(db);
+  assert.deepEqual(reapplied.map(m => m.version), reversible.map(m => m.version));
+  assert.deepEqual(schemaOf(db), schema);
+});
+
+test('refuses to roll back an irreversible migration', async () => {
+  const db = getDb();
+  const reversible = migrations.filter(m => m.version > IRREVERSIBLE_VERSION);
+  await rollback(db, reversible.length);
+
+  await assert.rejects(rollback(db), /008_hashed_license_keys is irreversible/);
+  assert.equal((await getMigrationStatus(db)).current, IRREVERSIBLE_VERSION);
+
+  await migrate(db);
+});
+
+test('refuses to migrate a database that is ahead of the code', async () => {
+  const db = getDb();
+  db.prepare(`INSERT INTO schema_migrations (version, name) VALUES (?, ?)`).run(999, '999_from_the_future');
+
+  await assert.rejects(migrate(db), /ahead of this code \(unknown migrations: 999\)/);
+  await assert.rejects(rollback(db), /999_from_the_future is not present in this code/);
+
+  db.prepare(`DELETE FROM schema_migrations WHERE version = 999`).run();
+});
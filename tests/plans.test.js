@@ -0,0 +1,87 @@
+/**
+ * Plan catalog routes: count validation on create and update
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createProduct } = await import('../src/services/product.js');
+
+let api;
+let productId;
+
+before(async () => {
+  await initDatabase();
+  productId = createProduct({ slug: 'plan-test', name: 'Plan Test' }).id;
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function send(method, path, body) {
+  return request(`${api.url}/api/v1/admin/products/${productId}/plans${path}`, {
+    method,
+    body,
+    headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+  });
+}
+
+test('creates a plan with valid counts', async () => {
+  const res = await send('POST', '', { slug: 'pro', name: 'Pro', maxActivations: 3, durationDays: null, devSites: 0 });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.plan.max_activations, 3);
+  assert.equal(res.body.plan.duration_days, null);
+  assert.equal(res.body.plan.dev_sites, 0);
+});
+
+test('rejects counts that are not non-negative integers on create', async () => {
+  const invalid = [
+    { maxActivations: -1 },
+    { maxActivations: null },
+    { maxActivations: '3' },
+    { maxActivations: 1.5 },
+    { durationDays: 0 },
+    { durationDays: 'forever' },
+    { devSites: -2 },
+    { devSites: true }
+  ];
+
+  for (const fields of invalid) {
+    const res = await send('POST', '', { slug: 'bad', name: 'Bad', ...fields });
+
+    assert.equal(res.status, 400, JSON.stringify(fields));
+    assert.equal(res.body.error, 'invalid_field');
+    assert.match(res.body.message, new RegExp(Object.keys(fields)[0]));
+  }
+
+  const stale = await send('POST', '', { slug: 'bad', name: 'Bad', staleDeactivateDays: 0 });
+  assert.equal(stale.status, 400);
+  assert.equal(stale.body.error, 'invalid_stale_days');
+});
+
+test('validates counts on update', async () => {
+  const { body } = await send('POST', '', { slug: 'agency', name: 'Agency', maxActivations: 10, durationDays: 365 });
+  const planId = body.plan.id;
+
+  for (const fields of [{ maxActivations: -5 }, { durationDays: '365' }, { devSites: 2.5 }]) {
+    const res = await send('PATCH', `/${planId}`, fields);
+
+    assert.equal(res.status, 400, JSON.stringify(fields));
+    assert.equal(res.body.error, 'invalid_field');
+  }
+
+  const res = await send('PATCH', `/${planId}`, { maxActivations: 20, durationDays: null, devSites: 3 });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.plan.max_activations, 20);
+  assert.equal(res.body.plan.duration_days, null);
+  assert.equal(res.body.plan.dev_sites, 3);
+});
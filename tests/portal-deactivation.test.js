@@ -0,0 +1,78 @@
+/**
+ * Self-service deactivation from the customer portal
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+process.env.PORTAL_DEACTIVATIONS_PER_MONTH = '2';
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createLicense, deactivateForCustomer, getPortalDeactivationUsage } = await import('../src/services/license.js');
+
+let licenseId;
+
+function addActivation(domain) {
+  getDb().prepare(`
+    INSERT INTO activations (license_id, domain, last_heartbeat) VALUES (?, ?, datetime('now'))
+  `).run(licenseId, domain);
+}
+
+before(async () => {
+  await initDatabase();
+  licenseId = createLicense({ email: 'customer@example.com', plan: 'agency', maxActivations: 5 }).id;
+});
+
+after(() => {
+  getDb().close();
+});
+
+test('deactivates a site and counts it against the monthly limit', () => {
+  addActivation('old-host.com');
+
+  const result = deactivateForCustomer(licenseId, 'Customer@Example.com', 'old-host.com');
+
+  assert.equal(result.success, true);
+  assert.equal(result.domain, 'old-host.com');
+  assert.equal(result.deactivations.used, 1);
+  assert.equal(result.deactivations.remaining, 1);
+});
+
+test('does not charge the limit when the site was deactivated concurrently', () => {
+  addActivation('racing.com');
+  const db = getDb();
+
+  // Another request deactivates the site between the lookup and the update
+  db.exec(`
+    CREATE TRIGGER concurrent_deactivation BEFORE UPDATE OF is_active ON activations
+    WHEN old.domain = 'racing.com' BEGIN SELECT RAISE(IGNORE); END;
+  `);
+
+  try {
+    const result = deactivateForCustomer(licenseId, 'customer@example.com', 'racing.com');
+
+    assert.equal(result.success, false);
+    assert.equal(result.error, 'not_found');
+    assert.equal(getPortalDeactivationUsage(licenseId).used, 1);
+  } finally {
+    db.exec(`DROP TRIGGER concurrent_deactivation`);
+  }
+});
+
+test('refuses once the monthly limit is used up', () => {
+  addActivation('second.com');
+  addActivation('third.com');
+
+  assert.equal(deactivateForCustomer(licenseId, 'customer@example.com', 'second.com').success, true);
+
+  const result = deactivateForCustomer(licenseId, 'customer@example.com', 'third.com');
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'deactivation_limit');
+});
+
+test("does not deactivate another customer's license", () => {
+  addActivation('fourth.com');
+
+  assert.equal(deactivateForCustomer(licenseId, 'someone@example.com', 'fourth.com').error, 'not_found');
+});
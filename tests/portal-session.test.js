@@ -0,0 +1,144 @@
+/**
+ * Customer portal login: single-use magic links, refresh rotation and reuse detection
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { useTestEnvironment, removeOutbox, startApi, request } from './helpers.js';
+
+const outbox = useTestEnvironment({ PORTAL_URL: 'https://portal.example.com' });
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createLicense } = await import('../src/services/license.js');
+
+let api;
+
+before(async () => {
+  await initDatabase();
+  createLicense({ email: 'Customer@Example.com', plan: 'single' });
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function customer(path, { method = 'POST', body, cookies = {} } = {}) {
+  const cookie = Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join('; ');
+  return request(`${api.url}/api/v1/customer${path}`, { method, body, headers: cookie ? { Cookie: cookie } : {} });
+}
+
+/**
+ * Cookies set by a response, as { name: value }
+ */
+function cookiesOf(res) {
+  return Object.fromEntries(res.headers.getSetCookie().map(header => header.split(';')[0].split('=')));
+}
+
+/**
+ * Request a login link and return the token from the emailed link
+ */
+async function requestLoginToken(email = 'customer@example.com') {
+  const sent = new Set(readdirSync(outbox));
+  const res = await customer('/login', { body: { email } });
+  assert.equal(res.status, 200);
+
+  const file = readdirSync(outbox).find(name => name.endsWith('.json') && !sent.has(name));
+  const { text } = JSON.parse(readFileSync(join(outbox, file), 'utf8'));
+  return text.match(/https:\/\/portal\.example\.com\?token=([\w-]+)/)[1];
+}
+
+async function signIn() {
+  const res = await customer('/session', { body: { token: await requestLoginToken() } });
+  assert.equal(res.status, 200);
+  return { session: res.body.session, cookies: cookiesOf(res) };
+}
+
+test('a login link signs in once', async () => {
+  const token = await requestLoginToken('CUSTOMER@example.com');
+
+  const first = await customer('/session', { body: { token } });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.email, 'customer@example.com');
+
+  const cookies = cookiesOf(first);
+  assert.ok(cookies.tlat_portal_session && cookies.tlat_portal_refresh);
+  assert.equal((await customer('/licenses', { method: 'GET', cookies })).status, 200);
+
+  const second = await customer('/session', { body: { token } });
+  assert.equal(second.status, 401);
+  assert.equal(second.body.error, 'invalid_link');
+});
+
+test('rejects expired, unknown and missing login tokens', async () => {
+  const token = await requestLoginToken();
+  getDb().prepare(`UPDATE magic_links SET expires_at = datetime('now', '-1 minute') WHERE used_at IS NULL`).run();
+
+  assert.equal((await customer('/session', { body: { token } })).body.error, 'invalid_link');
+  assert.equal((await customer('/session', { body: { token: 'made-up' } })).body.error, 'invalid_link');
+  assert.equal((await customer('/session', { body: { token: ['array'] } })).body.error, 'missing_token');
+});
+
+test('sends no link for an email without licenses', async () => {
+  const files = readdirSync(outbox).length;
+  const res = await customer('/login', { body: { email: 'stranger@example.com' } });
+
+  assert.equal(res.status, 200);
+  assert.equal(readdirSync(outbox).length, files);
+});
+
+test('refreshing rotates both tokens', async () => {
+  const { cookies } = await signIn();
+
+  const refreshed = await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } });
+  assert.equal(refreshed.status, 200);
+
+  const rotated = cookiesOf(refreshed);
+  assert.notEqual(rotated.tlat_portal_refresh, cookies.tlat_portal_refresh);
+  assert.notEqual(rotated.tlat_portal_session, cookies.tlat_portal_session);
+
+  assert.equal((await customer('/licenses', { method: 'GET', cookies: rotated })).status, 200);
+  assert.equal((await customer('/licenses', { method: 'GET', cookies })).status, 401);
+});
+
+test('treats an immediate reuse of the old refresh token as a concurrent refresh', async () => {
+  const { session, cookies } = await signIn();
+  await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } });
+
+  const again = await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } });
+  assert.equal(again.status, 401);
+  assert.equal(again.body.error, 'refresh_conflict');
+  assert.equal(getDb().prepare(`SELECT revoked_at FROM portal_sessions WHERE id = ?`).get(session.id).revoked_at, null);
+});
+
+test('revokes the session when a rotated refresh token is reused later', async () => {
+  const { session, cookies } = await signIn();
+  const refreshed = cookiesOf(await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } }));
+
+  // Past the grace period for concurrent refreshes: only a copy of the old cookie can do this
+  getDb().prepare(`UPDATE portal_sessions SET refreshed_at = datetime('now', '-5 minutes') WHERE id = ?`).run(session.id);
+
+  const reused = await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } });
+  assert.equal(reused.status, 401);
+  assert.equal(reused.body.error, 'session_expired');
+
+  const row = getDb().prepare(`SELECT revoked_at, revoked_reason FROM portal_sessions WHERE id = ?`).get(session.id);
+  assert.ok(row.revoked_at);
+  assert.equal(row.revoked_reason, 'refresh_token_reused');
+
+  // The legitimate holder is signed out as well
+  assert.equal((await customer('/licenses', { method: 'GET', cookies: refreshed })).status, 401);
+  assert.equal((await customer('/session/refresh', { cookies: { tlat_portal_refresh: refreshed.tlat_portal_refresh } })).status, 401);
+});
+
+test('logging out ends the session', async () => {
+  const { cookies } = await signIn();
+
+  assert.equal((await customer('/session', { method: 'DELETE', cookies })).status, 200);
+  assert.equal((await customer('/licenses', { method: 'GET', cookies })).status, 401);
+  assert.equal((await customer('/session/refresh', { cookies: { tlat_portal_refresh: cookies.tlat_portal_refresh } })).status, 401);
+});
@@ -0,0 +1,84 @@
+/**
+ * POST /api/v1/license/redeem
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, listen, request } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { default: express } = await import('express');
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { default: licenseRoutes } = await import('../src/routes/licenses.js');
+const { generateCodeBatch } = await import('../src/services/redemption.js');
+
+let server;
+let url;
+let codes;
+
+before(async () => {
+  await initDatabase();
+  codes = generateCodeBatch({ count: 2, plan: 'single', maxActivations: 1 }).codes.map(code => code.code);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1/license', licenseRoutes);
+  server = await listen(app);
+  url = `${server.url}/api/v1/license/redeem`;
+});
+
+after(async () => {
+  await server.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+test('redeems a code into a license', async () => {
+  const res = await request(url, { method: 'POST', body: { code: ` ${codes[0].toLowerCase()} `, email: 'buyer@example.com' } });
+
+  assert.equal(res.status, 201);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.license.email, 'buyer@example.com');
+  assert.equal(res.body.license.maxActivations, 1);
+  assert.match(res.body.license.licenseKey, /^TLAT-/);
+});
+
+test('refuses a code that was already redeemed', async () => {
+  const res = await request(url, { method: 'POST', body: { code: codes[0], email: 'other@example.com' } });
+
+  assert.equal(res.status, 409);
+  assert.equal(res.body.error, 'already_redeemed');
+});
+
+test('rejects unknown and malformed codes', async () => {
+  const malformed = await request(url, { method: 'POST', body: { code: 'CODE-1234', email: 'buyer@example.com' } });
+  assert.equal(malformed.status, 400);
+  assert.equal(malformed.body.error, 'invalid_code_format');
+
+  const missing = await request(url, { method: 'POST', body: { email: 'buyer@example.com' } });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.error, 'missing_params');
+
+  const badEmail = await request(url, { method: 'POST', body: { code: codes[1], email: 'not-an-email' } });
+  assert.equal(badEmail.status, 400);
+  assert.equal(badEmail.body.error, 'invalid_email');
+});
+
+test('rejects non-string code and email', async () => {
+  for (const body of [
+    { code: 123, email: 'a@b.co' },
+    { code: [codes[1]], email: 'a@b.co' },
+    { code: codes[1], email: ['a@b.co'] },
+    { code: codes[1], email: { address: 'a@b.co' } }
+  ]) {
+    const res = await request(url, { method: 'POST', body });
+
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.equal(res.body.error, 'invalid_params');
+  }
+
+  // The server is still up and the code still unclaimed
+  const res = await request(url, { method: 'POST', body: { code: codes[1], email: 'a@b.co' } });
+  assert.equal(res.status, 201);
+});
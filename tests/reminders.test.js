@@ -0,0 +1,136 @@
+/**
+ * Renewal reminders: windows, skipped licenses and one reminder per window and expiry
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { useTestEnvironment, removeOutbox } from './helpers.js';
+
+const outbox = useTestEnvironment({ RENEWAL_REMINDER_DAYS: '30,7,1,-3' });
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createLicense, setLicenseStatus } = await import('../src/services/license.js');
+const { setUnsubscribed } = await import('../src/services/customer.js');
+const { parseReminderWindows, findDueReminders, sendRenewalReminders } = await import('../src/services/reminder.js');
+
+const NOW = new Date('2027-03-01T12:00:00.000Z');
+const DAY = 24 * 60 * 60 * 1000;
+
+const licenses = {};
+
+function expiresIn(days, from = NOW) {
+  return new Date(from.getTime() + days * DAY).toISOString();
+}
+
+function license(name, days, options = {}) {
+  licenses[name] = createLicense({ email: `${name}@example.com`, plan: 'single', expiresAt: expiresIn(days), ...options });
+}
+
+// Recipients of the messages in the outbox
+function sentTo() {
+  return readdirSync(outbox)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(readFileSync(join(outbox, file), 'utf8')).to)
+    .sort();
+}
+
+function windowsByEmail(due) {
+  return Object.fromEntries(due.map(reminder => [reminder.email.split('@')[0], reminder.windowDays]));
+}
+
+before(async () => {
+  await initDatabase();
+
+  license('month', 25);
+  license('week', 5);
+  license('tomorrow', 0.5);
+  license('overdue', -2);
+  license('lapsed', -4);
+  license('forgotten', -20);
+  license('later', 40);
+  license('lifetime', 0, { expiresAt: null });
+  license('subscribed', 5, { subscriptionId: 'sub_reminder' });
+  license('suspended', 5);
+  license('unsubscribed', 5);
+
+  setLicenseStatus(licenses.suspended.licenseKey, 'suspended');
+  setUnsubscribed('Unsubscribed@Example.com', true);
+});
+
+after(() => {
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+test('parses windows latest-reminder-last and rejects fractions', () => {
+  assert.deepEqual(parseReminderWindows('1, -3,30,7,7'), [30, 7, 1, -3]);
+  assert.throws(() => parseReminderWindows('30,7.5'), /Invalid reminder windows/);
+  assert.throws(() => parseReminderWindows(' , '), /Invalid reminder windows/);
+});
+
+test('puts each license in the window it entered most recently', () => {
+  const due = findDueReminders({ now: NOW });
+
+  assert.deepEqual(windowsByEmail(due), {
+    month: 30,
+    week: 7,
+    unsubscribed: 7,
+    tomorrow: 1,
+    overdue: 1,
+    lapsed: -3
+  });
+  assert.equal(due.find(reminder => reminder.email === 'unsubscribed@example.com').unsubscribed, true);
+  assert.match(due[0].licenseKey, /^TLAT-[A-Z2-9]{5}(-\*{5}){3}$/);
+});
+
+test('drops reminders more than a week late', () => {
+  // 'month' is 5 days into its 30-day window; 10 days on it is over a week late and not yet in the 7-day one
+  const due = findDueReminders({ now: NOW, windows: [30, 7] });
+  assert.equal(due.some(reminder => reminder.email === 'month@example.com'), true);
+
+  const late = findDueReminders({ now: new Date(NOW.getTime() + 10 * DAY), windows: [30, 7] });
+  assert.equal(late.some(reminder => reminder.email === 'month@example.com'), false);
+});
+
+test('sends each window once per expiry date', async () => {
+  const first = await sendRenewalReminders({ now: NOW });
+
+  assert.equal(first.sent, 5);
+  assert.equal(first.unsubscribed, 1);
+  assert.deepEqual(sentTo(), ['lapsed', 'month', 'overdue', 'tomorrow', 'week'].map(name => `${name}@example.com`));
+
+  const rows = getDb().prepare(`SELECT status FROM email_log`).all();
+  assert.deepEqual(rows.map(row => row.status), ['sent', 'sent', 'sent', 'sent', 'sent']);
+
+  const again = await sendRenewalReminders({ now: new Date(NOW.getTime() + 60 * 60 * 1000) });
+  assert.equal(again.sent, 0);
+  assert.equal(sentTo().length, 5);
+});
+
+test('reminds again for the next window and for a renewed term', async () => {
+  // 20 days on, 'month' has entered the 7-day window
+  const later = new Date(NOW.getTime() + 20 * DAY);
+  assert.equal(findDueReminders({ now: later }).find(r => r.email === 'month@example.com')?.windowDays, 7);
+
+  // Renewed for a year: the same windows apply to the new expiry date
+  const renewedUntil = expiresIn(25);
+  getDb().prepare(`UPDATE licenses SET expires_at = ? WHERE id = ?`).run(renewedUntil, licenses.week.id);
+
+  const due = findDueReminders({ now: NOW }).filter(r => r.email === 'week@example.com');
+  assert.deepEqual(due.map(r => [r.windowDays, r.expiresAt]), [[30, renewedUntil]]);
+});
+
+test('reports without sending on a dry run', async () => {
+  const sent = sentTo().length;
+  const logged = getDb().prepare(`SELECT COUNT(*) as count FROM email_log`).get().count;
+
+  const result = await sendRenewalReminders({ now: NOW, dryRun: true });
+
+  assert.ok(result.reminders.length > 0);
+  assert.ok(result.reminders.every(reminder => reminder.status === 'due'));
+  assert.equal(result.sent, 0);
+  assert.equal(sentTo().length, sent);
+  assert.equal(getDb().prepare(`SELECT COUNT(*) as count FROM email_log`).get().count, logged);
+});
@@ -0,0 +1,56 @@
+/**
+ * Job scheduler: runs of one job never overlap
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.DB_PATH = ':memory:';
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { registerJob, triggerJob, runJob, listJobs, listJobRuns } = await import('../src/services/scheduler.js');
+
+before(async () => {
+  await initDatabase();
+});
+
+after(() => {
+  getDb().close();
+});
+
+test('skips a job that is still running after its lock timeout', async () => {
+  let finish;
+  registerJob({
+    name: 'slow',
+    timeoutMinutes: 0.001,
+    handler: () => new Promise(resolve => {
+      finish = resolve;
+    })
+  });
+
+  const first = triggerJob('slow');
+  assert.equal(first.success, true);
+
+  // Well past the 60 ms lock timeout
+  await new Promise(resolve => setTimeout(resolve, 1500));
+
+  const second = triggerJob('slow');
+  assert.equal(second.success, false);
+  assert.equal(second.error, 'already_running');
+  assert.equal(listJobs().find(job => job.name === 'slow').running, true);
+
+  finish({ done: true });
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.equal(listJobs().find(job => job.name === 'slow').running, false);
+  assert.deepEqual(listJobRuns({ job: 'slow' }).runs.map(run => run.status).sort(), ['skipped', 'success']);
+});
+
+test('runs a job again once it finished', async () => {
+  registerJob({ name: 'quick', handler: () => ({ ok: true }) });
+
+  assert.equal((await runJob('quick')).success, true);
+  const again = await runJob('quick');
+  assert.equal(again.success, true);
+  assert.deepEqual(again.run.result, { ok: true });
+});
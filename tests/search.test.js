@@ -0,0 +1,77 @@
+/**
+ * Admin search: result types and the types filter
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createLicense, activateLicense } = await import('../src/services/license.js');
+
+let api;
+
+before(async () => {
+  await initDatabase();
+
+  const license = createLicense({ email: 'searchable@example.com', plan: 'single', maxActivations: 2 });
+  createLicense({ email: 'other@example.com', plan: 'single', maxActivations: 1 });
+  activateLicense(license.licenseKey, 'searchable-shop.example.com');
+
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function search(query) {
+  return request(`${api.url}/api/v1/admin/search?${query}`, { headers: { Authorization: `Bearer ${ADMIN_KEY}` } });
+}
+
+function typesOf(res) {
+  return new Set(res.body.results.map(result => result.type));
+}
+
+test('searches every type by default', async () => {
+  const res = await search('q=searchable');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(typesOf(res), new Set(['license', 'activation', 'audit']));
+  assert.ok(res.body.results.every(result => result.license?.email === 'searchable@example.com'));
+});
+
+test('limits results to the requested types', async () => {
+  const res = await search('q=searchable&types=activation');
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(typesOf(res), new Set(['activation']));
+  assert.equal(res.body.results[0].title, 'searchable-shop.example.com');
+
+  const both = await search('q=searchable&types=license,%20license,audit');
+  assert.deepEqual(typesOf(both), new Set(['license', 'audit']));
+  assert.equal(both.body.results.filter(result => result.type === 'license').length, 1);
+});
+
+test('an empty types list searches every type', async () => {
+  for (const types of [',', '%20', '%20,%20']) {
+    const res = await search(`q=searchable&types=${types}`);
+
+    assert.equal(res.status, 200, types);
+    assert.deepEqual(typesOf(res), new Set(['license', 'activation', 'audit']));
+  }
+});
+
+test('rejects unknown types and short queries', async () => {
+  const unknown = await search('q=searchable&types=license,invoice');
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.error, 'invalid_type');
+
+  const short = await search('q=ab');
+  assert.equal(short.status, 400);
+  assert.equal(short.body.error, 'query_too_short');
+});
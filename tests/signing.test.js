@@ -0,0 +1,41 @@
+/**
+ * Token signing and verification
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+
+process.env.DB_PATH = ':memory:';
+delete process.env.JWT_SECRET;
+delete process.env.JWT_LEGACY_TOKENS;
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { signToken, verifyToken } = await import('../src/services/signing.js');
+
+before(async () => {
+  await initDatabase();
+});
+
+after(() => {
+  getDb().close();
+});
+
+test('verifies tokens signed with the active key', () => {
+  const token = signToken({ email: 'a@example.com', type: 'download' }, { expiresIn: '1h' });
+
+  assert.ok(jwt.decode(token, { complete: true }).header.kid);
+  assert.equal(verifyToken(token).email, 'a@example.com');
+});
+
+test('rejects legacy HS256 tokens by default', () => {
+  const forged = jwt.sign({ licenseId: 1 }, 'dev-secret-change-in-production', { algorithm: 'HS256' });
+
+  assert.throws(() => verifyToken(forged), /legacy tokens are not accepted/);
+});
+
+test('rejects tokens with an unknown key id', () => {
+  const token = jwt.sign({ licenseId: 1 }, 'secret', { algorithm: 'HS256', keyid: 'unknown' });
+
+  assert.throws(() => verifyToken(token), /unknown or retired signing key/);
+});
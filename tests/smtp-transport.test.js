@@ -0,0 +1,51 @@
+/**
+ * SMTP transport: credentials never cross a plain connection
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+
+// A server that doesn't offer STARTTLS (or had it stripped) and accepts anything
+const received = [];
+const server = net.createServer(socket => {
+  socket.write('220 test ESMTP\r\n');
+  socket.on('data', chunk => {
+    for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+      received.push(line);
+      if (/^EHLO/i.test(line)) socket.write('250-test\r\n250 AUTH PLAIN LOGIN\r\n');
+      else if (/^AUTH/i.test(line)) socket.write('235 ok\r\n');
+      else if (/^QUIT/i.test(line)) socket.end('221 bye\r\n');
+      else socket.write('250 ok\r\n');
+    }
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+process.env.SMTP_HOST = '127.0.0.1';
+process.env.SMTP_PORT = String(server.address().port);
+process.env.SMTP_USER = 'user';
+process.env.SMTP_PASS = 'secret';
+delete process.env.SMTP_SECURE;
+delete process.env.SMTP_REQUIRE_TLS;
+
+const { default: smtp } = await import('../src/services/transports/smtp.js');
+
+after(() => {
+  server.close();
+});
+
+test('refuses to authenticate when the server offers no STARTTLS', async () => {
+  const result = await smtp.send({
+    from: 'Licenses <licenses@example.com>',
+    to: 'customer@example.com',
+    subject: 'Your license',
+    html: '<p>TLAT-XXXX</p>',
+    text: 'TLAT-XXXX'
+  });
+
+  assert.equal(result.success, false);
+  assert.match(result.error, /STARTTLS/);
+  assert.equal(received.some(line => /^AUTH/i.test(line)), false);
+  assert.equal(received.some(line => line.includes(Buffer.from('\0user\0secret').toString('base64'))), false);
+});
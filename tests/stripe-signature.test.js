@@ -0,0 +1,60 @@
+/**
+ * Stripe webhook signature verification
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { verifyStripeSignature } from '../src/services/providers/stripe.js';
+
+const SECRET = 'whsec_test';
+const BODY = Buffer.from(JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed' }));
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000), secret = SECRET) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+test('accepts a valid signature', () => {
+  assert.deepEqual(verifyStripeSignature(BODY, sign(BODY), SECRET), { valid: true });
+});
+
+test('accepts a valid signature among several v1 values', () => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const header = `t=${timestamp},v1=${'0'.repeat(64)},${sign(BODY, timestamp).split(',')[1]}`;
+  assert.equal(verifyStripeSignature(BODY, header, SECRET).valid, true);
+});
+
+test('rejects a tampered body', () => {
+  const header = sign(BODY);
+  const tampered = Buffer.from(BODY.toString().replace('evt_1', 'evt_2'));
+  assert.deepEqual(verifyStripeSignature(tampered, header, SECRET), { valid: false, error: 'invalid_signature' });
+});
+
+test('rejects a signature made with another secret', () => {
+  const header = sign(BODY, undefined, 'whsec_other');
+  assert.equal(verifyStripeSignature(BODY, header, SECRET).error, 'invalid_signature');
+});
+
+test('rejects a stale timestamp', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 301;
+  assert.deepEqual(
+    verifyStripeSignature(BODY, sign(BODY, timestamp), SECRET, 300),
+    { valid: false, error: 'timestamp_out_of_tolerance' }
+  );
+});
+
+test('accepts an old timestamp when the tolerance is disabled', () => {
+  const timestamp = Math.floor(Date.now() / 1000) - 3600;
+  assert.equal(verifyStripeSignature(BODY, sign(BODY, timestamp), SECRET, 0).valid, true);
+});
+
+test('rejects a missing header', () => {
+  assert.deepEqual(verifyStripeSignature(BODY, undefined, SECRET), { valid: false, error: 'missing_signature' });
+  assert.deepEqual(verifyStripeSignature(BODY, '', SECRET), { valid: false, error: 'missing_signature' });
+});
+
+test('rejects a malformed header', () => {
+  assert.equal(verifyStripeSignature(BODY, 'v1=abc', SECRET).error, 'malformed_signature');
+  assert.equal(verifyStripeSignature(BODY, 't=abc,v1=abc', SECRET).error, 'malformed_signature');
+});
@@ -0,0 +1,110 @@
+/**
+ * Webhook event ledger: dedupe of redeliveries, retries of failed events and replay
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnvironment, removeOutbox, startApi, request, ADMIN_KEY } from './helpers.js';
+
+const outbox = useTestEnvironment();
+
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { createProduct } = await import('../src/services/product.js');
+const { recordWebhookEvent, processWebhookEvent, replayWebhookEvent, getWebhookEvent } = await import('../src/services/webhook-events.js');
+
+let api;
+
+before(async () => {
+  await initDatabase();
+  createProduct({ slug: 'tutor-lms-tracking', name: 'Tutor LMS Advanced Tracking' });
+  api = await startApi();
+});
+
+after(async () => {
+  await api.close();
+  getDb().close();
+  removeOutbox(outbox);
+});
+
+function checkout(id, email) {
+  return {
+    id,
+    type: 'checkout.session.completed',
+    payload: JSON.stringify({
+      id,
+      type: 'checkout.session.completed',
+      data: { object: { id: `cs_${id}`, customer_email: email, customer: `cus_${id}`, payment_intent: `pi_${id}` } }
+    })
+  };
+}
+
+function licensesFor(email) {
+  return getDb().prepare(`SELECT COUNT(*) as count FROM licenses WHERE email = ?`).get(email).count;
+}
+
+test('stores an event once and flags redeliveries as duplicates', async () => {
+  const first = recordWebhookEvent('stripe', checkout('evt_once', 'once@example.com'));
+  assert.equal(first.duplicate, false);
+  assert.equal(first.event.status, 'received');
+
+  // Received but not processed yet (e.g. the server died): redelivery processes it
+  assert.equal(recordWebhookEvent('stripe', checkout('evt_once', 'once@example.com')).duplicate, false);
+
+  const processed = await processWebhookEvent(first.event);
+  assert.equal(processed.status, 'processed');
+  assert.equal(processed.attempts, 1);
+
+  const again = recordWebhookEvent('stripe', checkout('evt_once', 'once@example.com'));
+  assert.equal(again.duplicate, true);
+  assert.equal(again.event.id, first.event.id);
+  assert.equal(licensesFor('once@example.com'), 1);
+});
+
+test('keys events by provider and falls back to a payload hash without an ID', () => {
+  const { payload } = checkout('evt_shared', 'shared@example.com');
+
+  assert.equal(recordWebhookEvent('stripe', { id: 'evt_shared', payload }).duplicate, false);
+  assert.equal(recordWebhookEvent('paddle', { id: 'evt_shared', payload }).duplicate, false);
+
+  const anonymous = recordWebhookEvent('stripe', { payload });
+  assert.match(anonymous.event.event_id, /^[0-9a-f]{64}$/);
+  assert.equal(recordWebhookEvent('stripe', { payload }).event.id, anonymous.event.id);
+});
+
+test('records handler failures and retries them on redelivery', async () => {
+  const broken = { id: 'evt_broken', type: 'checkout.session.completed', payload: JSON.stringify({ id: 'evt_broken', type: 'checkout.session.completed' }) };
+  const { event } = recordWebhookEvent('stripe', broken);
+
+  await assert.rejects(processWebhookEvent(event));
+
+  const failed = getWebhookEvent(event.id);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.attempts, 1);
+  assert.ok(failed.error);
+
+  const redelivered = recordWebhookEvent('stripe', broken);
+  assert.equal(redelivered.duplicate, false);
+
+  const replayed = await replayWebhookEvent(event.id);
+  assert.equal(replayed.success, false);
+  assert.equal(replayed.error, 'handler_failed');
+  assert.equal(replayed.event.attempts, 2);
+});
+
+test('replays a processed event without issuing a second license', async () => {
+  const { event } = recordWebhookEvent('stripe', checkout('evt_replay', 'replay@example.com'));
+  await processWebhookEvent(event);
+
+  const res = await request(`${api.url}/api/v1/admin/webhooks/events/${event.id}/replay`, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${ADMIN_KEY}` }
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.event.status, 'processed');
+  assert.equal(res.body.event.attempts, 2);
+  assert.equal(licensesFor('replay@example.com'), 1);
+
+  const missing = await replayWebhookEvent(999999);
+  assert.equal(missing.error, 'not_found');
+});
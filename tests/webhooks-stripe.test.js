@@ -0,0 +1,111 @@
+/**
+ * POST /api/v1/webhooks/stripe
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+
+process.env.DB_PATH = ':memory:';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+delete process.env.WEBHOOK_SKIP_VERIFICATION;
+
+const { default: express } = await import('express');
+const { initDatabase, getDb } = await import('../src/db/init.js');
+const { default: webhookRoutes } = await import('../src/routes/webhooks.js');
+
+let server;
+let url;
+
+function sign(body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', 'whsec_test').update(`${timestamp}.`).update(body).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function post(body, headers = {}) {
+  return fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', ...headers }, body });
+}
+
+before(async () => {
+  await initDatabase();
+
+  // Mounted as in src/index.js: the route needs the raw body
+  const app = express();
+  app.use('/api/v1/webhooks', express.raw({ type: '*/*', limit: '1mb' }));
+  app.use('/api/v1/webhooks', webhookRoutes);
+
+  await new Promise(resolve => {
+    server = app.listen(0, resolve);
+  });
+  url = `http://localhost:${server.address().port}/api/v1/webhooks/stripe`;
+});
+
+after(() => {
+  server.close();
+  getDb().close();
+});
+
+test('accepts a signed event and records it in the ledger', async () => {
+  const body = JSON.stringify({ id: 'evt_route_1', type: 'customer.created', data: { object: {} } });
+  const res = await post(body, { 'Stripe-Signature': sign(body) });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { received: true });
+
+  const event = getDb().prepare(`SELECT * FROM webhook_events WHERE event_id = ?`).get('evt_route_1');
+  assert.equal(event.provider, 'stripe');
+  assert.equal(event.status, 'ignored');
+});
+
+test('acknowledges a redelivered event without processing it again', async () => {
+  const body = JSON.stringify({ id: 'evt_route_1', type: 'customer.created', data: { object: {} } });
+  const res = await post(body, { 'Stripe-Signature': sign(body) });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { received: true, duplicate: true });
+});
+
+test('rejects a tampered body', async () => {
+  const body = JSON.stringify({ id: 'evt_route_2', type: 'customer.created' });
+  const res = await post(body.replace('evt_route_2', 'evt_route_3'), { 'Stripe-Signature': sign(body) });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'invalid_signature' });
+});
+
+test('rejects a stale signature', async () => {
+  const body = JSON.stringify({ id: 'evt_route_4', type: 'customer.created' });
+  const res = await post(body, { 'Stripe-Signature': sign(body, Math.floor(Date.now() / 1000) - 3600) });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'timestamp_out_of_tolerance' });
+});
+
+test('rejects a request without a signature header', async () => {
+  const res = await post(JSON.stringify({ id: 'evt_route_5', type: 'customer.created' }));
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'missing_signature' });
+});
+
+test('rejects a signed body that is not JSON', async () => {
+  const body = 'not json';
+  const res = await post(body, { 'Stripe-Signature': sign(body) });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(await res.json(), { error: 'invalid_payload' });
+});
+
+test('rejects a signed body that is not a JSON object', async () => {
+  for (const body of ['null', '42', '"text"', '[]']) {
+    const res = await post(body, { 'Stripe-Signature': sign(body) });
+
+    assert.equal(res.status, 400, body);
+    assert.deepEqual(await res.json(), { error: 'invalid_payload' });
+  }
+});
+
+test('returns 404 for an unknown provider', async () => {
+  const res = await fetch(url.replace('/stripe', '/unknown'), { method: 'POST', body: '{}' });
+  assert.equal(res.status, 404);
+});